@@ -0,0 +1,219 @@
+// AgingReport.gs
+/**
+ * Accounts Receivable Aging for the Parsonage Tenant Management System
+ * Groups everything owed by long-term tenants (from the Rent Ledger) and
+ * guests (from Guest Bookings) by how long it has been past due
+ */
+
+/**
+ * Aging buckets, by days past due. Amounts not yet due are Current.
+ */
+const AGING_BUCKETS = [
+  { label: 'Current', maxDays: 0 },
+  { label: '1-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+/**
+ * Returns the index of the aging bucket for an amount past due by the given days
+ */
+function getAgingBucketIndex(daysPastDue) {
+  return AGING_BUCKETS.findIndex(bucket => daysPastDue <= bucket.maxDays);
+}
+
+/**
+ * Builds the aging report. Tenant charges are aged from their due date
+ * (rent from the late fee grace day, other charges from the day they were
+ * posted); guest balances are aged from the check-in date.
+ * @param {Date} asOfDate Optional date to age balances as of
+ * @return {Object} accounts (type, name, room, buckets, total), totals and grand total
+ */
+function getAgingReport(asOfDate) {
+  const today = new Date(asOfDate || new Date());
+  today.setHours(0, 0, 0, 0);
+  const graceDay = getLateFeePolicy().graceDay;
+  const accounts = [];
+
+  const daysPastDue = dueDate => {
+    const due = new Date(dueDate);
+    due.setHours(0, 0, 0, 0);
+    return Math.max(Math.floor((today - due) / (1000 * 60 * 60 * 24)), 0);
+  };
+
+  // Long-term tenants, current and former
+  Object.values(summarizeLedger(getLedgerEntries(), today)).forEach(summary => {
+    if (summary.balance <= 0) return;
+
+    const buckets = AGING_BUCKETS.map(() => 0);
+    summary.unpaidCharges.forEach(charge => {
+      const dueDate = charge.type === LEDGER_ENTRY_TYPES.RENT_CHARGE ? getRentDueDate(charge, graceDay) : charge.date;
+      buckets[getAgingBucketIndex(daysPastDue(dueDate))] += charge.remaining;
+    });
+
+    accounts.push({
+      type: 'Tenant',
+      name: summary.tenantName,
+      room: summary.room,
+      buckets: buckets,
+      total: buckets.reduce((sum, amount) => sum + amount, 0)
+    });
+  });
+
+  // Guest bookings with an unpaid balance
+  const bookingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GUEST_BOOKINGS_SHEET_NAME);
+  if (bookingsSheet && bookingsSheet.getLastRow() >= 2) {
+    bookingsSheet.getRange(2, 1, bookingsSheet.getLastRow() - 1, GUEST_BOOKINGS_HEADERS.length).getValues().forEach(row => {
+      if (!row[0] || row[12] === BOOKING_STATUS.CANCELLED) return;
+
+      const outstanding = Math.round(((Number(row[9]) || 0) - (Number(row[10]) || 0)) * 100) / 100;
+      if (outstanding <= 0) return;
+
+      const buckets = AGING_BUCKETS.map(() => 0);
+      buckets[getAgingBucketIndex(daysPastDue(row[5]))] = outstanding;
+
+      accounts.push({
+        type: 'Guest',
+        name: `${row[1]} (${row[0]})`,
+        room: String(row[4]),
+        buckets: buckets,
+        total: outstanding
+      });
+    });
+  }
+
+  // Oldest balances first
+  accounts.sort((a, b) => {
+    for (let i = AGING_BUCKETS.length - 1; i >= 0; i--) {
+      if (a.buckets[i] !== b.buckets[i]) return b.buckets[i] - a.buckets[i];
+    }
+    return 0;
+  });
+
+  const totals = AGING_BUCKETS.map((bucket, i) => accounts.reduce((sum, account) => sum + account.buckets[i], 0));
+
+  return {
+    asOfDate: today,
+    accounts: accounts,
+    totals: totals,
+    total: totals.reduce((sum, amount) => sum + amount, 0)
+  };
+}
+
+/**
+ * Returns the aging report as rows of text cells, for the dialog and the PDF
+ */
+function getAgingReportTable(report) {
+  const rows = [['Type', 'Name', 'Room'].concat(AGING_BUCKETS.map(bucket => bucket.label), ['Total'])];
+
+  report.accounts.forEach(account => {
+    rows.push([account.type, account.name, account.room]
+      .concat(account.buckets.map(amount => amount.toFixed(2)), [account.total.toFixed(2)]));
+  });
+  rows.push(['Total', '', ''].concat(report.totals.map(amount => amount.toFixed(2)), [report.total.toFixed(2)]));
+
+  return rows;
+}
+
+/**
+ * Shows the accounts receivable aging report in a dialog, with an option
+ * to export it as a PDF
+ */
+function showAgingReport() {
+  const report = getAgingReport();
+
+  if (report.accounts.length === 0) {
+    SpreadsheetApp.getUi().alert('No outstanding balances found.');
+    return;
+  }
+
+  const asOf = Utilities.formatDate(report.asOfDate, Session.getScriptTimeZone(), 'MMMM d, yyyy');
+  const rows = getAgingReportTable(report);
+  const widths = rows[0].map((header, i) => Math.max(...rows.map(row => String(row[i]).length)));
+
+  let text = `Accounts Receivable Aging - ${asOf}\n`;
+  text += `=====================================\n\n`;
+  rows.forEach((row, i) => {
+    // Left-align the text columns and right-align the amounts
+    text += row.map((cell, j) => j < 3 ? String(cell).padEnd(widths[j]) : String(cell).padStart(widths[j])).join('  ') + '\n';
+    if (i === 0 || i === rows.length - 2) {
+      text += widths.map(width => '-'.repeat(width)).join('  ') + '\n';
+    }
+  });
+
+  const html = `
+    <pre>${escapeHtml(text)}</pre>
+    <button id="exportButton" onclick="exportPDF()">Export PDF</button>
+    <p id="result"></p>
+    <script>
+      function exportPDF() {
+        document.getElementById('exportButton').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(url) {
+            document.getElementById('result').innerHTML = 'PDF saved to Drive: <a href="' + url + '" target="_blank">Open PDF</a>';
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            document.getElementById('exportButton').disabled = false;
+          })
+          .exportAgingReportPDF();
+      }
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(800)
+      .setHeight(500);
+  SpreadsheetApp.getUi()
+      .showModalDialog(htmlOutput, 'Accounts Receivable Aging');
+}
+
+/**
+ * Saves the current aging report as a PDF in Drive
+ * @return {string} URL of the saved PDF
+ */
+function exportAgingReportPDF() {
+  const report = getAgingReport();
+  const dateStr = Utilities.formatDate(report.asOfDate, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const doc = DocumentApp.create(`Accounts Receivable Aging - ${dateStr}`);
+  const body = doc.getBody();
+
+  // Clear default content
+  body.clear();
+
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  // Add report title
+  const title = body.appendParagraph('Accounts Receivable Aging');
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph(`As of ${Utilities.formatDate(report.asOfDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')}`)
+    .setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
+
+  // Add aging table, with the header and total rows in bold
+  const rows = getAgingReportTable(report);
+  const table = body.appendTable(rows);
+  table.getRow(0).editAsText().setBold(true);
+  table.getRow(rows.length - 1).editAsText().setBold(true);
+  body.appendParagraph('');
+
+  // Add notes
+  body.appendParagraph('Notes:');
+  body.appendParagraph('• Ages are days past due. Rent is due on the late fee grace day of each month; guest stays are due at check-in.');
+  body.appendParagraph('• Security deposits held are not included.');
+
+  doc.saveAndClose();
+
+  const pdf = DriveApp.createFile(doc.getAs('application/pdf'));
+  DriveApp.getFileById(doc.getId()).setTrashed(true); // Clean up temporary doc
+
+  return pdf.getUrl();
+}
+
+// End of Accounts Receivable Aging
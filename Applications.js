@@ -0,0 +1,489 @@
+// Applications.gs
+/**
+ * Application Review Pipeline for the Parsonage Tenant Management System
+ * Tracks each application in the Tenant Applications sheet through review,
+ * sends decision emails, and fills in the Tenants row for approved applicants
+ */
+
+// Application review status options
+const APPLICATION_STATUS = {
+  NEW: 'New',
+  UNDER_REVIEW: 'Under Review',
+  INTERVIEW: 'Interview',
+  APPROVED: 'Approved',
+  DECLINED: 'Declined',
+  WITHDRAWN: 'Withdrawn'
+};
+
+/**
+ * Review columns added after the form answers in the Tenant Applications sheet
+ */
+const APPLICATION_REVIEW_HEADERS = [
+  'Status',
+  'Assigned Room',
+  'Approved Rent',
+  'Approved Move-In Date',
+  'Review Notes',
+  'Decision Date',
+  'Screening Score',
+  'Income-to-Rent Ratio',
+  'Screening Result',
+  'Screening Flags',
+  'Reference Status'
+];
+
+// Points awarded for each employment status and expected length of stay
+const SCREENING_EMPLOYMENT_POINTS = {
+  'Employed Full-Time': 20,
+  'Self-Employed': 15,
+  'Retired': 15,
+  'Employed Part-Time': 10,
+  'Student': 10
+};
+const SCREENING_STAY_POINTS = {
+  '2+ years': 10,
+  '1 year': 10,
+  '6 months': 5
+};
+
+// Decision emails sent when an application moves to one of these statuses
+const APPLICATION_DECISION_TEMPLATES = {
+  [APPLICATION_STATUS.INTERVIEW]: 'applicationInterview',
+  [APPLICATION_STATUS.APPROVED]: 'applicationApproved',
+  [APPLICATION_STATUS.DECLINED]: 'applicationDeclined'
+};
+
+/**
+ * Adds any missing review columns to the Tenant Applications sheet
+ * @return {Object} Column numbers keyed by header, for every column in the sheet
+ */
+function ensureApplicationReviewColumns(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const missing = APPLICATION_REVIEW_HEADERS.filter(header => !headers.includes(header));
+
+  if (missing.length > 0) {
+    const headerRange = sheet.getRange(1, headers.length + 1, 1, missing.length);
+    headerRange.setValues([missing]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#D9EAD3');
+    headers.push(...missing);
+
+    const statusColumn = headers.indexOf('Status') + 1;
+    const statusRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(Object.values(APPLICATION_STATUS), true)
+      .build();
+    sheet.getRange(2, statusColumn, sheet.getMaxRows() - 1, 1).setDataValidation(statusRule);
+  }
+
+  const columns = {};
+  headers.forEach((header, i) => {
+    if (header && !columns[header]) {
+      columns[header] = i + 1;
+    }
+  });
+  return columns;
+}
+
+/**
+ * Returns one application row as an object keyed by header
+ */
+function getApplication(sheet, row) {
+  const columns = ensureApplicationReviewColumns(sheet);
+  const values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+  const application = { row: row };
+  Object.entries(columns).forEach(([header, column]) => {
+    application[header] = values[column - 1];
+  });
+  return application;
+}
+
+/**
+ * Parses a Preferred Room answer such as "Room 101 - $800/month"
+ * @return {Object|null} The room number and listed price, or null for "No preference"
+ */
+function parseRoomChoice(choice) {
+  const match = String(choice || '').match(/^Room\s+(\S+)(?:\s+-\s+\$([\d,.]+))?/);
+  if (!match) return null;
+
+  return {
+    room: match[1],
+    price: match[2] ? Number(match[2].replace(/,/g, '')) : null
+  };
+}
+
+/**
+ * Marks a newly submitted application as New
+ */
+function markApplicationNew(sheet, row) {
+  const columns = ensureApplicationReviewColumns(sheet);
+  const statusCell = sheet.getRange(row, columns['Status']);
+  if (!statusCell.getValue()) {
+    statusCell.setValue(APPLICATION_STATUS.NEW);
+  }
+}
+
+/**
+ * Parses a free-text income answer such as "$3,500/month" to a number
+ */
+function parseIncome(value) {
+  const match = String(value || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Scores an application out of 100 for affordability and completeness.
+ * Income-to-rent ratio counts for up to 50 points, employment 20,
+ * length of stay 10, references 10 and proof of income 10.
+ * @param {Object} application The application from getApplication().
+ * @return {Object} score, ratio, rent, result ('Pass' or 'Review') and flags
+ */
+function screenApplication(application) {
+  const targetRatio = Number(getSetting('Screening Income Ratio')) || 3;
+  const threshold = Number(getSetting('Screening Score Threshold')) || 70;
+  const flags = [];
+  let score = 0;
+
+  // Compare income with the preferred room's price, or the cheapest available room
+  const rooms = getAvailableRooms();
+  const preferred = parseRoomChoice(application['Preferred Room']);
+  const preferredRoom = preferred && rooms.find(room => String(room.number) === String(preferred.room));
+  let rent = preferredRoom ? Number(preferredRoom.price) : null;
+  if (!rent && preferred) {
+    flags.push(`Room ${preferred.room} is no longer available`);
+    rent = preferred.price;
+  }
+  if (!rent && rooms.length > 0) {
+    rent = Math.min(...rooms.map(room => Number(room.price) || Infinity));
+  }
+
+  const income = parseIncome(application['Monthly Income (Gross)']);
+  let ratio = null;
+  if (income === null) {
+    flags.push('Monthly income is not a number');
+  } else if (!rent || !isFinite(rent)) {
+    flags.push('No room price to compare income against');
+  } else {
+    ratio = Math.round(income / rent * 100) / 100;
+    score += Math.min(ratio / targetRatio, 1) * 50;
+    if (ratio < targetRatio) {
+      flags.push(`Income is ${ratio}x rent (target ${targetRatio}x)`);
+    }
+  }
+
+  score += SCREENING_EMPLOYMENT_POINTS[application['Current Employment Status']] || 5;
+  score += SCREENING_STAY_POINTS[application['Expected Length of Stay']] || 0;
+
+  ['Reference 1', 'Reference 2'].forEach(header => {
+    const reference = String(application[header] || '').trim();
+    if (!reference) {
+      flags.push(`${header} missing`);
+    } else if (!/\d{3}/.test(reference)) {
+      flags.push(`${header} has no phone number`);
+      score += 2;
+    } else {
+      score += 5;
+    }
+  });
+
+  const proofOfIncome = String(application['Proof of Income'] || '').trim();
+  if (!proofOfIncome) {
+    flags.push('Missing proof of income');
+  } else if (/upon request|not available|none/i.test(proofOfIncome)) {
+    flags.push('Proof of income not yet provided');
+    score += 5;
+  } else {
+    score += 10;
+  }
+
+  score = Math.round(score);
+
+  return {
+    score: score,
+    ratio: ratio,
+    rent: rent && isFinite(rent) ? rent : null,
+    result: score >= threshold ? 'Pass' : 'Review',
+    flags: flags
+  };
+}
+
+/**
+ * Screens an application row and writes the result to its screening columns
+ * @return {Object} The screening from screenApplication()
+ */
+function updateApplicationScreening(sheet, row) {
+  const columns = ensureApplicationReviewColumns(sheet);
+  const screening = screenApplication(getApplication(sheet, row));
+
+  sheet.getRange(row, columns['Screening Score']).setValue(screening.score);
+  sheet.getRange(row, columns['Income-to-Rent Ratio']).setValue(screening.ratio === null ? '' : screening.ratio);
+  sheet.getRange(row, columns['Screening Result']).setValue(screening.result);
+  sheet.getRange(row, columns['Screening Flags']).setValue(screening.flags.join('; '));
+
+  return screening;
+}
+
+/**
+ * Re-screens every application still in review, e.g. after the screening
+ * settings or room prices change
+ */
+function screenAllApplications() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(APPLICATION_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    ui.alert('No applications found.');
+    return;
+  }
+
+  const columns = ensureApplicationReviewColumns(sheet);
+  const statuses = sheet.getRange(2, columns['Status'], sheet.getLastRow() - 1, 1).getValues();
+  const closed = [APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.DECLINED, APPLICATION_STATUS.WITHDRAWN];
+  let screened = 0;
+
+  statuses.forEach(([status], i) => {
+    if (!closed.includes(status)) {
+      updateApplicationScreening(sheet, i + 2);
+      screened++;
+    }
+  });
+
+  ui.alert('Screening Complete', `${screened} application(s) screened.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Emails the manager a screening summary for a new application
+ */
+function sendNewApplicationAlert(application, screening) {
+  const emailTemplate = getEmailTemplate('newApplicationAlert', {
+    name: application['Full Name'] || 'Applicant',
+    email: application['Email Address'] || '',
+    preferredRoom: application['Preferred Room'] || 'No preference',
+    moveInDate: application['Desired Move-in Date'] instanceof Date
+      ? Utilities.formatDate(application['Desired Move-in Date'], Session.getScriptTimeZone(), 'yyyy-MM-dd')
+      : application['Desired Move-in Date'] || '',
+    score: screening.score,
+    result: screening.result,
+    ratio: screening.ratio === null ? 'n/a' : `${screening.ratio}x`,
+    rent: screening.rent ? screening.rent.toFixed(2) : 'n/a',
+    flags: screening.flags.length > 0 ? screening.flags.map(flag => `• ${flag}`).join('\n') : '• None'
+  });
+
+  MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+}
+
+/**
+ * Opens the review sidebar for the selected application row
+ */
+function reviewSelectedApplication() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== APPLICATION_SHEET_NAME) {
+    ui.alert(`Please select a row in the ${APPLICATION_SHEET_NAME} sheet.`);
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select an application row.');
+    return;
+  }
+
+  const screening = updateApplicationScreening(sheet, row);
+  const application = getApplication(sheet, row);
+  const preferred = parseRoomChoice(application['Preferred Room']);
+  const assignedRoom = application['Assigned Room'] || (preferred ? preferred.room : '');
+  const moveInDate = toDate(application['Approved Move-In Date'] || application['Desired Move-in Date']);
+
+  // Offer vacant rooms, plus the room already assigned or preferred
+  const rooms = getAvailableRooms();
+  if (assignedRoom && !rooms.some(room => String(room.number) === String(assignedRoom))) {
+    rooms.unshift({ number: assignedRoom, price: preferred ? preferred.price : '' });
+  }
+  const roomOptions = rooms.map(room =>
+    `<option value="${escapeHtml(room.number)}" data-price="${escapeHtml(room.price)}"${String(room.number) === String(assignedRoom) ? ' selected' : ''}>` +
+    `Room ${escapeHtml(room.number)}${room.price ? ` - $${escapeHtml(room.price)}/month` : ''}</option>`
+  ).join('');
+  const statusOptions = Object.values(APPLICATION_STATUS).map(status =>
+    `<option${status === (application['Status'] || APPLICATION_STATUS.NEW) ? ' selected' : ''}>${status}</option>`
+  ).join('');
+
+  const details = [
+    'Email Address',
+    'Phone Number',
+    'Desired Move-in Date',
+    'Preferred Room',
+    'Expected Length of Stay',
+    'Current Employment Status',
+    'Employer/School Name',
+    'Monthly Income (Gross)',
+    'Reference 1',
+    'Reference 2',
+    'Reference Status',
+    'Tell Us About Yourself'
+  ].map(header => {
+    const value = application[header] instanceof Date
+      ? Utilities.formatDate(application[header], Session.getScriptTimeZone(), 'yyyy-MM-dd')
+      : application[header];
+    return `<p><b>${header}:</b> ${escapeHtml(value || '-')}</p>`;
+  }).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 13px;">
+      <h3>${escapeHtml(application['Full Name'] || 'Applicant')}</h3>
+      <div style="background: ${screening.result === 'Pass' ? '#D9EAD3' : '#FFF2CC'}; padding: 8px;">
+        <b>Screening: ${screening.score}/100 (${screening.result})</b><br>
+        Income-to-rent: ${screening.ratio === null ? 'n/a' : screening.ratio + 'x'}${screening.rent ? ` of $${escapeHtml(screening.rent)}/month` : ''}<br>
+        ${screening.flags.map(flag => `&#9888; ${escapeHtml(flag)}`).join('<br>')}
+      </div>
+      ${details}
+      <hr>
+      <form id="reviewForm">
+        <p>Status<br><select name="status">${statusOptions}</select></p>
+        <p>Assigned Room<br><select name="room" onchange="updateRent(this)"><option value="">-- None --</option>${roomOptions}</select></p>
+        <p>Approved Rent<br><input type="number" name="rent" step="0.01" min="0" value="${escapeHtml(application['Approved Rent'] || (preferred && preferred.price) || '')}"></p>
+        <p>Move-In Date<br><input type="date" name="moveInDate" value="${moveInDate ? Utilities.formatDate(moveInDate, Session.getScriptTimeZone(), 'yyyy-MM-dd') : ''}"></p>
+        <p>Review Notes<br><textarea name="notes" rows="4" style="width: 100%;">${escapeHtml(application['Review Notes'])}</textarea></p>
+        <p><label><input type="checkbox" name="sendEmail" checked> Email the decision to the applicant</label></p>
+        <input type="submit" value="Save Review">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      function updateRent(select) {
+        const price = select.options[select.selectedIndex].getAttribute('data-price');
+        if (price) {
+          document.getElementById('reviewForm').rent.value = price;
+        }
+      }
+
+      document.getElementById('reviewForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .saveApplicationReview({
+            row: ${row},
+            status: form.status.value,
+            room: form.room.value,
+            rent: form.rent.value,
+            moveInDate: form.moveInDate.value,
+            notes: form.notes.value,
+            sendEmail: form.sendEmail.checked
+          });
+      });
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setTitle('Application Review');
+  ui.showSidebar(htmlOutput);
+}
+
+/**
+ * Saves a review from the application sidebar. Approving an application
+ * fills in the assigned room's row in the Tenants sheet.
+ * @param {Object} review Fields: row, status, room, rent, moveInDate, notes, sendEmail
+ * @return {string} A confirmation message for the sidebar
+ */
+function saveApplicationReview(review) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(APPLICATION_SHEET_NAME);
+  const columns = ensureApplicationReviewColumns(sheet);
+  const application = getApplication(sheet, Number(review.row));
+  const previousStatus = application['Status'];
+  const rent = review.rent ? Number(review.rent) : '';
+  // Dates from the sidebar are yyyy-MM-dd; parse them as local dates
+  const moveInDate = review.moveInDate ? new Date(`${review.moveInDate}T00:00:00`) : '';
+  let welcomeSent = false;
+
+  if (review.status === APPLICATION_STATUS.APPROVED) {
+    if (!review.room) throw new Error('Assign a room before approving the application.');
+    if (!rent || rent <= 0) throw new Error('Enter the approved rent before approving the application.');
+    if (!moveInDate) throw new Error('Enter the move-in date before approving the application.');
+
+    if (previousStatus !== APPLICATION_STATUS.APPROVED) {
+      welcomeSent = convertApplicantToTenant(application, review.room, rent, moveInDate);
+      closeWaitlistEntry(application.row, WAITLIST_STATUS.ACCEPTED, review.room);
+    }
+  } else if (review.status === APPLICATION_STATUS.DECLINED || review.status === APPLICATION_STATUS.WITHDRAWN) {
+    closeWaitlistEntry(application.row, WAITLIST_STATUS.REMOVED);
+  }
+
+  sheet.getRange(application.row, columns['Status']).setValue(review.status);
+  sheet.getRange(application.row, columns['Assigned Room']).setValue(review.room);
+  sheet.getRange(application.row, columns['Approved Rent']).setValue(rent);
+  sheet.getRange(application.row, columns['Approved Move-In Date']).setValue(moveInDate);
+  sheet.getRange(application.row, columns['Review Notes']).setValue(review.notes);
+  if (review.status === APPLICATION_STATUS.APPROVED || review.status === APPLICATION_STATUS.DECLINED) {
+    sheet.getRange(application.row, columns['Decision Date']).setValue(new Date());
+  }
+
+  let message = `Application marked ${review.status}.`;
+
+  const templateType = APPLICATION_DECISION_TEMPLATES[review.status];
+  const email = application['Email Address'];
+  if (review.sendEmail && templateType && review.status !== previousStatus && email) {
+    const emailTemplate = getEmailTemplate(templateType, {
+      name: application['Full Name'] || 'Applicant',
+      room: review.room,
+      rent: rent ? rent.toFixed(2) : '',
+      moveInDate: moveInDate ? Utilities.formatDate(moveInDate, Session.getScriptTimeZone(), 'MMMM d, yyyy') : ''
+    });
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+    message += ` Decision email sent to ${email}.`;
+  }
+
+  if (review.status === APPLICATION_STATUS.APPROVED && previousStatus !== APPLICATION_STATUS.APPROVED) {
+    message += ` Room ${review.room} in the Tenants sheet is now Pending for ${application['Full Name']}` +
+      (welcomeSent
+        ? ' and the welcome packet has been sent.'
+        : '. The welcome packet could not be sent; check the email address and use Onboarding Checklist for Selected Tenant to send it again.');
+  }
+
+  return message;
+}
+
+/**
+ * Fills in the Tenants row for an approved applicant's room, starting a new
+ * lease term on the move-in date, marks it Pending and starts onboarding
+ * @return {boolean} Whether the welcome packet has been sent
+ */
+function convertApplicantToTenant(application, room, rent, moveInDate) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) throw new Error('Tenants sheet not found.');
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+  const index = data.findIndex(row => String(row[COL_ROOM_NUMBER - 1]) === String(room));
+  if (index === -1) throw new Error(`Room ${room} is not in the Tenants sheet.`);
+
+  const current = data[index];
+  const currentTenant = current[COL_TENANT_NAME - 1];
+  if (currentTenant && currentTenant !== application['Full Name']) {
+    throw new Error(`Room ${room} is assigned to ${currentTenant}. Choose another room.`);
+  }
+
+  const row = index + 2;
+  sheet.getRange(row, COL_TENANT_NAME).setValue(application['Full Name']);
+  sheet.getRange(row, COL_TENANT_EMAIL).setValue(application['Email Address']);
+  sheet.getRange(row, COL_MOVE_IN_DATE).setValue(moveInDate);
+  sheet.getRange(row, COL_NEGOTIATED_PRICE).setValue(rent);
+  sheet.getRange(row, COL_ROOM_STATUS).setValue('Pending');
+  sheet.getRange(row, COL_LEASE_START).setValue(moveInDate);
+  sheet.getRange(row, COL_LEASE_END).setValue(getLeaseTermEnd(moveInDate));
+  
+  const onboardingRow = startOnboarding(room, application['Full Name'], moveInDate);
+  return Boolean(getOnboardingSheet().getRange(onboardingRow, ONBOARDING_COL_WELCOME_SENT).getValue());
+}
+
+// End of Application Review Pipeline
@@ -0,0 +1,314 @@
+// Collections.gs
+/**
+ * Collections Ladder for the Parsonage Tenant Management System
+ * Escalates overdue rent one step at a time, keyed on days overdue:
+ * friendly reminder, firm reminder, formal notice, manager call, final notice.
+ * Each step is taken once per period of arrears, and the manager can pause
+ * the ladder for an individual tenant. Runs as part of the daily
+ * checkAllPaymentStatus trigger.
+ */
+
+const COLLECTIONS_SHEET_NAME = 'Collections';
+
+/**
+ * Collections ladder steps, in order. Each step is taken when the oldest
+ * unpaid rent has been overdue for the number of days in its setting.
+ */
+const COLLECTION_STEPS = [
+  { name: 'Friendly Reminder', setting: 'Collections Friendly Reminder Day', template: 'collectionFriendly' },
+  { name: 'Firm Reminder', setting: 'Collections Firm Reminder Day', template: 'collectionFirm' },
+  { name: 'Formal Notice', setting: 'Collections Formal Notice Day', template: null }, // Late Rent notice letter
+  { name: 'Manager Call', setting: 'Collections Manager Call Day', template: 'collectionCallTask' },
+  { name: 'Final Notice', setting: 'Collections Final Notice Day', template: 'collectionFinal' }
+];
+
+/**
+ * Headers for the 'Collections' sheet
+ */
+const COLLECTIONS_HEADERS = [
+  'Room Number',
+  'Tenant Name',
+  'Days Overdue',
+  'Current Step', // The last ladder step taken; blank when not overdue
+  'Last Step Date',
+  'Paused', // Yes to stop the ladder for this tenant
+  'Pause Note',
+  'Step History'
+];
+
+// Collections sheet columns (1-based)
+const COLLECTIONS_COL_ROOM = 1;
+const COLLECTIONS_COL_TENANT = 2;
+const COLLECTIONS_COL_DAYS = 3;
+const COLLECTIONS_COL_STEP = 4;
+const COLLECTIONS_COL_STEP_DATE = 5;
+const COLLECTIONS_COL_PAUSED = 6;
+const COLLECTIONS_COL_PAUSE_NOTE = 7;
+const COLLECTIONS_COL_HISTORY = 8;
+
+/**
+ * Returns the Collections sheet, creating it on first use
+ */
+function getCollectionsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(COLLECTIONS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, COLLECTIONS_SHEET_NAME, COLLECTIONS_HEADERS);
+    sheet = ss.getSheetByName(COLLECTIONS_SHEET_NAME);
+    sheet.getRange(2, COLLECTIONS_COL_STEP_DATE, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the ladder state for every tenant in the Collections sheet,
+ * keyed by ledger key. The sheet is not created until a tenant is first
+ * put on the ladder or paused.
+ */
+function getCollectionsState() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COLLECTIONS_SHEET_NAME);
+  const state = {};
+  if (!sheet || sheet.getLastRow() < 2) return state;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, COLLECTIONS_HEADERS.length).getValues().forEach((row, i) => {
+    state[getLedgerKey(row[COLLECTIONS_COL_ROOM - 1], row[COLLECTIONS_COL_TENANT - 1])] = {
+      row: i + 2,
+      step: row[COLLECTIONS_COL_STEP - 1],
+      paused: row[COLLECTIONS_COL_PAUSED - 1] === 'Yes',
+      history: row[COLLECTIONS_COL_HISTORY - 1]
+    };
+  });
+
+  return state;
+}
+
+/**
+ * Returns how many days a tenant's oldest unpaid rent is past its due date
+ */
+function getDaysOverdue(summary, asOfDate) {
+  if (!summary) return 0;
+
+  const oldestRent = summary.unpaidCharges.find(charge => charge.type === LEDGER_ENTRY_TYPES.RENT_CHARGE);
+  if (!oldestRent) return 0;
+
+  const today = new Date(asOfDate || new Date());
+  today.setHours(0, 0, 0, 0);
+  const dueDate = getRentDueDate(oldestRent, getLateFeePolicy().graceDay);
+
+  return Math.max(Math.floor((today - dueDate) / (1000 * 60 * 60 * 24)), 0);
+}
+
+/**
+ * Moves each overdue tenant up the collections ladder. Only the highest step
+ * reached is taken, so a tenant who is already far behind when first seen
+ * is not sent every earlier step at once. Tenants who catch up are taken
+ * off the ladder.
+ * @param {Date} asOfDate Optional date to run the ladder as of
+ * @return {number} Number of steps taken
+ */
+function runCollectionsLadder(asOfDate) {
+  const tenantsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!tenantsSheet || tenantsSheet.getLastRow() < 2) return 0;
+
+  let collectionsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COLLECTIONS_SHEET_NAME);
+  const state = getCollectionsState();
+  const summaries = summarizeLedger(getLedgerEntries(), asOfDate);
+  const data = tenantsSheet.getRange(2, 1, tenantsSheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  let taken = 0;
+
+  data.forEach((row, i) => {
+    const tenantName = row[COL_TENANT_NAME - 1];
+    if (row[COL_ROOM_STATUS - 1] !== 'Occupied' || !tenantName) return;
+
+    const room = String(row[COL_ROOM_NUMBER - 1]);
+    const key = getLedgerKey(room, tenantName);
+    const summary = summaries[key];
+    const daysOverdue = getDaysOverdue(summary, asOfDate);
+    let tenantState = state[key];
+
+    if (!tenantState) {
+      if (daysOverdue === 0) return;
+      collectionsSheet = getCollectionsSheet();
+      collectionsSheet.appendRow([room, tenantName, daysOverdue, '', '', 'No', '', '']);
+      tenantState = { row: collectionsSheet.getLastRow(), step: '', paused: false, history: '' };
+    }
+
+    collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_DAYS).setValue(daysOverdue);
+
+    // Caught up: start again from the first step next time
+    if (daysOverdue === 0) {
+      if (tenantState.step) {
+        collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_STEP).setValue('');
+        collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_HISTORY)
+          .setValue(appendStepHistory(tenantState.history, `${today} Caught up`));
+      }
+      return;
+    }
+
+    if (tenantState.paused) return;
+
+    const currentIndex = COLLECTION_STEPS.findIndex(step => step.name === tenantState.step);
+    let targetIndex = -1;
+    COLLECTION_STEPS.forEach((step, index) => {
+      if (daysOverdue >= (Number(getSetting(step.setting)) || 0)) {
+        targetIndex = index;
+      }
+    });
+    if (targetIndex <= currentIndex) return;
+
+    const step = COLLECTION_STEPS[targetIndex];
+    try {
+      takeCollectionStep(step, row, i + 2, summary, daysOverdue);
+    } catch (error) {
+      console.error(`Collections step ${step.name} failed for ${tenantName}: ${error.message}`);
+      return;
+    }
+
+    collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_STEP).setValue(step.name);
+    collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_STEP_DATE).setValue(new Date());
+    collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_HISTORY)
+      .setValue(appendStepHistory(tenantState.history, `${today} ${step.name} (${daysOverdue} days)`));
+    taken++;
+  });
+
+  return taken;
+}
+
+/**
+ * Adds an entry to a tenant's step history
+ */
+function appendStepHistory(history, entry) {
+  return history ? `${history}\n${entry}` : entry;
+}
+
+/**
+ * Takes one collections ladder step for a tenant
+ */
+function takeCollectionStep(step, row, tenantRow, summary, daysOverdue) {
+  const tenantName = row[COL_TENANT_NAME - 1];
+  const room = String(row[COL_ROOM_NUMBER - 1]);
+  const email = row[COL_TENANT_EMAIL - 1];
+
+  // The formal notice is a Late Rent notice letter, archived and logged like any other
+  if (!step.template) {
+    processNoticeLetter({
+      row: tenantRow,
+      tenantName: tenantName,
+      type: NOTICE_TYPES.LATE_RENT,
+      effectiveDate: Utilities.formatDate(getEarliestNoticeDate(NOTICE_TYPES.LATE_RENT), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+      sendEmail: true
+    });
+    return;
+  }
+
+  const emailTemplate = getEmailTemplate(step.template, {
+    tenantName: tenantName,
+    room: room,
+    email: email,
+    balance: summary.balance.toFixed(2),
+    monthsInArrears: summary.monthsInArrears,
+    daysOverdue: daysOverdue,
+    charges: getInvoiceLineItems(room, tenantName).map(item => formatLineItem(item)).join('\n')
+  });
+
+  if (step.template === 'collectionCallTask') {
+    MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+  } else if (email) {
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body,
+      step.template === 'collectionFinal' ? { cc: MANAGER_EMAIL } : {});
+  }
+}
+
+/**
+ * Returns the current ladder step for a tenant, with "(paused)" if paused
+ */
+function getCollectionsStepLabel(state, room, tenantName) {
+  const tenantState = state[getLedgerKey(room, tenantName)];
+  if (!tenantState) return '';
+
+  return `${tenantState.step || 'Not started'}${tenantState.paused ? ' (paused)' : ''}`;
+}
+
+/**
+ * Pauses or resumes the collections ladder for the selected tenant row
+ */
+function toggleCollectionsPause() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  const tenantState = getCollectionsState()[getLedgerKey(room, tenantName)];
+
+  if (tenantState && tenantState.paused) {
+    const response = ui.alert('Resume Collections', `Resume the collections ladder for ${tenantName}?`, ui.ButtonSet.YES_NO);
+    if (response !== ui.Button.YES) return;
+
+    setCollectionsPaused(room, tenantName, false);
+    ui.alert('Collections Resumed', `The collections ladder will continue for ${tenantName}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt(
+    'Pause Collections',
+    `Enter a note explaining why the collections ladder is paused for ${tenantName}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  setCollectionsPaused(room, tenantName, true, response.getResponseText());
+  ui.alert('Collections Paused', `No further collections steps will be taken for ${tenantName} until resumed.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Pauses or resumes the collections ladder for a tenant
+ */
+function setCollectionsPaused(room, tenantName, paused, note) {
+  const collectionsSheet = getCollectionsSheet();
+  let tenantState = getCollectionsState()[getLedgerKey(room, tenantName)];
+  if (!tenantState) {
+    collectionsSheet.appendRow([room, tenantName, 0, '', '', 'No', '', '']);
+    tenantState = { row: collectionsSheet.getLastRow(), history: '' };
+  }
+
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_PAUSED).setValue(paused ? 'Yes' : 'No');
+  collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_PAUSE_NOTE).setValue(paused ? note || '' : '');
+  collectionsSheet.getRange(tenantState.row, COLLECTIONS_COL_HISTORY)
+    .setValue(appendStepHistory(tenantState.history, `${today} ${paused ? `Paused${note ? `: ${note}` : ''}` : 'Resumed'}`));
+}
+
+/**
+ * Removes a tenant from the Collections sheet when they move out, so their
+ * ladder step and pause don't linger against the room
+ */
+function clearCollectionsState(room, tenantName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COLLECTIONS_SHEET_NAME);
+  if (!sheet) return;
+
+  const tenantState = getCollectionsState()[getLedgerKey(room, tenantName)];
+  if (tenantState) {
+    sheet.deleteRow(tenantState.row);
+  }
+}
+
+// End of Collections Ladder
@@ -0,0 +1,152 @@
+// FormSync.gs
+/**
+ * Form Room Choice Sync for the Parsonage Tenant Management System
+ * Keeps the room question on the tenant application and guest booking forms
+ * in step with the Tenants and Guest Rooms sheets, listing the rooms that are
+ * currently vacant at their current rates. Runs when either sheet is edited
+ * and daily, so changes made by the script itself are picked up too.
+ */
+
+// Title of the section the room question is moved behind while no rooms are available
+const NO_ROOMS_SECTION_TITLE = 'No Rooms Currently Available';
+
+/**
+ * Returns the room choices for the tenant application form: vacant rooms at
+ * their current price, in the "Room 101 - $800/month" form read by
+ * parseRoomChoice, followed by No preference
+ * @return {string[]} The choices, or an empty array if no room is vacant
+ */
+function getTenantRoomChoices() {
+  const choices = getAvailableRooms().map(room => `Room ${room.number} - $${room.price}/month`);
+  if (choices.length > 0) {
+    choices.push('No preference');
+  }
+  return choices;
+}
+
+/**
+ * Returns the room choices for the guest booking form: guest rooms that are
+ * available at their current daily rate, followed by No preference
+ * @return {string[]} The choices, or an empty array if no guest room is available
+ */
+function getGuestRoomChoices() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GUEST_ROOMS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const choices = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, GUEST_ROOMS_HEADERS.length).getValues().forEach(room => {
+    if (room[0] && room[1] && (room[7] === 'Available' || !room[7])) {
+      choices.push(`${room[1]} - $${room[2]}/night`);
+    }
+  });
+
+  if (choices.length > 0) {
+    choices.push('No preference');
+  }
+  return choices;
+}
+
+/**
+ * Updates a form's room question to its current choices. Forms can't hide a
+ * question, so while there are no choices the question is moved to a final
+ * section that respondents never reach (the page before it submits the form),
+ * and moved back after its anchor question once rooms are available again.
+ * Moving rather than deleting the question keeps its response column.
+ * @param {GoogleAppsScript.Forms.Form} form The form to update.
+ * @param {Object} roomQuestion The form's roomQuestion from getFormDefinitions():
+ *     its title, the title of the question it follows, whether it is required
+ *     while shown and the function returning its choices.
+ * @return {string} A summary of the change
+ */
+function syncRoomQuestion(form, roomQuestion) {
+  const title = roomQuestion.title;
+  const choices = roomQuestion.getChoices();
+  const items = form.getItems();
+  const roomItem = items.find(item => item.getTitle() === title && item.getType() === FormApp.ItemType.MULTIPLE_CHOICE);
+  if (!roomItem) return `'${title}' question not found`;
+
+  const question = roomItem.asMultipleChoiceItem();
+  const hiddenSection = items.find(item => item.getTitle() === NO_ROOMS_SECTION_TITLE && item.getType() === FormApp.ItemType.PAGE_BREAK);
+
+  if (choices.length === 0) {
+    question.setRequired(false);
+    if (!hiddenSection) {
+      form.addPageBreakItem()
+        .setTitle(NO_ROOMS_SECTION_TITLE)
+        .setGoToPage(FormApp.PageNavigationType.SUBMIT);
+      form.moveItem(roomItem.getIndex(), form.getItems().length - 1);
+    }
+    return `'${title}' hidden (no rooms available)`;
+  }
+
+  question.setChoices(choices.map(choice => question.createChoice(choice)));
+
+  if (hiddenSection) {
+    const anchor = form.getItems().find(item => item.getTitle() === roomQuestion.anchorTitle);
+    form.moveItem(roomItem.getIndex(), anchor ? anchor.getIndex() + 1 : hiddenSection.getIndex());
+    form.deleteItem(hiddenSection);
+  }
+  question.setRequired(roomQuestion.required);
+
+  return `'${title}' updated with ${choices.length - 1} room(s)`;
+}
+
+/**
+ * Brings the room choices on the tenant application and guest booking forms
+ * up to date. Run daily by trigger; forms that haven't been created are skipped.
+ * @return {string[]} A summary line for each form
+ */
+function syncFormRoomChoices() {
+  const results = Object.values(getFormDefinitions())
+    .filter(definition => definition.roomQuestion)
+    .map(definition => {
+      const form = getLinkedForm(definition.idProperty, definition.responseSheetName);
+      return `${definition.name}: ${form ? syncRoomQuestion(form, definition.roomQuestion) : 'Not yet created'}`;
+    });
+
+  console.log(`Form room choices synced: ${results.join('; ')}`);
+  return results;
+}
+
+/**
+ * Installable edit trigger: re-syncs the form room choices when a room
+ * number, price, rate or status changes in the Tenants or Guest Rooms sheet
+ */
+function onRoomSheetEdit(e) {
+  if (!e || !e.range) return;
+
+  const sheetName = e.range.getSheet().getName();
+  let columns;
+  if (sheetName === TENANTS_SHEET_NAME) {
+    columns = [COL_ROOM_NUMBER, COL_RENTAL_PRICE, COL_NEGOTIATED_PRICE, COL_ROOM_STATUS];
+  } else if (sheetName === GUEST_ROOMS_SHEET_NAME) {
+    columns = [1, 2, 3, 8]; // Room Number, Room Name, Daily Rate, Status
+  } else {
+    return;
+  }
+
+  const firstColumn = e.range.getColumn();
+  const lastColumn = e.range.getLastColumn();
+  if (e.range.getLastRow() < 2 || !columns.some(column => column >= firstColumn && column <= lastColumn)) return;
+
+  try {
+    syncFormRoomChoices();
+  } catch (err) {
+    console.error(`Failed to sync form room choices: ${err.message}`);
+  }
+}
+
+/**
+ * Menu action: syncs the form room choices now and reports the result
+ */
+function syncFormRoomChoicesNow() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const results = syncFormRoomChoices();
+    ui.alert('Form Room Choices', results.join('\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', `Failed to sync form room choices: ${e.message}`, ui.ButtonSet.OK);
+  }
+}
+
+// End of Form Room Choice Sync
@@ -9,6 +9,7 @@
 const GUEST_BOOKINGS_SHEET_NAME = 'Guest Bookings';
 const GUEST_ROOMS_SHEET_NAME = 'Guest Rooms';
 const GUEST_BOOKING_FORM_NAME = 'Guest Room Booking Request';
+const GUEST_BOOKING_REQUESTS_SHEET_NAME = 'Guest Booking Requests';
 
 // Guest booking status options
 const BOOKING_STATUS = {
@@ -72,7 +73,40 @@ function enhancedOnOpen() {
           .addItem('Send Rent Reminders', 'sendRentReminders')
           .addItem('Send Late Payment Alerts', 'sendLatePaymentAlerts')
           .addItem('Send Monthly Invoices', 'sendMonthlyInvoices')
-          .addItem('Mark Selected Payment Received', 'markPaymentReceived'))
+          .addItem('Mark Selected Payment Received', 'markPaymentReceived')
+          .addItem('Post Ledger Adjustment', 'postLedgerAdjustment')
+          .addItem('Waive Late Fees for Selected Tenant', 'waiveLateFees')
+          .addItem('Pause/Resume Collections for Selected Tenant', 'toggleCollectionsPause')
+          .addItem('Create Payment Plan for Selected Tenant', 'createPaymentPlan')
+          .addItem('Cancel Payment Plan for Selected Tenant', 'cancelPaymentPlan')
+          .addItem('Generate Lease for Selected Tenant', 'generateLease')
+          .addItem('Mark Lease Signed', 'markLeaseSigned')
+          .addItem('Send Renewal Offer', 'sendRenewalOffer')
+          .addItem('Confirm Lease Renewal', 'confirmLeaseRenewal')
+          .addItem('Schedule Rent Change', 'scheduleRentChange')
+          .addItem('Generate Notice Letter', 'generateNoticeLetter'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Applications')
+          .addItem('Review Selected Application', 'reviewSelectedApplication')
+          .addItem('Screen All Applications', 'screenAllApplications')
+          .addItem('Send Reference Checks for Selected Application', 'sendReferenceChecks')
+          .addItem('Offer Selected Room to Waitlist', 'notifyWaitlistForSelectedRoom')
+          .addItem('Record Response to Selected Waitlist Offer', 'recordWaitlistResponse'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Move-In')
+          .addItem('Onboarding Checklist for Selected Tenant', 'showOnboardingChecklist')
+          .addItem('Record Deposit for Selected Tenant', 'recordSecurityDeposit')
+          .addItem('Inspect Room for Selected Tenant', 'showInspectionChecklist'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Move-Out')
+          .addItem('Review Selected Move-Out Request', 'reviewMoveOutRequest')
+          .addItem('Schedule Move-Out Inspection', 'scheduleInspectionForSelectedTenant')
+          .addItem('Inspect Room for Selected Tenant', 'showInspectionChecklist')
+          .addItem('Complete Move-Out for Selected Tenant', 'completeMoveOutForSelectedTenant')
+          .addItem('Settle Deposit for Selected Tenant', 'settleSecurityDeposit'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Maintenance')
+          .addItem('Update Selected Work Order', 'updateSelectedWorkOrder'))
       .addSeparator()
       .addSubMenu(ui.createMenu('Guest Room Management')
           .addItem('View Today\'s Arrivals', 'showTodayArrivals')
@@ -86,6 +120,8 @@ function enhancedOnOpen() {
       .addSeparator()
       .addSubMenu(ui.createMenu('Budget & Reports')
           .addItem('Generate Monthly Report', 'generateMonthlyReport')
+          .addItem('Accounts Receivable Aging', 'showAgingReport')
+          .addItem('Generate Rent Roll', 'generateRentRoll')
           .addItem('Guest Room Revenue Report', 'generateGuestRoomReport')
           .addItem('Combined Revenue Analysis', 'combinedRevenueAnalysis')
           .addItem('Create Income/Expense Chart', 'createBudgetChart')
@@ -94,7 +130,12 @@ function enhancedOnOpen() {
       .addSubMenu(ui.createMenu('Setup & Configuration')
           .addItem('Setup All Triggers', 'setupAllTriggers')
           .addItem('Auto-Create All Forms', 'autoCreateAllFormsEnhanced')
+          .addItem('Update Form Definitions', 'updateFormDefinitions')
           .addItem('View Form URLs', 'showFormURLs')
+          .addItem('Sync Form Room Choices', 'syncFormRoomChoicesNow')
+          .addItem('Configure Settings', 'configureSettings')
+          .addItem('Edit Lease Template', 'editLeaseTemplate')
+          .addItem('Edit Notice Templates', 'editNoticeTemplates')
           .addItem('Configure Email Templates', 'configureEmailTemplates'))
       .addSeparator()
       .addItem('Send Test Email', 'sendTestEmail')
@@ -741,7 +782,7 @@ function combinedRevenueAnalysis() {
     const amount = row[3];
     const category = row[4];
     
-    if (date >= yearStart && amount > 0) {
+    if (date >= yearStart && amount > 0 && category !== DEPOSIT_LIABILITY_CATEGORY) {
       // Monthly breakdown
       const monthKey = Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM');
       if (!monthlyRevenue[monthKey]) {
@@ -931,26 +972,21 @@ Parsonage Management`
 
 /**
  * Enhanced form creation to include guest booking form
+ * Forms that already exist are reused, so this is safe to run again.
  */
 function autoCreateAllFormsEnhanced() {
   const ui = SpreadsheetApp.getUi();
   
   try {
-    // Create original forms
-    const appForm = createTenantApplicationForm();
-    const moveOutForm = createMoveOutRequestForm();
-    
-    // Create guest booking form
-    const guestForm = createGuestBookingForm();
+    // Create or reuse the original forms, the maintenance request form and the guest booking form
+    const results = Object.values(getFormDefinitions()).map(definition => setupForm(definition, false));
     
     // Set up triggers
     setupEnhancedFormTriggers();
     
     // Success message
-    const message = `All forms created successfully!\n\n` +
-      `Tenant Application Form:\n${appForm.getEditUrl()}\n\n` +
-      `Move-Out Form:\n${moveOutForm.getEditUrl()}\n\n` +
-      `Guest Booking Form:\n${guestForm.getEditUrl()}`;
+    const message = `All forms are set up!\n\n` +
+      results.map(result => `${result.status}\n${result.form.getEditUrl()}`).join('\n\n');
     
     ui.alert('Forms Created', message, ui.ButtonSet.OK);
     
@@ -961,134 +997,89 @@ function autoCreateAllFormsEnhanced() {
 }
 
 /**
- * Create guest booking form
+ * Sets the guest booking form's description and settings
  */
-function createGuestBookingForm() {
-  const form = FormApp.create('Parsonage Guest Room Booking Request');
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  
+function configureGuestBookingForm(form) {
   form.setDescription('Request a booking for our guest accommodation. We will review your request and contact you within 24 hours.');
   form.setCollectEmail(true);
   form.setRequireLogin(false);
-  
-  // Personal information
-  form.addSectionHeaderItem()
-    .setTitle('Guest Information')
-    .setHelpText('Please provide your contact details');
-  
-  form.addTextItem()
-    .setTitle('Full Name')
-    .setRequired(true);
-  
-  form.addTextItem()
-    .setTitle('Email Address')
-    .setRequired(true)
-    .setValidation(
-      FormApp.createTextValidation()
-        .requireTextIsEmail()
-        .build()
-    );
-  
-  form.addTextItem()
-    .setTitle('Phone Number')
-    .setRequired(true);
-  
-  // Booking details
-  form.addSectionHeaderItem()
-    .setTitle('Booking Details');
-  
-  form.addDateItem()
-    .setTitle('Check-in Date')
-    .setRequired(true);
-  
-  form.addDateItem()
-    .setTitle('Check-out Date')
-    .setRequired(true);
-  
-  form.addTextItem()
-    .setTitle('Number of Guests')
-    .setHelpText('Maximum 2 per room')
-    .setRequired(true)
-    .setValidation(
-      FormApp.createTextValidation()
-        .requireNumberBetween(1, 2)
-        .build()
-    );
-  
-  // Room preference
-  const roomChoice = form.addMultipleChoiceItem()
-    .setTitle('Room Preference')
-    .setRequired(false);
-  
-  // Get guest rooms
-  try {
-    const guestRoomsSheet = ss.getSheetByName(GUEST_ROOMS_SHEET_NAME);
-    if (guestRoomsSheet && guestRoomsSheet.getLastRow() > 1) {
-      const rooms = guestRoomsSheet.getRange(2, 1, guestRoomsSheet.getLastRow() - 1, 4).getValues();
-      const choices = [];
-      
-      rooms.forEach(room => {
-        if (room[0] && room[1]) {
-          choices.push(
-            roomChoice.createChoice(`${room[1]} - $${room[2]}/night`)
-          );
-        }
-      });
-      
-      choices.push(roomChoice.createChoice('No preference'));
-      roomChoice.setChoices(choices);
-    }
-  } catch (e) {
-    roomChoice.setChoices([
-      roomChoice.createChoice('Guest Suite 1 - $75/night'),
-      roomChoice.createChoice('Guest Suite 2 - $65/night'),
-      roomChoice.createChoice('No preference')
-    ]);
-  }
-  
-  // Purpose of visit
-  form.addMultipleChoiceItem()
-    .setTitle('Purpose of Visit')
-    .setChoices([
-      FormApp.createChoice('Visiting family/friends'),
-      FormApp.createChoice('Business/work'),
-      FormApp.createChoice('Tourism/vacation'),
-      FormApp.createChoice('Medical/healthcare'),
-      FormApp.createChoice('Other')
-    ])
-    .setRequired(true);
-  
-  // Special requests
-  form.addParagraphTextItem()
-    .setTitle('Special Requests or Notes')
-    .setHelpText('Any special requirements or additional information')
-    .setRequired(false);
-  
-  // Agreement
-  form.addCheckboxItem()
-    .setTitle('Terms and Conditions')
-    .setChoices([
-      FormApp.createChoice('I understand this is a booking request and not a confirmed reservation'),
-      FormApp.createChoice('I agree to the house rules and check-in/out times'),
-      FormApp.createChoice('I understand payment is due at check-in')
-    ])
-    .setRequired(true)
-    .setValidation(
-      FormApp.createCheckboxValidation()
-        .requireSelectAtLeast(3)
-        .build()
-    );
-  
-  // Link to spreadsheet
-  form.setDestination(FormApp.DestinationType.SPREADSHEET, ss.getId());
-  
-  // Rename the sheet
-  Utilities.sleep(2000);
-  const sheets = ss.getSheets();
-  const newSheet = sheets[sheets.length - 1];
-  newSheet.setName('Guest Booking Requests');
-  
-  return form;
+}
+
+/**
+ * Questions on the guest booking form, in order
+ */
+function getGuestBookingQuestions() {
+  return [
+    // Personal information
+    { title: 'Guest Information', add: form => form.addSectionHeaderItem()
+      .setHelpText('Please provide your contact details') },
+    
+    { title: 'Full Name', add: form => form.addTextItem()
+      .setRequired(true) },
+    
+    { title: 'Email Address', add: form => form.addTextItem()
+      .setRequired(true)
+      .setValidation(
+        FormApp.createTextValidation()
+          .requireTextIsEmail()
+          .build()
+      ) },
+    
+    { title: 'Phone Number', add: form => form.addTextItem()
+      .setRequired(true) },
+    
+    // Booking details
+    { title: 'Booking Details', add: form => form.addSectionHeaderItem() },
+    
+    { title: 'Check-in Date', add: form => form.addDateItem()
+      .setRequired(true) },
+    
+    { title: 'Check-out Date', add: form => form.addDateItem()
+      .setRequired(true) },
+    
+    { title: 'Number of Guests', add: form => form.addTextItem()
+      .setHelpText('Maximum 2 per room')
+      .setRequired(true)
+      .setValidation(
+        FormApp.createTextValidation()
+          .requireNumberBetween(1, 2)
+          .build()
+      ) },
+    
+    // Room preference - choices are filled in from the Guest Rooms sheet by syncRoomQuestion
+    { title: 'Room Preference', add: form => form.addMultipleChoiceItem()
+      .setRequired(false) },
+    
+    // Purpose of visit
+    { title: 'Purpose of Visit', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('Visiting family/friends'),
+        FormApp.createChoice('Business/work'),
+        FormApp.createChoice('Tourism/vacation'),
+        FormApp.createChoice('Medical/healthcare'),
+        FormApp.createChoice('Other')
+      ])
+      .setRequired(true) },
+    
+    // Special requests
+    { title: 'Special Requests or Notes', add: form => form.addParagraphTextItem()
+      .setHelpText('Any special requirements or additional information')
+      .setRequired(false) },
+    
+    // Agreement
+    { title: 'Terms and Conditions', add: form => form.addCheckboxItem()
+      .setChoices([
+        FormApp.createChoice('I understand this is a booking request and not a confirmed reservation'),
+        FormApp.createChoice('I agree to the house rules and check-in/out times'),
+        FormApp.createChoice('I understand payment is due at check-in')
+      ])
+      .setRequired(true)
+      .setValidation(
+        FormApp.createCheckboxValidation()
+          .requireSelectAtLeast(3)
+          .build()
+      ) }
+  ];
 }
 
 /**
@@ -1173,6 +1164,10 @@ function onEnhancedFormSubmitRouter(e) {
     onMoveOutRequestSubmit(e);
   } else if (sheetName.includes('Guest Booking')) {
     onGuestBookingSubmit(e);
+  } else if (sheetName === MAINTENANCE_REQUESTS_SHEET_NAME) {
+    onMaintenanceRequestSubmit(e);
+  } else if (sheetName === REFERENCE_RESPONSES_SHEET_NAME) {
+    onReferenceResponseSubmit(e);
   }
 }
 
@@ -1203,6 +1198,53 @@ function setupAllTriggers() {
       .atHour(14)
       .create();
   
+  ScriptApp.newTrigger('processScheduledMoveOuts')
+      .timeBased()
+      .everyDays(1)
+      .atHour(7)
+      .create();
+  
+  ScriptApp.newTrigger('processOnboarding')
+      .timeBased()
+      .everyDays(1)
+      .atHour(8)
+      .create();
+  
+  ScriptApp.newTrigger('checkDepositDeadlines')
+      .timeBased()
+      .everyDays(1)
+      .atHour(8)
+      .create();
+  
+  ScriptApp.newTrigger('checkLeaseRenewals')
+      .timeBased()
+      .everyDays(1)
+      .atHour(8)
+      .create();
+  
+  ScriptApp.newTrigger('processWaitlistHolds')
+      .timeBased()
+      .everyDays(1)
+      .atHour(11)
+      .create();
+  
+  ScriptApp.newTrigger('sendReferenceReminders')
+      .timeBased()
+      .everyDays(1)
+      .atHour(11)
+      .create();
+  
+  ScriptApp.newTrigger('syncFormRoomChoices')
+      .timeBased()
+      .everyDays(1)
+      .atHour(9)
+      .create();
+  
+  ScriptApp.newTrigger('onRoomSheetEdit')
+      .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+      .onEdit()
+      .create();
+  
   // Guest room triggers
   ScriptApp.newTrigger('dailyGuestRoomCheck')
       .timeBased()
@@ -0,0 +1,762 @@
+// Inspections.gs
+/**
+ * Room Inspections for the Parsonage Tenant Management System
+ * Schedules move-out inspections from the availability given on the
+ * tenant's move-out request and the manager's Calendar, and records
+ * move-in and move-out condition checklists (with photos) in the
+ * 'Inspections' sheet. A move-out inspection is compared with the move-in
+ * inspection to propose security deposit deductions.
+ */
+
+const INSPECTIONS_SHEET_NAME = 'Inspections';
+
+// Inspection types
+const INSPECTION_TYPES = {
+  MOVE_IN: 'Move-In',
+  MOVE_OUT: 'Move-Out'
+};
+
+/**
+ * Condition ratings, best first. Each step down the list between the move-in
+ * and move-out inspections is treated as damage.
+ */
+const CONDITION_RATINGS = ['Excellent', 'Good', 'Fair', 'Poor', 'Damaged', 'Missing'];
+const CONDITION_NOT_APPLICABLE = 'N/A'; // Item not in the room; never compared
+
+/**
+ * Room inspection checklist, by area
+ */
+const INSPECTION_CHECKLIST = [
+  { area: 'Walls', items: ['Walls and paint', 'Ceiling', 'Windows and screens', 'Door and lock'] },
+  { area: 'Floors', items: ['Floor or carpet', 'Baseboards'] },
+  { area: 'Furniture', items: ['Bed frame', 'Mattress', 'Desk and chair', 'Dresser', 'Closet and shelving'] },
+  { area: 'Fixtures', items: ['Light fixtures', 'Outlets and switches', 'Smoke detector', 'Heating vent or radiator', 'Blinds or curtains'] },
+  { area: 'Keys', items: ['Room key', 'House key', 'Mailbox key'] }
+];
+
+/**
+ * Headers for the 'Inspections' sheet, one row per checklist item
+ */
+const INSPECTIONS_HEADERS = [
+  'Inspection ID',
+  'Date',
+  'Type', // Move-In or Move-Out
+  'Room Number',
+  'Tenant Name',
+  'Area',
+  'Item',
+  'Condition',
+  'Notes',
+  'Photos', // Drive links, one per line
+  'Inspector',
+  'Report' // Link to the inspection report PDF
+];
+
+/**
+ * Column index constants (1-based) for the Inspections sheet
+ */
+const INSPECTION_COL_ID = 1;
+const INSPECTION_COL_DATE = 2;
+const INSPECTION_COL_TYPE = 3;
+const INSPECTION_COL_ROOM = 4;
+const INSPECTION_COL_TENANT = 5;
+const INSPECTION_COL_AREA = 6;
+const INSPECTION_COL_ITEM = 7;
+const INSPECTION_COL_CONDITION = 8;
+const INSPECTION_COL_NOTES = 9;
+const INSPECTION_COL_PHOTOS = 10;
+const INSPECTION_COL_INSPECTOR = 11;
+const INSPECTION_COL_REPORT = 12;
+
+/**
+ * Availability choices on the move-out request form, as days of the week
+ * (0 = Sunday) and the hours an inspection may take place
+ */
+const INSPECTION_AVAILABILITY = {
+  'Weekday mornings (9 AM - 12 PM)': { days: [1, 2, 3, 4, 5], startHour: 9, endHour: 12 },
+  'Weekday afternoons (12 PM - 5 PM)': { days: [1, 2, 3, 4, 5], startHour: 12, endHour: 17 },
+  'Weekday evenings (5 PM - 7 PM)': { days: [1, 2, 3, 4, 5], startHour: 17, endHour: 19 },
+  'Saturday mornings': { days: [6], startHour: 9, endHour: 12 },
+  'Saturday afternoons': { days: [6], startHour: 12, endHour: 17 },
+  'Sunday afternoons': { days: [0], startHour: 12, endHour: 17 }
+};
+
+// Tag set on inspection events so a rescheduled inspection replaces the old event
+const INSPECTION_EVENT_TAG = 'Parsonage Move-Out Inspection';
+
+/**
+ * Returns the calendar inspections are booked in: the one named in Settings,
+ * or the manager's default calendar
+ */
+function getInspectionCalendar() {
+  const calendarId = getSetting('Inspection Calendar ID');
+  const calendar = calendarId ? CalendarApp.getCalendarById(calendarId) : CalendarApp.getDefaultCalendar();
+
+  if (!calendar) {
+    throw new Error(`Calendar ${calendarId} not found. Check the Inspection Calendar ID setting.`);
+  }
+  return calendar;
+}
+
+/**
+ * Returns the availability windows checked on a move-out request
+ * @param {string} availability The form answer, with choices separated by commas.
+ */
+function getAvailabilityWindows(availability) {
+  const answer = String(availability || '');
+  return Object.keys(INSPECTION_AVAILABILITY)
+    .filter(choice => answer.includes(choice))
+    .map(choice => INSPECTION_AVAILABILITY[choice]);
+}
+
+/**
+ * Finds the first inspection time within the tenant's availability that does
+ * not clash with an event in the inspection calendar. Times are searched in
+ * half-hour steps from the start of the inspection window (or tomorrow, if
+ * later) through the move-out date.
+ * @param {string} availability The availability answer from the move-out request.
+ * @param {Date} moveOutDate The tenant's planned move-out date.
+ * @return {Date} The proposed start time, or null if no time is free
+ */
+function proposeInspectionTime(availability, moveOutDate) {
+  const windows = getAvailabilityWindows(availability).sort((a, b) => a.startHour - b.startHour);
+  if (windows.length === 0 || !moveOutDate) return null;
+
+  const calendar = getInspectionCalendar();
+  const duration = Number(getSetting('Inspection Duration (Minutes)')) || 60;
+  const windowDays = Number(getSetting('Inspection Window Days')) || 0;
+  const now = new Date();
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const lastDay = new Date(moveOutDate.getFullYear(), moveOutDate.getMonth(), moveOutDate.getDate());
+  const windowStart = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() - windowDays);
+  const day = windowStart > tomorrow ? windowStart : tomorrow;
+
+  for (; day <= lastDay; day.setDate(day.getDate() + 1)) {
+    const dayWindows = windows.filter(window => window.days.includes(day.getDay()));
+    if (dayWindows.length === 0) continue;
+
+    const events = calendar.getEventsForDay(day);
+    for (const window of dayWindows) {
+      for (let minutes = window.startHour * 60; minutes + duration <= window.endHour * 60; minutes += 30) {
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+        const end = new Date(start.getTime() + duration * 60 * 1000);
+        if (!events.some(event => event.getStartTime() < end && event.getEndTime() > start)) {
+          return start;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Books a move-out inspection for the tenant in a Tenants row: creates the
+ * Calendar event inviting the tenant (replacing any inspection already
+ * booked), emails the confirmation and records the time in the Tenants sheet
+ * @param {number} row The tenant's row in the Tenants sheet.
+ * @param {Date} start The inspection start time.
+ */
+function bookMoveOutInspection(row, start) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const email = rowData[COL_TENANT_EMAIL - 1];
+  const moveOutDate = toDate(rowData[COL_MOVE_OUT_PLANNED - 1]);
+  const calendar = getInspectionCalendar();
+  const duration = Number(getSetting('Inspection Duration (Minutes)')) || 60;
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+
+  // Remove the previous inspection event when rescheduling
+  const previous = toDate(rowData[COL_MOVE_OUT_INSPECTION - 1]);
+  if (previous) {
+    calendar.getEventsForDay(previous)
+      .filter(event => event.getTag(INSPECTION_EVENT_TAG) === room)
+      .forEach(event => event.deleteEvent());
+  }
+
+  const event = calendar.createEvent(`Move-Out Inspection - Room ${room}`, start, end, {
+    description: `Move-out inspection of Room ${room} with ${tenantName}` +
+      (moveOutDate ? `, moving out ${Utilities.formatDate(moveOutDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')}` : '') + '.',
+    guests: email || '',
+    sendInvites: Boolean(email)
+  });
+  event.setTag(INSPECTION_EVENT_TAG, room);
+
+  sheet.getRange(row, COL_MOVE_OUT_INSPECTION).setValue(start).setNumberFormat('yyyy-mm-dd h:mm am/pm');
+
+  if (email) {
+    const emailTemplate = getEmailTemplate('inspectionConfirmation', {
+      name: tenantName,
+      room: room,
+      inspectionDate: Utilities.formatDate(start, Session.getScriptTimeZone(), 'EEEE, MMMM d, yyyy'),
+      inspectionTime: Utilities.formatDate(start, Session.getScriptTimeZone(), 'h:mm a'),
+      duration: duration
+    });
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+  }
+
+  return event;
+}
+
+/**
+ * Schedules the inspection for an accepted move-out request. If no time is
+ * free within the tenant's availability, the manager is asked to arrange it.
+ * @param {Object} request The move-out request, keyed by question title.
+ * @param {number} row The tenant's row in the Tenants sheet.
+ * @return {Date} The booked inspection time, or null if none was found
+ */
+function scheduleMoveOutInspection(request, row) {
+  const availability = request['Availability for Move-Out Inspection'];
+  const moveOutDate = toDate(request['Planned Move-Out Date']);
+  const start = proposeInspectionTime(availability, moveOutDate);
+
+  if (start) {
+    bookMoveOutInspection(row, start);
+    return start;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const emailTemplate = getEmailTemplate('inspectionUnscheduled', {
+    name: sheet.getRange(row, COL_TENANT_NAME).getValue(),
+    room: sheet.getRange(row, COL_ROOM_NUMBER).getValue(),
+    moveOutDate: moveOutDate ? Utilities.formatDate(moveOutDate, Session.getScriptTimeZone(), 'MMMM d, yyyy') : 'not set',
+    availability: availability || 'none given'
+  });
+  MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+  return null;
+}
+
+/**
+ * Proposes a move-out inspection time for the selected tenant from their
+ * move-out request and books it once the manager confirms. The manager may
+ * enter a different time instead.
+ */
+function scheduleInspectionForSelectedTenant() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a tenant row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const moveOutDate = toDate(rowData[COL_MOVE_OUT_PLANNED - 1]);
+
+  if (!tenantName) {
+    ui.alert('The selected room has no current tenant.');
+    return;
+  }
+  if (!moveOutDate) {
+    ui.alert('No move-out date has been recorded for this tenant.');
+    return;
+  }
+
+  const request = findMoveOutRequest(room, tenantName, rowData[COL_TENANT_EMAIL - 1]);
+  const availability = request ? request['Availability for Move-Out Inspection'] : '';
+
+  try {
+    const proposed = proposeInspectionTime(availability, moveOutDate);
+    const proposedText = proposed
+      ? `Proposed time: ${Utilities.formatDate(proposed, Session.getScriptTimeZone(), 'EEEE, MMMM d, yyyy h:mm a')}\n\n` +
+        'Click OK to book it, or enter a different time (yyyy-mm-dd hh:mm).'
+      : 'No free time was found within the tenant\'s availability. Enter a time to book (yyyy-mm-dd hh:mm).';
+
+    const response = ui.prompt(
+      'Schedule Move-Out Inspection',
+      `${tenantName}, Room ${room}\n` +
+      `Move-out date: ${Utilities.formatDate(moveOutDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')}\n` +
+      `Availability: ${availability || 'none given'}\n\n${proposedText}`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const entered = response.getResponseText().trim();
+    const start = entered ? toDate(entered.replace(' ', 'T')) : proposed;
+    if (!start) {
+      ui.alert('Invalid time entered.');
+      return;
+    }
+
+    bookMoveOutInspection(row, start);
+    ui.alert('Inspection Scheduled',
+      `The move-out inspection is booked for ${Utilities.formatDate(start, Session.getScriptTimeZone(), 'EEEE, MMMM d, yyyy h:mm a')}` +
+      (rowData[COL_TENANT_EMAIL - 1] ? ' and the tenant has been sent an invitation.' : '. The tenant has no email on file.'),
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', `Failed to schedule the inspection: ${e.message}`, ui.ButtonSet.OK);
+    console.error(`Error scheduling inspection: ${e.message}`);
+  }
+}
+
+/**
+ * Returns the Inspections sheet, creating it on first use
+ */
+function getInspectionsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(INSPECTIONS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, INSPECTIONS_SHEET_NAME, INSPECTIONS_HEADERS);
+    sheet = ss.getSheetByName(INSPECTIONS_SHEET_NAME);
+    sheet.getRange(2, INSPECTION_COL_DATE, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the next inspection ID (INS-0001, INS-0002, ...)
+ */
+function getNextInspectionId() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const next = Number(scriptProperties.getProperty('LAST_INSPECTION_NUMBER') || 0) + 1;
+    scriptProperties.setProperty('LAST_INSPECTION_NUMBER', String(next));
+    return `INS-${String(next).padStart(4, '0')}`;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Returns the latest inspection of a given type for a tenant
+ * @return {Object} id, date, inspector, report and items keyed by "area|item", or null if none
+ */
+function getLatestInspection(room, tenantName, type) {
+  const sheet = getInspectionsSheet();
+  if (sheet.getLastRow() < 2) return null;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, INSPECTIONS_HEADERS.length).getValues();
+  let inspection = null;
+
+  data.forEach(row => {
+    if (String(row[INSPECTION_COL_ROOM - 1]) !== String(room) || row[INSPECTION_COL_TENANT - 1] !== tenantName ||
+        row[INSPECTION_COL_TYPE - 1] !== type) return;
+
+    // Inspections are appended in order, so a new ID starts a later inspection
+    const id = row[INSPECTION_COL_ID - 1];
+    if (!inspection || inspection.id !== id) {
+      inspection = {
+        id: id,
+        date: toDate(row[INSPECTION_COL_DATE - 1]),
+        inspector: row[INSPECTION_COL_INSPECTOR - 1],
+        report: row[INSPECTION_COL_REPORT - 1],
+        items: {}
+      };
+    }
+    inspection.items[`${row[INSPECTION_COL_AREA - 1]}|${row[INSPECTION_COL_ITEM - 1]}`] = {
+      condition: row[INSPECTION_COL_CONDITION - 1],
+      notes: row[INSPECTION_COL_NOTES - 1],
+      photos: row[INSPECTION_COL_PHOTOS - 1]
+    };
+  });
+
+  return inspection;
+}
+
+/**
+ * Compares a move-out inspection with the move-in inspection, item by item.
+ * Items without a move-in rating are compared against Good. Without a
+ * move-in inspection there is no baseline, so no deductions are proposed.
+ * @return {Array<Object>} area, item, moveIn, moveOut, notes, steps and deduction for each checklist item
+ */
+function compareInspections(moveIn, moveOut) {
+  const perStep = Number(getSetting('Inspection Deduction per Condition Step')) || 0;
+  const comparison = [];
+
+  INSPECTION_CHECKLIST.forEach(({ area, items }) => {
+    items.forEach(item => {
+      const key = `${area}|${item}`;
+      const before = moveIn && moveIn.items[key] ? moveIn.items[key].condition : '';
+      const after = moveOut.items[key] ? moveOut.items[key].condition : '';
+      const beforeIndex = CONDITION_RATINGS.indexOf(before || 'Good');
+      const afterIndex = CONDITION_RATINGS.indexOf(after);
+      const steps = moveIn && beforeIndex !== -1 && afterIndex !== -1 ? Math.max(afterIndex - beforeIndex, 0) : 0;
+
+      comparison.push({
+        area: area,
+        item: item,
+        moveIn: before,
+        moveOut: after,
+        notes: moveOut.items[key] ? moveOut.items[key].notes : '',
+        steps: steps,
+        deduction: steps * perStep
+      });
+    });
+  });
+
+  return comparison;
+}
+
+/**
+ * Returns the deposit deductions proposed by the tenant's latest move-out
+ * inspection, for the settlement dialog
+ * @return {Array<Object>} description and amount of each proposed deduction
+ */
+function getProposedDeductions(room, tenantName) {
+  const moveOut = getLatestInspection(room, tenantName, INSPECTION_TYPES.MOVE_OUT);
+  if (!moveOut) return [];
+
+  const moveIn = getLatestInspection(room, tenantName, INSPECTION_TYPES.MOVE_IN);
+  return compareInspections(moveIn, moveOut)
+    .filter(result => result.deduction > 0)
+    .map(result => ({
+      description: `${result.item} (${result.moveIn || 'Good'} to ${result.moveOut})${result.notes ? ` - ${result.notes}` : ''}`,
+      amount: result.deduction
+    }));
+}
+
+/**
+ * Builds the inspection checklist page for a tenant, used by the sidebar
+ * and the phone web page
+ * @param {Object} tenant sheetName, row, room and tenantName
+ */
+function getInspectionChecklistHtml(tenant) {
+  const hasMoveIn = Boolean(getLatestInspection(tenant.room, tenant.tenantName, INSPECTION_TYPES.MOVE_IN));
+  const defaultType = hasMoveIn ? INSPECTION_TYPES.MOVE_OUT : INSPECTION_TYPES.MOVE_IN;
+  const typeOptions = Object.values(INSPECTION_TYPES).map(type =>
+    `<option${type === defaultType ? ' selected' : ''}>${type}</option>`
+  ).join('');
+  const conditionOptions = ['<option value="">-- Condition --</option>']
+    .concat(CONDITION_RATINGS.concat(CONDITION_NOT_APPLICABLE).map(rating => `<option>${rating}</option>`))
+    .join('');
+
+  const checklist = INSPECTION_CHECKLIST.map(({ area, items }) => `
+    <h4>${area}</h4>
+    ${items.map(item => `
+      <div class="item" data-area="${area}" data-item="${item}">
+        <b>${item}</b>
+        <select class="condition">${conditionOptions}</select>
+        <input type="text" class="notes" placeholder="Notes">
+        <input type="file" class="photos" accept="image/*" multiple>
+      </div>`).join('')}
+  `).join('');
+
+  return `
+    <div style="font-family: Arial, sans-serif; font-size: 14px;">
+      <style>
+        .item { border-bottom: 1px solid #ddd; padding: 8px 0; }
+        .item select, .item input, #inspectionForm select, #inspectionForm input[type=text] {
+          display: block; width: 100%; box-sizing: border-box; margin-top: 4px; font-size: 16px; padding: 6px;
+        }
+        input[type=submit] { width: 100%; font-size: 16px; padding: 10px; margin-top: 12px; }
+      </style>
+      <h3>Room ${escapeHtml(tenant.room)} - ${escapeHtml(tenant.tenantName)}</h3>
+      <form id="inspectionForm">
+        <p>Inspection Type<select name="type">${typeOptions}</select></p>
+        <p>Inspector<input type="text" name="inspector" value="${escapeHtml(Session.getActiveUser().getEmail())}"></p>
+        ${checklist}
+        <input type="submit" value="Save Inspection">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      // Shrink photos before upload so large phone pictures stay within the request limit
+      function readPhoto(file) {
+        return new Promise(function(resolve, reject) {
+          const reader = new FileReader();
+          reader.onerror = reject;
+          reader.onload = function() {
+            const image = new Image();
+            image.onerror = reject;
+            image.onload = function() {
+              const scale = Math.min(1, 1600 / Math.max(image.width, image.height));
+              const canvas = document.createElement('canvas');
+              canvas.width = Math.round(image.width * scale);
+              canvas.height = Math.round(image.height * scale);
+              canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+              resolve({
+                name: file.name.replace(/\\.[^.]*$/, '') + '.jpg',
+                mimeType: 'image/jpeg',
+                data: canvas.toDataURL('image/jpeg', 0.8).split(',')[1]
+              });
+            };
+            image.src = reader.result;
+          };
+          reader.readAsDataURL(file);
+        });
+      }
+
+      document.getElementById('inspectionForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        const result = document.getElementById('result');
+        const rows = Array.from(document.querySelectorAll('.item'));
+
+        if (rows.some(function(row) { return !row.querySelector('.condition').value; })) {
+          result.textContent = 'Please rate every item (use N/A for items not in the room).';
+          return;
+        }
+
+        form.querySelector('input[type=submit]').disabled = true;
+        result.textContent = 'Uploading...';
+
+        Promise.all(rows.map(function(row) {
+          return Promise.all(Array.from(row.querySelector('.photos').files).map(readPhoto)).then(function(photos) {
+            return {
+              area: row.getAttribute('data-area'),
+              item: row.getAttribute('data-item'),
+              condition: row.querySelector('.condition').value,
+              notes: row.querySelector('.notes').value,
+              photos: photos
+            };
+          });
+        })).then(function(items) {
+          google.script.run
+            .withSuccessHandler(function(message) {
+              result.innerHTML = message;
+            })
+            .withFailureHandler(function(error) {
+              result.textContent = 'Error: ' + error.message;
+              form.querySelector('input[type=submit]').disabled = false;
+            })
+            .saveInspection({
+              sheetName: ${JSON.stringify(String(tenant.sheetName))},
+              row: ${Number(tenant.row)},
+              tenantName: ${JSON.stringify(String(tenant.tenantName))},
+              type: form.type.value,
+              inspector: form.inspector.value,
+              items: items
+            });
+        }).catch(function() {
+          result.textContent = 'Error: a photo could not be read.';
+          form.querySelector('input[type=submit]').disabled = false;
+        });
+      });
+    </script>
+  `;
+}
+
+/**
+ * Opens the inspection checklist in a sidebar for the selected tenant row.
+ * Tenants who have already moved out are selected in the Tenant History sheet.
+ */
+function showInspectionChecklist() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME && sheet.getName() !== TENANT_HISTORY_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants or Tenant History sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const { room, tenantName } = getDepositTenant(sheet, row);
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant to inspect for.');
+    return;
+  }
+
+  // Link to the same checklist as a web page, once the script is deployed as a web app
+  const webAppUrl = ScriptApp.getService().getUrl();
+  const phoneLink = webAppUrl && sheet.getName() === TENANTS_SHEET_NAME
+    ? `<p style="font-family: Arial, sans-serif;"><a href="${webAppUrl}?room=${encodeURIComponent(room)}" target="_blank">Open on your phone</a></p>`
+    : '';
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(phoneLink + getInspectionChecklistHtml({ sheetName: sheet.getName(), row: row, room: room, tenantName: tenantName }))
+      .setTitle('Room Inspection');
+  ui.showSidebar(htmlOutput);
+}
+
+/**
+ * Serves the inspection checklist as a phone-friendly web page when the
+ * script is deployed as a web app, e.g. .../exec?room=101
+ */
+function doGet(e) {
+  const room = e && e.parameter ? String(e.parameter.room || '') : '';
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  let content = '<p style="font-family: Arial, sans-serif;">Room not found or has no current tenant.</p>';
+
+  if (room && sheet && sheet.getLastRow() >= 2) {
+    const rooms = sheet.getRange(2, COL_ROOM_NUMBER, sheet.getLastRow() - 1, 1).getValues();
+    const index = rooms.findIndex(value => String(value[0]) === room);
+    const tenantName = index !== -1 ? sheet.getRange(index + 2, COL_TENANT_NAME).getValue() : '';
+    if (tenantName) {
+      content = getInspectionChecklistHtml({ sheetName: TENANTS_SHEET_NAME, row: index + 2, room: room, tenantName: tenantName });
+    }
+  }
+
+  return HtmlService
+      .createHtmlOutput(content)
+      .setTitle('Room Inspection')
+      .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Saves an inspection from the checklist: uploads the photos to the
+ * tenant's Drive folder, records each item in the Inspections sheet and
+ * saves the report PDF alongside. Move-out reports are compared with the
+ * move-in inspection.
+ * @param {Object} inspection Fields: sheetName, row, tenantName, type, inspector, items
+ * @return {string} A confirmation message (HTML) for the checklist page
+ */
+function saveInspection(inspection) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(inspection.sheetName === TENANT_HISTORY_SHEET_NAME ? TENANT_HISTORY_SHEET_NAME : TENANTS_SHEET_NAME);
+  const { room, tenantName } = getDepositTenant(sheet, Number(inspection.row));
+
+  if (tenantName !== inspection.tenantName) {
+    throw new Error('The selected tenant row has changed. Please try again.');
+  }
+  if (!Object.values(INSPECTION_TYPES).includes(inspection.type)) {
+    throw new Error('Invalid inspection type.');
+  }
+
+  const id = getNextInspectionId();
+  const date = new Date();
+  const tenantFolder = getTenantFolder(room, tenantName);
+  const photoFolderName = `${inspection.type} Inspection Photos`;
+  const photoFolders = tenantFolder.getFoldersByName(photoFolderName);
+  const photoFolder = photoFolders.hasNext() ? photoFolders.next() : tenantFolder.createFolder(photoFolderName);
+
+  const rows = inspection.items.map(item => {
+    const photoLinks = (item.photos || []).map((photo, i) => {
+      const blob = Utilities.newBlob(Utilities.base64Decode(photo.data), photo.mimeType, `${id} - ${item.item} - ${i + 1} - ${photo.name}`);
+      return photoFolder.createFile(blob).getUrl();
+    });
+
+    return [
+      id,
+      date,
+      inspection.type,
+      room,
+      tenantName,
+      item.area,
+      item.item,
+      item.condition,
+      item.notes || '',
+      photoLinks.join('\n'),
+      inspection.inspector || '',
+      ''
+    ];
+  });
+
+  const inspectionsSheet = getInspectionsSheet();
+  const firstRow = inspectionsSheet.getLastRow() + 1;
+  inspectionsSheet.getRange(firstRow, 1, rows.length, INSPECTIONS_HEADERS.length).setValues(rows);
+
+  const pdf = createInspectionPDF(room, tenantName, inspection.type);
+  inspectionsSheet.getRange(firstRow, INSPECTION_COL_REPORT, rows.length, 1).setValue(pdf.getUrl());
+
+  const proposed = inspection.type === INSPECTION_TYPES.MOVE_OUT ? getProposedDeductions(room, tenantName) : [];
+  const proposedTotal = proposed.reduce((sum, deduction) => sum + deduction.amount, 0);
+
+  return `Inspection ${id} saved. <a href="${pdf.getUrl()}" target="_blank">Open report PDF</a>` +
+    (proposed.length > 0
+      ? `<br>Proposed deposit deductions: $${proposedTotal.toFixed(2)} (${proposed.length} items). They will be filled in when you settle the deposit.`
+      : '');
+}
+
+/**
+ * Creates the report PDF for a tenant's latest inspection of the given type
+ * and saves it to the tenant's Drive folder. Move-out reports show each item
+ * beside its move-in condition with the proposed deduction.
+ * @return {GoogleAppsScript.Drive.File} The saved PDF file
+ */
+function createInspectionPDF(room, tenantName, type) {
+  const inspection = getLatestInspection(room, tenantName, type);
+  const dateStr = Utilities.formatDate(inspection.date, Session.getScriptTimeZone(), 'MMMM d, yyyy');
+  const doc = DocumentApp.create(`${type} Inspection - ${tenantName} - Room ${room}`);
+  const body = doc.getBody();
+
+  // Clear default content
+  body.clear();
+
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  // Add report title
+  const title = body.appendParagraph(`${type} Inspection Report`);
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
+
+  body.appendParagraph(`Tenant: ${tenantName}`);
+  body.appendParagraph(`Room: ${room}`);
+  body.appendParagraph(`Date: ${dateStr}`);
+  body.appendParagraph(`Inspector: ${inspection.inspector || '-'}`);
+  body.appendParagraph(`Inspection ID: ${inspection.id}`);
+  body.appendParagraph('');
+
+  // Add checklist table, with the header row in bold
+  const photoCount = photos => photos ? String(String(photos).split('\n').length) : '';
+  let cells;
+  let totalDeductions = 0;
+
+  if (type === INSPECTION_TYPES.MOVE_OUT) {
+    const moveIn = getLatestInspection(room, tenantName, INSPECTION_TYPES.MOVE_IN);
+    const comparison = compareInspections(moveIn, inspection);
+    cells = [['Area', 'Item', 'Move-In', 'Move-Out', 'Notes', 'Photos', 'Proposed Deduction']];
+    comparison.forEach(result => {
+      const item = inspection.items[`${result.area}|${result.item}`] || {};
+      cells.push([
+        result.area, result.item, result.moveIn || '-', result.moveOut || '-', result.notes || '',
+        photoCount(item.photos), result.deduction > 0 ? result.deduction.toFixed(2) : ''
+      ]);
+      totalDeductions += result.deduction;
+    });
+    cells.push(['Total', '', '', '', '', '', totalDeductions.toFixed(2)]);
+
+    if (!moveIn) {
+      body.appendParagraph('No move-in inspection was recorded, so there is no baseline to compare against and no deductions are proposed.');
+      body.appendParagraph('');
+    }
+  } else {
+    cells = [['Area', 'Item', 'Condition', 'Notes', 'Photos']];
+    INSPECTION_CHECKLIST.forEach(({ area, items }) => {
+      items.forEach(itemName => {
+        const item = inspection.items[`${area}|${itemName}`] || {};
+        cells.push([area, itemName, item.condition || '-', item.notes || '', photoCount(item.photos)]);
+      });
+    });
+  }
+
+  const table = body.appendTable(cells);
+  table.editAsText().setFontSize(9);
+  table.getRow(0).editAsText().setBold(true);
+  if (type === INSPECTION_TYPES.MOVE_OUT) {
+    table.getRow(cells.length - 1).editAsText().setBold(true);
+  }
+  body.appendParagraph('');
+
+  // Add notes
+  body.appendParagraph('Notes:');
+  body.appendParagraph(`• Condition ratings, best to worst: ${CONDITION_RATINGS.join(', ')}.`);
+  body.appendParagraph('• Photos are saved in the tenant\'s folder and linked from the Inspections sheet.');
+  if (type === INSPECTION_TYPES.MOVE_OUT) {
+    body.appendParagraph('• Proposed deductions are for items whose condition worsened since move-in and are subject to the manager\'s review in the deposit settlement.');
+  }
+
+  doc.saveAndClose();
+
+  const pdf = getTenantFolder(room, tenantName).createFile(doc.getAs('application/pdf'));
+  DriveApp.getFileById(doc.getId()).setTrashed(true); // Clean up temporary doc
+
+  return pdf;
+}
+
+// End of Room Inspections
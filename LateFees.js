@@ -0,0 +1,231 @@
+// LateFees.gs
+/**
+ * Late Fee Engine for the Parsonage Tenant Management System
+ * Assesses late fees on unpaid rent according to the policy in the Settings
+ * sheet. Runs as part of the daily checkAllPaymentStatus trigger.
+ */
+
+/**
+ * Reads the current late fee policy from the Settings sheet
+ */
+function getLateFeePolicy() {
+  return {
+    enabled: getSetting('Late Fee Enabled') === 'Yes',
+    graceDay: Number(getSetting('Late Fee Grace Day')) || 5,
+    type: getSetting('Late Fee Type') === 'Percentage' ? 'Percentage' : 'Flat',
+    amount: Number(getSetting('Late Fee Amount')) || 0,
+    dailyAmount: Number(getSetting('Late Fee Daily Accrual')) || 0,
+    cap: Number(getSetting('Late Fee Maximum')) || 0
+  };
+}
+
+/**
+ * Describes the late fee policy in one line, for invoices and emails
+ */
+function describeLateFeePolicy() {
+  const policy = getLateFeePolicy();
+  if (!policy.enabled || policy.amount <= 0) {
+    return 'Late payments may incur additional fees';
+  }
+
+  let description = policy.type === 'Percentage'
+    ? `A late fee of ${policy.amount}% of monthly rent applies if rent is unpaid after day ${policy.graceDay}`
+    : `A late fee of $${policy.amount.toFixed(2)} applies if rent is unpaid after day ${policy.graceDay}`;
+
+  if (policy.dailyAmount > 0) {
+    description += `, plus $${policy.dailyAmount.toFixed(2)} per additional day`;
+  }
+  if (policy.cap > 0) {
+    description += ` (maximum $${policy.cap.toFixed(2)} per month)`;
+  }
+
+  return description;
+}
+
+/**
+ * Calculates the total late fee owed on a rent charge
+ * @param {Object} policy The policy from getLateFeePolicy().
+ * @param {number} rentAmount The rent charge the fee applies to.
+ * @param {number} daysLate Days past the grace day.
+ */
+function calculateLateFee(policy, rentAmount, daysLate) {
+  if (daysLate <= 0) return 0;
+
+  const initialFee = policy.type === 'Percentage' ? rentAmount * policy.amount / 100 : policy.amount;
+  let total = initialFee + policy.dailyAmount * (daysLate - 1);
+
+  if (policy.cap > 0) {
+    total = Math.min(total, policy.cap);
+  }
+
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Returns the last day a rent charge can be paid without being late.
+ * Rent charged mid-month (a prorated move-in) gets the same grace period
+ * from its own date.
+ * @param {Object} charge A rent charge ledger entry.
+ * @param {number} graceDay The grace day from the late fee policy.
+ */
+function getRentDueDate(charge, graceDay) {
+  const periodStart = getPeriodStartDate(charge.period);
+  return charge.date > periodStart
+    ? new Date(charge.date.getFullYear(), charge.date.getMonth(), charge.date.getDate() + graceDay - 1)
+    : new Date(periodStart.getFullYear(), periodStart.getMonth(), graceDay);
+}
+
+/**
+ * Assesses late fees for every unpaid rent charge past the grace day.
+ * Fees already posted for a month are taken into account, so running this
+ * more than once a day only posts the additional daily accrual. Months whose
+ * fees were waived by the manager, and arrears covered by an active payment
+ * plan, are skipped.
+ * @param {Date} asOfDate Optional date to assess fees as of
+ * @return {number} Number of fee entries posted
+ */
+function assessLateFees(asOfDate) {
+  const policy = getLateFeePolicy();
+  if (!policy.enabled || policy.amount <= 0) return 0;
+
+  const today = new Date(asOfDate || new Date());
+  today.setHours(0, 0, 0, 0);
+
+  const entries = getLedgerEntries();
+  const summaries = summarizeLedger(entries, today);
+  const plans = getActivePaymentPlans();
+
+  // Total fees already assessed and waivers granted, per tenant and month
+  const assessedFees = {};
+  const waivedPeriods = {};
+  entries.forEach(entry => {
+    const periodKey = `${getLedgerKey(entry.room, entry.tenantName)}|${entry.period}`;
+    if (entry.type === LEDGER_ENTRY_TYPES.LATE_FEE) {
+      assessedFees[periodKey] = (assessedFees[periodKey] || 0) + entry.charge;
+    } else if (entry.type === LEDGER_ENTRY_TYPES.FEE_WAIVER) {
+      waivedPeriods[periodKey] = true;
+    }
+  });
+
+  let posted = 0;
+
+  Object.values(summaries).forEach(summary => {
+    summary.unpaidCharges.forEach(charge => {
+      if (charge.type !== LEDGER_ENTRY_TYPES.RENT_CHARGE) return;
+
+      const periodKey = `${getLedgerKey(summary.room, summary.tenantName)}|${charge.period}`;
+      if (waivedPeriods[periodKey]) return;
+
+      // Arrears covered by a payment plan stop accruing fees
+      const plan = plans[getLedgerKey(summary.room, summary.tenantName)];
+      if (plan && charge.period <= getPeriodKey(plan.startDate)) return;
+
+      const dueDate = getRentDueDate(charge, policy.graceDay);
+      const daysLate = Math.floor((today - dueDate) / (1000 * 60 * 60 * 24));
+
+      const totalFee = calculateLateFee(policy, charge.charge, daysLate);
+      const fee = Math.round((totalFee - (assessedFees[periodKey] || 0)) * 100) / 100;
+      if (fee <= 0) return;
+
+      const description = `Late fee - ${charge.description}`;
+      appendLedgerEntry({
+        date: today,
+        room: summary.room,
+        tenantName: summary.tenantName,
+        type: LEDGER_ENTRY_TYPES.LATE_FEE,
+        description: description,
+        period: charge.period,
+        charge: fee
+      });
+      posted++;
+    });
+  });
+
+  return posted;
+}
+
+/**
+ * Log late fees paid by a tenant to the budget sheet. Like rent, fees are
+ * income when they are paid, so assessed and waived fees are not logged.
+ */
+function logLateFeeToBudget(tenantName, room, amount, date, methodLabel) {
+  const budgetSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BUDGET_SHEET_NAME);
+  if (!budgetSheet) return;
+
+  budgetSheet.appendRow([
+    date,
+    'Late Fee Income',
+    `Late fees paid by ${tenantName} - Room ${room} - ${methodLabel}`,
+    amount,
+    'Late Fees'
+  ]);
+}
+
+/**
+ * Returns the total of a tenant's unpaid late fees
+ */
+function getUnpaidLateFees(summary) {
+  if (!summary) return 0;
+
+  return summary.unpaidCharges
+    .filter(charge => charge.type === LEDGER_ENTRY_TYPES.LATE_FEE)
+    .reduce((sum, charge) => sum + charge.remaining, 0);
+}
+
+/**
+ * Waives all unpaid late fees for the selected tenant row.
+ * Waived months no longer accrue further late fees.
+ */
+function waiveLateFees() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  const summary = summarizeLedger(getLedgerEntries())[getLedgerKey(room, tenantName)];
+  const unpaidFees = summary
+    ? summary.unpaidCharges.filter(charge => charge.type === LEDGER_ENTRY_TYPES.LATE_FEE)
+    : [];
+
+  if (unpaidFees.length === 0) {
+    ui.alert('No Late Fees', `${tenantName || 'This room'} has no unpaid late fees.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const total = unpaidFees.reduce((sum, charge) => sum + charge.remaining, 0);
+  const response = ui.alert(
+    'Waive Late Fees',
+    `Waive $${total.toFixed(2)} in unpaid late fees for ${tenantName}?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  unpaidFees.forEach(charge => {
+    const description = `Waived: ${charge.description}`;
+    appendLedgerEntry({
+      room: room,
+      tenantName: tenantName,
+      type: LEDGER_ENTRY_TYPES.FEE_WAIVER,
+      description: description,
+      period: charge.period,
+      payment: charge.remaining
+    });
+  });
+
+  refreshTenantPaymentStatus(sheet, row);
+
+  ui.alert('Late Fees Waived', `$${total.toFixed(2)} in late fees has been waived for ${tenantName}.`, ui.ButtonSet.OK);
+}
+
+// End of Late Fee Engine
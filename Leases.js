@@ -0,0 +1,247 @@
+// Leases.gs
+/**
+ * Rental Agreements for the Parsonage Tenant Management System
+ * Fills a Google Docs lease template from the Tenants row, saves the PDF
+ * to the tenant's Drive folder and emails it to the tenant for signature
+ */
+
+/**
+ * Placeholders available in the lease template, filled from the Tenants row
+ */
+const LEASE_PLACEHOLDERS = [
+  '{{Date}}',
+  '{{Tenant Name}}',
+  '{{Tenant Email}}',
+  '{{Room Number}}',
+  '{{Monthly Rent}}',
+  '{{Security Deposit}}',
+  '{{Start Date}}',
+  '{{End Date}}',
+  '{{Late Fee Policy}}',
+  '{{House Rules}}'
+];
+
+/**
+ * Returns the lease template document, creating the default template on
+ * first use. The manager can edit the template's wording freely as long
+ * as the placeholders are kept.
+ */
+function getLeaseTemplate() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const templateId = scriptProperties.getProperty('LEASE_TEMPLATE_ID');
+
+  if (templateId) {
+    try {
+      return DriveApp.getFileById(templateId);
+    } catch (e) {
+      console.log('Lease template not found, creating a new one');
+    }
+  }
+
+  const doc = DocumentApp.create('Parsonage Lease Template');
+  const body = doc.getBody();
+
+  // Clear default content
+  body.clear();
+
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  // Add agreement title
+  const title = body.appendParagraph('Room Rental Agreement');
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
+
+  // Add agreement details
+  body.appendParagraph('Date: {{Date}}');
+  body.appendParagraph('Tenant: {{Tenant Name}} ({{Tenant Email}})');
+  body.appendParagraph('Room Number: {{Room Number}}');
+  body.appendParagraph('Lease Term: {{Start Date}} to {{End Date}}');
+  body.appendParagraph('');
+
+  // Add terms
+  body.appendParagraph('Terms:').setBold(true);
+  body.appendParagraph('• Monthly Rent: ${{Monthly Rent}}, due on the 1st of each month and payable by the 5th').setBold(false);
+  body.appendParagraph('• {{Late Fee Policy}}');
+  body.appendParagraph('• Security Deposit: ${{Security Deposit}}, returned within 30 days after move-out, minus any deductions for damages or cleaning');
+  body.appendParagraph('• Either party may end this agreement with at least 30 days written notice');
+  body.appendParagraph('');
+
+  // Add house rules
+  body.appendParagraph('House Rules:').setBold(true);
+  body.appendParagraph('{{House Rules}}').setBold(false);
+  body.appendParagraph('');
+
+  // Add signatures
+  body.appendParagraph('Signatures:').setBold(true);
+  body.appendParagraph('').setBold(false);
+  body.appendParagraph('Tenant: ______________________________    Date: ____________');
+  body.appendParagraph('');
+  body.appendParagraph('Parsonage Management: ______________________________    Date: ____________');
+
+  doc.saveAndClose();
+
+  scriptProperties.setProperty('LEASE_TEMPLATE_ID', doc.getId());
+  return DriveApp.getFileById(doc.getId());
+}
+
+/**
+ * Opens the lease template for editing
+ */
+function editLeaseTemplate() {
+  const template = getLeaseTemplate();
+  const html = `
+    <p>The lease template is a Google Doc. Edit its wording as needed, keeping these placeholders where the tenant's details should appear:</p>
+    <p>${LEASE_PLACEHOLDERS.join('<br>')}</p>
+    <p><a href="${template.getUrl()}" target="_blank">Open Lease Template</a></p>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(400)
+      .setHeight(350);
+  SpreadsheetApp.getUi()
+      .showModalDialog(htmlOutput, 'Lease Template');
+}
+
+/**
+ * Creates the lease PDF for a tenant from the template and saves it to
+ * the tenant's Drive folder
+ * @return {GoogleAppsScript.Drive.File} The saved PDF file
+ */
+function createLeasePDF(tenant) {
+  return createPDFFromTemplate(getLeaseTemplate(), `Rental Agreement - ${tenant.tenantName} - Room ${tenant.room}`, {
+    '{{Date}}': Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM d, yyyy'),
+    '{{Tenant Name}}': tenant.tenantName,
+    '{{Tenant Email}}': tenant.email,
+    '{{Room Number}}': tenant.room,
+    '{{Monthly Rent}}': tenant.rent.toFixed(2),
+    '{{Security Deposit}}': tenant.deposit.toFixed(2),
+    '{{Start Date}}': tenant.startDate
+      ? Utilities.formatDate(tenant.startDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')
+      : 'To be confirmed',
+    '{{End Date}}': tenant.endDate
+      ? Utilities.formatDate(tenant.endDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')
+      : 'To be confirmed',
+    '{{Late Fee Policy}}': describeLateFeePolicy(),
+    '{{House Rules}}': HOUSE_RULES.map(rule => `• ${rule}`).join('\n')
+  }, getTenantFolder(tenant.room, tenant.tenantName));
+}
+
+/**
+ * Generates the rental agreement for the selected tenant row and emails
+ * it to the tenant for signature
+ */
+function generateLease() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const email = rowData[COL_TENANT_EMAIL - 1];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const rent = Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0;
+
+  if (!tenantName || !email) {
+    ui.alert('The selected room needs a tenant name and email before a lease can be generated.');
+    return;
+  }
+
+  const leaseStart = toDate(rowData[COL_LEASE_START - 1]) || toDate(rowData[COL_MOVE_IN_DATE - 1]);
+
+  // Use the deposit already received, or the standard deposit if none has been recorded yet
+  const deposit = getDepositHeld(room, tenantName) || rent * (Number(getSetting('Security Deposit Months')) || 1);
+
+  try {
+    const pdf = createLeasePDF({
+      tenantName: tenantName,
+      email: email,
+      room: room,
+      rent: rent,
+      deposit: deposit,
+      startDate: leaseStart,
+      endDate: toDate(rowData[COL_LEASE_END - 1]) || (leaseStart ? getLeaseTermEnd(leaseStart) : null)
+    });
+
+    const emailTemplate = getEmailTemplate('leaseAgreement', {
+      tenantName: tenantName,
+      room: room
+    });
+
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body, {
+      attachments: [pdf.getAs('application/pdf')]
+    });
+
+    sheet.getRange(row, COL_LEASE_SIGNED).setValue('');
+
+    ui.alert('Lease Sent',
+      `The rental agreement has been emailed to ${tenantName} and saved to their Drive folder.\n\n` +
+      'When the signed copy is returned, use Mark Lease Signed to record the date.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', `Failed to generate lease: ${e.message}`, ui.ButtonSet.OK);
+    console.error(`Error generating lease for ${tenantName}: ${e.message}`);
+  }
+}
+
+/**
+ * Records the date the selected tenant signed their rental agreement
+ */
+function markLeaseSigned() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const response = ui.prompt(
+    'Mark Lease Signed',
+    `Enter the date ${tenantName} signed the rental agreement (yyyy-mm-dd), or leave blank for today (${today}):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const text = response.getResponseText().trim();
+  const signedDate = text ? toDate(`${text}T00:00:00`) : new Date();
+  if (!signedDate) {
+    ui.alert('Invalid date entered.');
+    return;
+  }
+
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+  sheet.getRange(row, COL_LEASE_SIGNED).setValue(signedDate);
+  const onboardingNote = updateTenantOnboarding(String(sheet.getRange(row, COL_ROOM_NUMBER).getValue()), tenantName);
+  ui.alert('Lease Signed', `Lease signed date recorded for ${tenantName}.${onboardingNote}`, ui.ButtonSet.OK);
+}
+
+// End of Rental Agreements
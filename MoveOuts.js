@@ -0,0 +1,470 @@
+// MoveOuts.gs
+/**
+ * Move-Outs for the Parsonage Tenant Management System
+ * Validates move-out requests against the Tenants sheet, queueing any that
+ * do not match for the manager to review. Completing a move-out posts the
+ * tenant's final charges, archives their record in the Tenant History sheet
+ * and vacates the room, either from the menu or on the planned move-out date
+ * via the daily trigger.
+ */
+
+const TENANT_HISTORY_SHEET_NAME = 'Tenant History';
+
+// Move-out request review statuses
+const MOVEOUT_REVIEW_STATUS = {
+  ACCEPTED: 'Accepted', // Matched the Tenants sheet and applied automatically
+  NEEDS_REVIEW: 'Needs Review',
+  APPROVED: 'Approved', // Applied by the manager after review
+  REJECTED: 'Rejected'
+};
+
+/**
+ * Columns added to the 'Move-Out Requests' sheet to track validation
+ */
+const MOVEOUT_REVIEW_HEADERS = [
+  'Review Status',
+  'Review Issues',
+  'Review Date'
+];
+
+/**
+ * Headers for the 'Tenant History' sheet
+ */
+const TENANT_HISTORY_HEADERS = [
+  'Room Number',
+  'Tenant Name',
+  'Tenant Email',
+  'Move-In Date',
+  'Move-Out Date',
+  'Tenure (Months)',
+  'Final Rent',
+  'Final Balance', // Rent Ledger balance at move-out; positive means money owed
+  'Deposit Held',
+  'Deposit Outcome', // Updated when the deposit is settled
+  'Lease Start Date',
+  'Lease End Date',
+  'Notes',
+  'Archived Date'
+];
+
+// Tenant History sheet columns (1-based)
+const HISTORY_COL_ROOM = 1;
+const HISTORY_COL_TENANT = 2;
+const HISTORY_COL_EMAIL = 3;
+const HISTORY_COL_MOVE_IN = 4;
+const HISTORY_COL_MOVE_OUT = 5;
+const HISTORY_COL_FINAL_RENT = 7;
+const HISTORY_COL_DEPOSIT_HELD = 9;
+const HISTORY_COL_DEPOSIT_OUTCOME = 10;
+const HISTORY_COL_LEASE_START = 11;
+const HISTORY_COL_ARCHIVED = 14;
+
+/**
+ * Returns the Tenant History sheet, creating it on first use
+ */
+function getTenantHistorySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(TENANT_HISTORY_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, TENANT_HISTORY_SHEET_NAME, TENANT_HISTORY_HEADERS);
+    sheet = ss.getSheetByName(TENANT_HISTORY_SHEET_NAME);
+    const rows = sheet.getMaxRows() - 1;
+    sheet.getRange(2, HISTORY_COL_MOVE_IN, rows, 2).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, HISTORY_COL_FINAL_RENT, rows, 3).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, HISTORY_COL_LEASE_START, rows, 2).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, HISTORY_COL_ARCHIVED, rows, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the length of a tenancy in months, to one decimal place
+ */
+function getTenureMonths(moveInDate, moveOutDate) {
+  if (!moveInDate || !moveOutDate) return '';
+  const days = (moveOutDate - moveInDate) / (1000 * 60 * 60 * 24) + 1;
+  return Math.max(Math.round(days / 30.44 * 10) / 10, 0);
+}
+
+/**
+ * Completes a tenant's move-out: posts their final prorated rent, cancels
+ * pending rent changes and any active payment plan, clears their collections
+ * ladder state, archives the tenant in Tenant History and clears the Tenants
+ * row so the room is Vacant. Reminders, invoices and the collections ladder
+ * only cover occupied rooms, so they stop for the tenant. Their ledger
+ * and deposit entries are kept, so a final balance still shows in the aging
+ * report and the deposit can be settled from the Tenant History row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tenants sheet.
+ * @param {number} row The tenant's row.
+ * @param {Date} moveOutDate The day the tenant moved out.
+ * @return {Object} tenantName, room, finalBalance and depositHeld
+ */
+function completeMoveOut(sheet, row, moveOutDate) {
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+  sheet.getRange(row, COL_MOVE_OUT_PLANNED).setValue(moveOutDate);
+
+  // Post the final month's prorated rent (or credit) before archiving
+  postMonthlyRentCharges();
+
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const moveInDate = toDate(rowData[COL_MOVE_IN_DATE - 1]);
+
+  cancelRentChanges(room, tenantName, RENT_CHANGE_STATUS.OFFERED);
+  cancelRentChanges(room, tenantName, RENT_CHANGE_STATUS.SCHEDULED);
+
+  const plan = getActivePaymentPlans()[getLedgerKey(room, tenantName)];
+  if (plan) {
+    cancelPlanInstallments(plan);
+  }
+  clearCollectionsState(room, tenantName);
+
+  const finalBalance = getTenantBalance(room, tenantName);
+  const depositHeld = getDepositHeld(room, tenantName);
+
+  getTenantHistorySheet().appendRow([
+    room,
+    tenantName,
+    rowData[COL_TENANT_EMAIL - 1],
+    moveInDate || '',
+    moveOutDate,
+    getTenureMonths(moveInDate, moveOutDate),
+    Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0,
+    finalBalance,
+    depositHeld,
+    describeDepositOutcome(room, tenantName),
+    rowData[COL_LEASE_START - 1],
+    rowData[COL_LEASE_END - 1],
+    rowData[COL_NOTES - 1],
+    new Date()
+  ]);
+
+  // Keep the room and its market rent; everything else belongs to the tenant
+  const vacated = rowData.map((value, i) => (i === COL_ROOM_NUMBER - 1 || i === COL_RENTAL_PRICE - 1) ? value : '');
+  vacated[COL_ROOM_STATUS - 1] = 'Vacant';
+  sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).setValues([vacated]);
+
+  const emailTemplate = getEmailTemplate('moveOutCompleted', {
+    tenantName: tenantName,
+    room: room,
+    moveOutDate: Utilities.formatDate(moveOutDate, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+    finalBalance: finalBalance.toFixed(2),
+    depositHeld: depositHeld.toFixed(2)
+  });
+  MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+
+  return { tenantName: tenantName, room: room, finalBalance: finalBalance, depositHeld: depositHeld };
+}
+
+/**
+ * Completes the move-out of the selected tenant row
+ */
+function completeMoveOutForSelectedTenant() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  const planned = toDate(sheet.getRange(row, COL_MOVE_OUT_PLANNED).getValue());
+  const defaultDate = Utilities.formatDate(planned || new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const response = ui.prompt(
+    'Complete Move-Out',
+    `Enter the date ${tenantName} moved out (yyyy-mm-dd), or leave blank for ${defaultDate}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const moveOutDate = toDate(`${response.getResponseText().trim() || defaultDate}T00:00:00`);
+  if (!moveOutDate) {
+    ui.alert('Invalid date entered.');
+    return;
+  }
+
+  const confirm = ui.alert('Complete Move-Out',
+    `Archive ${tenantName} to ${TENANT_HISTORY_SHEET_NAME} and mark the room Vacant? This clears the tenant's details from the Tenants sheet.`,
+    ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+
+  try {
+    const result = completeMoveOut(sheet, row, moveOutDate);
+    let message = `${tenantName} has been moved to ${TENANT_HISTORY_SHEET_NAME} and Room ${result.room} is now Vacant.\n\n` +
+      `Final balance: $${result.finalBalance.toFixed(2)}`;
+    if (result.depositHeld > 0) {
+      message += `\nDeposit held: $${result.depositHeld.toFixed(2)}. Select the tenant in ${TENANT_HISTORY_SHEET_NAME} and use Settle Deposit to send the settlement statement.`;
+    }
+    ui.alert('Move-Out Complete', message, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', `Failed to complete move-out: ${e.message}`, ui.ButtonSet.OK);
+    console.error(`Error completing move-out for ${tenantName}: ${e.message}`);
+  }
+}
+
+/**
+ * Completes the move-out of every tenant whose planned move-out date has
+ * arrived. Runs from the daily trigger.
+ */
+function processScheduledMoveOuts() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+
+  data.forEach((row, i) => {
+    const moveOutDate = toDate(row[COL_MOVE_OUT_PLANNED - 1]);
+    if (row[COL_ROOM_STATUS - 1] !== 'Occupied' || !row[COL_TENANT_NAME - 1] || !moveOutDate || moveOutDate > today) return;
+
+    try {
+      completeMoveOut(sheet, i + 2, moveOutDate);
+    } catch (e) {
+      console.error(`Error completing move-out for ${row[COL_TENANT_NAME - 1]}: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Adds the review columns to the move-out responses sheet if missing
+ * @return {Object} Column numbers keyed by header
+ */
+function ensureMoveOutReviewColumns(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const missing = MOVEOUT_REVIEW_HEADERS.filter(header => !headers.includes(header));
+
+  if (missing.length > 0) {
+    const headerRange = sheet.getRange(1, headers.length + 1, 1, missing.length);
+    headerRange.setValues([missing]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#D9EAD3');
+    headers.push(...missing);
+  }
+
+  const columns = {};
+  headers.forEach((header, i) => {
+    if (header && !columns[header]) {
+      columns[header] = i + 1;
+    }
+  });
+  return columns;
+}
+
+/**
+ * Returns one move-out request row as an object keyed by header
+ */
+function getMoveOutRequest(sheet, row) {
+  const columns = ensureMoveOutReviewColumns(sheet);
+  const values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+  const request = { row: row };
+  Object.entries(columns).forEach(([header, column]) => {
+    request[header] = values[column - 1];
+  });
+  return request;
+}
+
+/**
+ * Checks a move-out request against the Tenants sheet: the room must have a
+ * current tenant, the email must match the tenant's email on file, and the
+ * date must give at least the notice stated on the form
+ * @return {Object} tenantRow (the matching Tenants row, if any) and issues
+ */
+function validateMoveOutRequest(request) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const room = String(request['Room Number']).trim().replace(/^room\s*/i, '');
+  const email = String(request['Email Address'] || '').trim().toLowerCase();
+  const moveOutDate = toDate(request['Planned Move-Out Date']);
+  const noticeDays = Number(getSetting('Move-Out Notice Days')) || 0;
+  const issues = [];
+  let tenantRow = null;
+
+  if (sheet && sheet.getLastRow() >= 2) {
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+    const index = data.findIndex(row => String(row[COL_ROOM_NUMBER - 1]) === room);
+    if (index !== -1) {
+      tenantRow = index + 2;
+      const rowData = data[index];
+
+      if (rowData[COL_ROOM_STATUS - 1] !== 'Occupied' || !rowData[COL_TENANT_NAME - 1]) {
+        issues.push(`Room ${room} has no current tenant.`);
+      } else if (String(rowData[COL_TENANT_EMAIL - 1]).trim().toLowerCase() !== email) {
+        issues.push(`The email address ${request['Email Address']} does not match our records for Room ${room}.`);
+      }
+    }
+  }
+  if (!tenantRow) {
+    issues.push(`Room ${room} was not found.`);
+  }
+
+  if (!moveOutDate) {
+    issues.push('The planned move-out date could not be read.');
+  } else {
+    const submitted = toDate(request['Timestamp']) || new Date();
+    const earliest = new Date(submitted.getFullYear(), submitted.getMonth(), submitted.getDate() + noticeDays);
+    if (moveOutDate < earliest) {
+      issues.push(`The planned move-out date gives less than the required ${noticeDays} days' notice. ` +
+        `The earliest move-out date for this request is ${Utilities.formatDate(earliest, Session.getScriptTimeZone(), 'MMMM d, yyyy')}.`);
+    }
+  }
+
+  return { tenantRow: tenantRow, issues: issues };
+}
+
+/**
+ * Records the move-out date on the tenant's row, sends the move-out
+ * instructions to the tenant's email on file, offers the room to the
+ * waitlist and schedules the inspection
+ * @return {Date} The inspection time booked, or null if none was
+ */
+function applyMoveOutRequest(request, tenantRow) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const tenantName = sheet.getRange(tenantRow, COL_TENANT_NAME).getValue();
+  const email = sheet.getRange(tenantRow, COL_TENANT_EMAIL).getValue();
+  const moveOutDate = toDate(request['Planned Move-Out Date']);
+
+  updateTenantMoveOut(sheet.getRange(tenantRow, COL_ROOM_NUMBER).getValue(), moveOutDate);
+
+  if (email) {
+    const emailTemplate = getEmailTemplate('moveOutInstructions', {
+      name: tenantName,
+      moveOutDate: Utilities.formatDate(moveOutDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')
+    });
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+  }
+
+  try {
+    notifyWaitlistForRoom(String(sheet.getRange(tenantRow, COL_ROOM_NUMBER).getValue()), moveOutDate);
+  } catch (e) {
+    console.error(`Failed to notify the waitlist: ${e.message}`);
+  }
+
+  try {
+    return scheduleMoveOutInspection(request, tenantRow);
+  } catch (e) {
+    console.error(`Failed to schedule move-out inspection: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Queues a move-out request for the manager's review, explaining the
+ * problem to the submitter and alerting the manager
+ */
+function queueMoveOutRequestForReview(sheet, request, issues) {
+  const columns = ensureMoveOutReviewColumns(sheet);
+  sheet.getRange(request.row, columns['Review Status']).setValue(MOVEOUT_REVIEW_STATUS.NEEDS_REVIEW);
+  sheet.getRange(request.row, columns['Review Issues']).setValue(issues.join('\n'));
+
+  const issueList = issues.map(issue => `• ${issue}`).join('\n');
+
+  if (request['Email Address']) {
+    const emailTemplate = getEmailTemplate('moveOutRequestReview', {
+      name: request['Your Full Name'] || 'Tenant',
+      room: request['Room Number'],
+      issues: issueList
+    });
+    MailApp.sendEmail(request['Email Address'], emailTemplate.subject, emailTemplate.body);
+  }
+
+  const alertTemplate = getEmailTemplate('moveOutReviewAlert', {
+    name: request['Your Full Name'],
+    email: request['Email Address'],
+    room: request['Room Number'],
+    issues: issueList
+  });
+  MailApp.sendEmail(MANAGER_EMAIL, alertTemplate.subject, alertTemplate.body);
+}
+
+/**
+ * Lets the manager approve or reject the selected move-out request in the
+ * review queue. Approving applies it to the room entered by the manager.
+ */
+function reviewMoveOutRequest() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== MOVEOUT_SHEET_NAME) {
+    ui.alert(`Please select a row in the ${MOVEOUT_SHEET_NAME} sheet.`);
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a move-out request row.');
+    return;
+  }
+
+  const request = getMoveOutRequest(sheet, row);
+  if (request['Review Status'] !== MOVEOUT_REVIEW_STATUS.NEEDS_REVIEW) {
+    ui.alert('No Review Needed', `This request is ${request['Review Status'] || 'not in the review queue'}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt(
+    'Review Move-Out Request',
+    `${request['Your Full Name']} (${request['Email Address']}) asked to move out of Room ${request['Room Number']}.\n\n` +
+    `Issues:\n${request['Review Issues']}\n\n` +
+    'To approve, enter the room number to apply it to (the tenant on file will be emailed the move-out instructions). ' +
+    'Leave blank and click OK to reject the request.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const columns = ensureMoveOutReviewColumns(sheet);
+  const room = response.getResponseText().trim();
+
+  if (!room) {
+    sheet.getRange(row, columns['Review Status']).setValue(MOVEOUT_REVIEW_STATUS.REJECTED);
+    sheet.getRange(row, columns['Review Date']).setValue(new Date());
+    ui.alert('Request Rejected', 'The move-out request has been marked Rejected. No room was updated.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const tenantsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const rooms = tenantsSheet.getRange(2, COL_ROOM_NUMBER, tenantsSheet.getLastRow() - 1, 1).getValues();
+  const index = rooms.findIndex(value => String(value[0]) === room);
+  if (index === -1 || !tenantsSheet.getRange(index + 2, COL_TENANT_NAME).getValue()) {
+    ui.alert(`Room ${room} has no current tenant.`);
+    return;
+  }
+  if (!toDate(request['Planned Move-Out Date'])) {
+    ui.alert('The request has no valid move-out date. Update it in the sheet first.');
+    return;
+  }
+
+  try {
+    const inspection = applyMoveOutRequest(request, index + 2);
+    sheet.getRange(row, columns['Review Status']).setValue(MOVEOUT_REVIEW_STATUS.APPROVED);
+    sheet.getRange(row, columns['Review Date']).setValue(new Date());
+    ui.alert('Request Approved',
+      `The move-out date has been recorded for Room ${room} and the instructions emailed to the tenant.\n\n` +
+      (inspection
+        ? `Move-out inspection booked for ${Utilities.formatDate(inspection, Session.getScriptTimeZone(), 'EEEE, MMMM d, yyyy h:mm a')}.`
+        : 'No inspection time could be booked. Use Schedule Move-Out Inspection to arrange one.'),
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', `Failed to apply move-out request: ${e.message}`, ui.ButtonSet.OK);
+    console.error(`Error applying move-out request: ${e.message}`);
+  }
+}
+
+// End of Move-Outs
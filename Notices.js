@@ -0,0 +1,401 @@
+// Notices.gs
+/**
+ * Notice Letters for the Parsonage Tenant Management System
+ * Generates rent-increase, late-rent and notice-to-vacate letters from
+ * Docs templates, enforcing the minimum notice period for each type.
+ * Each letter is archived in the tenant's Drive folder and logged in the
+ * Notices sheet.
+ */
+
+const NOTICES_SHEET_NAME = 'Notices';
+
+// Notice letter types
+const NOTICE_TYPES = {
+  RENT_INCREASE: 'Rent Increase',
+  LATE_RENT: 'Late Rent',
+  NOTICE_TO_VACATE: 'Notice to Vacate'
+};
+
+// Setting holding the minimum notice period for each notice type
+const NOTICE_PERIOD_SETTINGS = {
+  [NOTICE_TYPES.RENT_INCREASE]: 'Rent Increase Notice Days',
+  [NOTICE_TYPES.LATE_RENT]: 'Late Rent Notice Days',
+  [NOTICE_TYPES.NOTICE_TO_VACATE]: 'Notice to Vacate Days'
+};
+
+/**
+ * Headers for the 'Notices' sheet
+ */
+const NOTICES_HEADERS = [
+  'Date Issued',
+  'Room Number',
+  'Tenant Name',
+  'Notice Type', // Rent Increase, Late Rent, Notice to Vacate
+  'Effective Date',
+  'Details',
+  'Emailed',
+  'Letter'
+];
+
+/**
+ * Returns the Notices sheet, creating it on first use
+ */
+function getNoticesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(NOTICES_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, NOTICES_SHEET_NAME, NOTICES_HEADERS);
+    sheet = ss.getSheetByName(NOTICES_SHEET_NAME);
+    sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 5, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the Docs template for a notice type, creating the default
+ * template on first use. The manager can edit the wording freely as long
+ * as the placeholders are kept.
+ */
+function getNoticeTemplate(type) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const propertyKey = `NOTICE_TEMPLATE_ID_${type.toUpperCase().replace(/\W+/g, '_')}`;
+  const templateId = scriptProperties.getProperty(propertyKey);
+
+  if (templateId) {
+    try {
+      return DriveApp.getFileById(templateId);
+    } catch (e) {
+      console.log(`${type} template not found, creating a new one`);
+    }
+  }
+
+  const doc = DocumentApp.create(`Parsonage ${type} Notice Template`);
+  const body = doc.getBody();
+
+  // Clear default content
+  body.clear();
+
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  // Add notice title
+  const title = body.appendParagraph(`${type} Notice`);
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
+
+  // Add notice details
+  body.appendParagraph('Date: {{Date}}');
+  body.appendParagraph('To: {{Tenant Name}}');
+  body.appendParagraph('Room Number: {{Room Number}}');
+  body.appendParagraph('');
+  body.appendParagraph('Dear {{Tenant Name}},');
+  body.appendParagraph('');
+
+  // Add notice body
+  if (type === NOTICE_TYPES.RENT_INCREASE) {
+    body.appendParagraph('This letter is formal notice that the monthly rent for your room will change as follows:');
+    body.appendParagraph('');
+    body.appendParagraph('• Current Monthly Rent: ${{Current Rent}}');
+    body.appendParagraph('• New Monthly Rent: ${{New Rent}}');
+    body.appendParagraph('• Effective Date: {{Effective Date}}');
+    body.appendParagraph('');
+    body.appendParagraph('All other terms of your rental agreement remain unchanged. This notice is given at least {{Notice Days}} days before the new rent takes effect.');
+  } else if (type === NOTICE_TYPES.LATE_RENT) {
+    body.appendParagraph('Our records show that your rent account is past due:');
+    body.appendParagraph('');
+    body.appendParagraph('• Outstanding Balance: ${{Balance}}');
+    body.appendParagraph('• Months in Arrears: {{Months in Arrears}}');
+    body.appendParagraph('');
+    body.appendParagraph('Please pay the outstanding balance in full by {{Effective Date}}. {{Late Fee Policy}}.');
+    body.appendParagraph('If you are unable to pay, please contact us before that date to discuss a payment plan.');
+  } else {
+    body.appendParagraph('This letter is formal notice that your tenancy will end, and you are required to vacate your room, by:');
+    body.appendParagraph('');
+    body.appendParagraph('• Vacate Date: {{Effective Date}}');
+    body.appendParagraph('• Reason: {{Reason}}');
+    body.appendParagraph('');
+    body.appendParagraph('This notice is given at least {{Notice Days}} days before the vacate date. Please remove all belongings, return your keys, and provide a forwarding address for the return of your security deposit.');
+  }
+  body.appendParagraph('');
+
+  // Add footer
+  body.appendParagraph('If you have any questions about this notice, please contact us.');
+  body.appendParagraph('');
+  body.appendParagraph('Sincerely,');
+  body.appendParagraph('Parsonage Management');
+
+  doc.saveAndClose();
+
+  scriptProperties.setProperty(propertyKey, doc.getId());
+  return DriveApp.getFileById(doc.getId());
+}
+
+/**
+ * Opens the notice letter templates for editing
+ */
+function editNoticeTemplates() {
+  const links = Object.values(NOTICE_TYPES).map(type =>
+    `<li><a href="${getNoticeTemplate(type).getUrl()}" target="_blank">${type}</a></li>`
+  ).join('');
+
+  const html = `
+    <p>Each notice letter is a Google Doc. Edit the wording as needed, keeping placeholders such as {{Tenant Name}}, {{Effective Date}}, {{New Rent}} and {{Balance}} where the tenant's details should appear.</p>
+    <ul>${links}</ul>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(400)
+      .setHeight(300);
+  SpreadsheetApp.getUi()
+      .showModalDialog(htmlOutput, 'Notice Letter Templates');
+}
+
+/**
+ * Returns the earliest allowed effective date for a notice issued today
+ */
+function getEarliestNoticeDate(type) {
+  const days = Number(getSetting(NOTICE_PERIOD_SETTINGS[type])) || 0;
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+}
+
+/**
+ * Opens the notice letter dialog for the selected tenant row
+ */
+function generateNoticeLetter() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const rent = Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0;
+
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  // Earliest effective date for each type, for the date picker
+  const earliestDates = {};
+  Object.values(NOTICE_TYPES).forEach(type => {
+    earliestDates[type] = Utilities.formatDate(getEarliestNoticeDate(type), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  });
+  const typeOptions = Object.values(NOTICE_TYPES).map(type => `<option>${type}</option>`).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif;">
+      <p><strong>${escapeHtml(tenantName)}</strong> - Room ${escapeHtml(room)}<br>Current rent: $${rent.toFixed(2)}</p>
+      <form id="noticeForm">
+        <p>Notice Type<br><select name="type" onchange="updateType()">${typeOptions}</select></p>
+        <p>Effective Date<br><input type="date" name="effectiveDate" required>
+          <br><small id="minimum"></small></p>
+        <p id="rentField">New Monthly Rent<br><input type="number" name="newRent" step="0.01" min="0" value="${getEscalatedRent(rent)}"></p>
+        <p id="reasonField">Reason<br><textarea name="reason" rows="3" style="width: 100%;"></textarea></p>
+        <p><label><input type="checkbox" name="sendEmail" checked> Email the letter to the tenant</label></p>
+        <input type="submit" value="Generate Letter">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      const earliestDates = ${JSON.stringify(earliestDates)};
+
+      function updateType() {
+        const form = document.getElementById('noticeForm');
+        const type = form.type.value;
+        form.effectiveDate.min = earliestDates[type];
+        if (!form.effectiveDate.value || form.effectiveDate.value < earliestDates[type]) {
+          form.effectiveDate.value = earliestDates[type];
+        }
+        document.getElementById('minimum').textContent = 'Earliest allowed: ' + earliestDates[type];
+        document.getElementById('rentField').style.display = type === '${NOTICE_TYPES.RENT_INCREASE}' ? '' : 'none';
+        document.getElementById('reasonField').style.display = type === '${NOTICE_TYPES.NOTICE_TO_VACATE}' ? '' : 'none';
+      }
+
+      document.getElementById('noticeForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            setTimeout(google.script.host.close, 3000);
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .processNoticeLetter({
+            row: ${row},
+            tenantName: ${JSON.stringify(tenantName)},
+            type: form.type.value,
+            effectiveDate: form.effectiveDate.value,
+            newRent: form.newRent.value,
+            reason: form.reason.value,
+            sendEmail: form.sendEmail.checked
+          });
+      });
+
+      updateType();
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(400)
+      .setHeight(450);
+  ui.showModalDialog(htmlOutput, 'Generate Notice Letter');
+}
+
+/**
+ * Generates a notice letter from the notice dialog, archives it in the
+ * tenant's folder and logs it in the Notices sheet. A rent increase
+ * notice also schedules the rent change.
+ * @param {Object} notice Fields: row, tenantName, type, effectiveDate, newRent, reason, sendEmail
+ * @return {string} A confirmation message for the dialog
+ */
+function processNoticeLetter(notice) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const rowData = sheet.getRange(Number(notice.row), 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+
+  if (tenantName !== notice.tenantName) {
+    throw new Error('The selected tenant row has changed. Please try again.');
+  }
+  if (!NOTICE_PERIOD_SETTINGS[notice.type]) {
+    throw new Error(`Unknown notice type: ${notice.type}`);
+  }
+
+  // Dates from the dialog are yyyy-MM-dd; parse them as local dates
+  const effectiveDate = toDate(`${notice.effectiveDate}T00:00:00`);
+  const earliest = getEarliestNoticeDate(notice.type);
+  const noticeDays = Number(getSetting(NOTICE_PERIOD_SETTINGS[notice.type])) || 0;
+  if (!effectiveDate) {
+    throw new Error('Enter the effective date.');
+  }
+  if (effectiveDate < earliest) {
+    throw new Error(`A ${notice.type} notice requires at least ${noticeDays} days' notice. ` +
+      `The earliest effective date is ${Utilities.formatDate(earliest, Session.getScriptTimeZone(), 'yyyy-MM-dd')}.`);
+  }
+
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const email = rowData[COL_TENANT_EMAIL - 1];
+  const rent = Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0;
+  const newRent = Number(notice.newRent) || 0;
+  const summary = summarizeLedger(getLedgerEntries())[getLedgerKey(room, tenantName)];
+  const effectiveDateStr = Utilities.formatDate(effectiveDate, Session.getScriptTimeZone(), 'MMMM d, yyyy');
+
+  let details = '';
+  if (notice.type === NOTICE_TYPES.RENT_INCREASE) {
+    if (newRent <= 0) throw new Error('Enter the new monthly rent.');
+    details = `Rent $${rent.toFixed(2)} to $${newRent.toFixed(2)}`;
+  } else if (notice.type === NOTICE_TYPES.LATE_RENT) {
+    if (!summary || summary.balance <= 0) throw new Error(`${tenantName} has no outstanding balance.`);
+    details = `Balance $${summary.balance.toFixed(2)}, ${summary.monthsInArrears} month(s) in arrears`;
+  } else {
+    if (!notice.reason) throw new Error('Enter the reason for the notice to vacate.');
+    details = notice.reason;
+  }
+
+  const dateIssued = new Date();
+  const fileName = `${notice.type} Notice - ${tenantName} - ${Utilities.formatDate(dateIssued, Session.getScriptTimeZone(), 'yyyy-MM-dd')}`;
+  const pdf = createPDFFromTemplate(getNoticeTemplate(notice.type), fileName, {
+    '{{Date}}': Utilities.formatDate(dateIssued, Session.getScriptTimeZone(), 'MMMM d, yyyy'),
+    '{{Tenant Name}}': tenantName,
+    '{{Room Number}}': room,
+    '{{Effective Date}}': effectiveDateStr,
+    '{{Current Rent}}': rent.toFixed(2),
+    '{{New Rent}}': newRent.toFixed(2),
+    '{{Balance}}': summary ? summary.balance.toFixed(2) : '0.00',
+    '{{Months in Arrears}}': summary ? summary.monthsInArrears : 0,
+    '{{Late Fee Policy}}': describeLateFeePolicy(),
+    '{{Notice Days}}': noticeDays,
+    '{{Reason}}': notice.reason || ''
+  }, getTenantFolder(room, tenantName));
+
+  let emailed = false;
+  if (notice.sendEmail && email) {
+    const emailTemplate = getEmailTemplate('noticeLetter', {
+      tenantName: tenantName,
+      noticeType: notice.type,
+      effectiveDate: effectiveDateStr
+    });
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body, {
+      attachments: [pdf.getAs('application/pdf')]
+    });
+    emailed = true;
+  }
+
+  getNoticesSheet().appendRow([
+    dateIssued,
+    room,
+    tenantName,
+    notice.type,
+    effectiveDate,
+    details,
+    emailed ? 'Yes' : 'No',
+    pdf.getUrl()
+  ]);
+
+  let message = `${notice.type} notice generated for ${tenantName}${emailed ? ` and emailed to ${email}` : ''}.`;
+
+  if (notice.type === NOTICE_TYPES.RENT_INCREASE && scheduleNoticedRentChange(room, tenantName, effectiveDate, rent, newRent)) {
+    message += ' The new rent has been scheduled.';
+  }
+
+  return message;
+}
+
+/**
+ * Schedules the rent change given in a rent increase notice, unless the
+ * same change is already scheduled
+ * @return {boolean} Whether a rent change was scheduled
+ */
+function scheduleNoticedRentChange(room, tenantName, effectiveDate, rent, newRent) {
+  const changesSheet = getRentChangesSheet();
+  const changes = changesSheet.getLastRow() > 1
+    ? changesSheet.getRange(2, 1, changesSheet.getLastRow() - 1, RENT_CHANGES_HEADERS.length).getValues()
+    : [];
+
+  const alreadyScheduled = changes.some(change =>
+    String(change[RENTCHANGE_COL_ROOM - 1]) === room &&
+    change[RENTCHANGE_COL_TENANT - 1] === tenantName &&
+    change[RENTCHANGE_COL_STATUS - 1] === RENT_CHANGE_STATUS.SCHEDULED &&
+    Number(change[RENTCHANGE_COL_NEW_RENT - 1]) === newRent &&
+    toDate(change[RENTCHANGE_COL_EFFECTIVE - 1]).getTime() === effectiveDate.getTime()
+  );
+  if (alreadyScheduled) return false;
+
+  changesSheet.appendRow([
+    room,
+    tenantName,
+    effectiveDate,
+    rent,
+    newRent,
+    '',
+    'Rent increase notice',
+    RENT_CHANGE_STATUS.SCHEDULED,
+    ''
+  ]);
+  return true;
+}
+
+// End of Notice Letters
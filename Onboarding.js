@@ -0,0 +1,461 @@
+// Onboarding.gs
+/**
+ * Tenant Onboarding for the Parsonage Tenant Management System
+ * Tracks the move-in tasks for each new tenant in the 'Onboarding' sheet and
+ * sends the welcome packet. A Pending room becomes Occupied, which starts
+ * rent billing, only once every required task is complete and the move-in
+ * date has arrived.
+ */
+
+const ONBOARDING_SHEET_NAME = 'Onboarding';
+
+// Onboarding statuses
+const ONBOARDING_STATUS = {
+  IN_PROGRESS: 'In Progress',
+  COMPLETE: 'Complete', // Room is Occupied
+  CANCELLED: 'Cancelled' // Tenant no longer assigned to the room
+};
+
+/**
+ * Onboarding tasks, each recorded in its own column with the date it was
+ * completed. Automatic tasks are checked against the Tenants sheet, the
+ * Security Deposits sheet and the Rent Ledger; the rest are ticked off by
+ * the manager. Emergency Contact holds the contact details instead of a date.
+ */
+const ONBOARDING_TASKS = [
+  { name: 'Lease Signed', automatic: true, required: true },
+  { name: 'Deposit Received', automatic: true, required: true },
+  { name: 'First Month Paid', automatic: true, required: true },
+  { name: 'Keys Issued', automatic: false, required: true },
+  { name: 'House Rules Acknowledged', automatic: false, required: true },
+  { name: 'Emergency Contact', automatic: false, required: true }
+];
+
+/**
+ * Headers for the 'Onboarding' sheet
+ */
+const ONBOARDING_HEADERS = [
+  'Room Number',
+  'Tenant Name',
+  'Move-In Date',
+  'Welcome Packet Sent'
+].concat(ONBOARDING_TASKS.map(task => task.name), [
+  'Status', // In Progress, Complete, Cancelled
+  'Completed Date'
+]);
+
+/**
+ * Column index constants (1-based) for the Onboarding sheet. Task columns
+ * follow ONBOARDING_COL_FIRST_TASK in ONBOARDING_TASKS order.
+ */
+const ONBOARDING_COL_ROOM = 1;
+const ONBOARDING_COL_TENANT = 2;
+const ONBOARDING_COL_MOVE_IN = 3;
+const ONBOARDING_COL_WELCOME_SENT = 4;
+const ONBOARDING_COL_FIRST_TASK = 5;
+const ONBOARDING_COL_STATUS = ONBOARDING_COL_FIRST_TASK + ONBOARDING_TASKS.length;
+const ONBOARDING_COL_COMPLETED = ONBOARDING_COL_STATUS + 1;
+
+/**
+ * Returns the Onboarding sheet, creating it on first use
+ */
+function getOnboardingSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(ONBOARDING_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, ONBOARDING_SHEET_NAME, ONBOARDING_HEADERS);
+    sheet = ss.getSheetByName(ONBOARDING_SHEET_NAME);
+    // Dates run from Move-In Date through the task columns; Emergency Contact (the last task) is text
+    sheet.getRange(2, ONBOARDING_COL_MOVE_IN, sheet.getMaxRows() - 1, getOnboardingTaskColumn('Emergency Contact') - ONBOARDING_COL_MOVE_IN).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, ONBOARDING_COL_COMPLETED, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the column of an onboarding task
+ */
+function getOnboardingTaskColumn(taskName) {
+  return ONBOARDING_COL_FIRST_TASK + ONBOARDING_TASKS.findIndex(task => task.name === taskName);
+}
+
+/**
+ * Returns the Onboarding row in progress for a tenant, or null if none
+ */
+function findOnboardingRow(room, tenantName) {
+  const sheet = getOnboardingSheet();
+  if (sheet.getLastRow() < 2) return null;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, ONBOARDING_HEADERS.length).getValues();
+  const index = data.findIndex(row =>
+    String(row[ONBOARDING_COL_ROOM - 1]) === String(room) &&
+    row[ONBOARDING_COL_TENANT - 1] === tenantName &&
+    row[ONBOARDING_COL_STATUS - 1] === ONBOARDING_STATUS.IN_PROGRESS);
+  return index === -1 ? null : index + 2;
+}
+
+/**
+ * Returns the Tenants row for a room, or null if the room is not listed
+ */
+function findTenantRow(room) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  const rooms = sheet.getRange(2, COL_ROOM_NUMBER, sheet.getLastRow() - 1, 1).getValues();
+  const index = rooms.findIndex(value => String(value[0]) === String(room));
+  return index === -1 ? null : index + 2;
+}
+
+/**
+ * Returns the security deposit and first month's rent a new tenant must pay
+ * before moving in. The first month is prorated from the move-in date.
+ */
+function getMoveInAmounts(rent, moveInDate) {
+  return {
+    deposit: Math.round(rent * (Number(getSetting('Security Deposit Months')) || 1) * 100) / 100,
+    firstMonth: moveInDate ? calculateProratedRent(rent, getPeriodKey(moveInDate), moveInDate, null).amount : rent
+  };
+}
+
+/**
+ * Starts onboarding for a new tenant and sends the welcome packet. A packet
+ * that can't be sent is logged and leaves Welcome Packet Sent blank.
+ * @return {number} The tenant's row in the Onboarding sheet
+ */
+function startOnboarding(room, tenantName, moveInDate) {
+  const existing = findOnboardingRow(room, tenantName);
+  if (existing) return existing;
+
+  const sheet = getOnboardingSheet();
+  sheet.appendRow([room, tenantName, moveInDate || '', ''].concat(ONBOARDING_TASKS.map(() => ''), [ONBOARDING_STATUS.IN_PROGRESS, '']));
+  const row = sheet.getLastRow();
+
+  try {
+    sendWelcomePacket(row);
+  } catch (e) {
+    console.error(`Failed to send welcome packet to ${tenantName}: ${e.message}`);
+  }
+
+  return row;
+}
+
+/**
+ * Emails the welcome packet to the tenant on an Onboarding row, listing
+ * what they need to do before moving in
+ */
+function sendWelcomePacket(row) {
+  const sheet = getOnboardingSheet();
+  const room = String(sheet.getRange(row, ONBOARDING_COL_ROOM).getValue());
+  const tenantRow = findTenantRow(room);
+  if (!tenantRow) throw new Error(`Room ${room} is not in the Tenants sheet.`);
+
+  const tenantsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const rowData = tenantsSheet.getRange(tenantRow, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const email = rowData[COL_TENANT_EMAIL - 1];
+  if (!email) throw new Error(`No email address on file for Room ${room}.`);
+
+  const rent = Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0;
+  const moveInDate = toDate(rowData[COL_MOVE_IN_DATE - 1]);
+  const amounts = getMoveInAmounts(rent, moveInDate);
+
+  const emailTemplate = getEmailTemplate('welcomePacket', {
+    name: rowData[COL_TENANT_NAME - 1],
+    room: room,
+    moveInDate: moveInDate ? Utilities.formatDate(moveInDate, Session.getScriptTimeZone(), 'MMMM d, yyyy') : 'to be confirmed',
+    rent: rent.toFixed(2),
+    deposit: amounts.deposit.toFixed(2),
+    firstMonth: amounts.firstMonth.toFixed(2)
+  });
+  MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+
+  sheet.getRange(row, ONBOARDING_COL_WELCOME_SENT).setValue(new Date());
+}
+
+/**
+ * Records the automatic onboarding tasks that are now complete: lease signed
+ * in Tenants, the full deposit held, and payments covering the first month
+ */
+function refreshAutomaticTasks(row, tenantRowData) {
+  const sheet = getOnboardingSheet();
+  const room = String(tenantRowData[COL_ROOM_NUMBER - 1]);
+  const tenantName = tenantRowData[COL_TENANT_NAME - 1];
+  const rent = Number(tenantRowData[COL_NEGOTIATED_PRICE - 1] || tenantRowData[COL_RENTAL_PRICE - 1]) || 0;
+  const amounts = getMoveInAmounts(rent, toDate(tenantRowData[COL_MOVE_IN_DATE - 1]));
+  const key = getLedgerKey(room, tenantName);
+  const paid = getLedgerEntries()
+    .filter(entry => getLedgerKey(entry.room, entry.tenantName) === key && entry.type === LEDGER_ENTRY_TYPES.PAYMENT)
+    .reduce((sum, entry) => sum + entry.payment, 0);
+
+  const done = {
+    'Lease Signed': toDate(tenantRowData[COL_LEASE_SIGNED - 1]),
+    'Deposit Received': getDepositHeld(room, tenantName) >= amounts.deposit - 0.005 ? new Date() : null,
+    'First Month Paid': paid >= amounts.firstMonth - 0.005 ? new Date() : null
+  };
+
+  ONBOARDING_TASKS.filter(task => task.automatic).forEach(task => {
+    const cell = sheet.getRange(row, getOnboardingTaskColumn(task.name));
+    if (!cell.getValue() && done[task.name]) {
+      cell.setValue(done[task.name]);
+    }
+  });
+}
+
+/**
+ * Returns the required onboarding tasks not yet complete on an Onboarding row
+ */
+function getOutstandingOnboardingTasks(row) {
+  const values = getOnboardingSheet().getRange(row, 1, 1, ONBOARDING_HEADERS.length).getValues()[0];
+  return ONBOARDING_TASKS
+    .filter(task => task.required && !values[getOnboardingTaskColumn(task.name) - 1])
+    .map(task => task.name);
+}
+
+/**
+ * Brings a tenant's onboarding up to date. When every required task is done
+ * and the move-in date has arrived, the room is marked Occupied, rent
+ * billing starts and the manager is notified.
+ * @param {number} row The tenant's row in the Onboarding sheet.
+ * @return {Object} completed (whether the room was just marked Occupied) and outstanding tasks
+ */
+function updateOnboarding(row) {
+  const sheet = getOnboardingSheet();
+  const room = String(sheet.getRange(row, ONBOARDING_COL_ROOM).getValue());
+  const tenantName = sheet.getRange(row, ONBOARDING_COL_TENANT).getValue();
+  const tenantsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const tenantRow = findTenantRow(room);
+  const tenantRowData = tenantRow ? tenantsSheet.getRange(tenantRow, 1, 1, TENANTS_HEADERS.length).getValues()[0] : null;
+
+  // Stop tracking if the room has been given to someone else
+  if (!tenantRowData || tenantRowData[COL_TENANT_NAME - 1] !== tenantName) {
+    sheet.getRange(row, ONBOARDING_COL_STATUS).setValue(ONBOARDING_STATUS.CANCELLED);
+    return { completed: false, outstanding: [] };
+  }
+
+  refreshAutomaticTasks(row, tenantRowData);
+  const outstanding = getOutstandingOnboardingTasks(row);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const moveInDate = toDate(tenantRowData[COL_MOVE_IN_DATE - 1]);
+  if (outstanding.length > 0 || (moveInDate && moveInDate > today)) {
+    return { completed: false, outstanding: outstanding };
+  }
+
+  tenantsSheet.getRange(tenantRow, COL_ROOM_STATUS).setValue('Occupied');
+  sheet.getRange(row, ONBOARDING_COL_STATUS).setValue(ONBOARDING_STATUS.COMPLETE);
+  sheet.getRange(row, ONBOARDING_COL_COMPLETED).setValue(new Date());
+
+  // Start billing from the move-in date
+  postMonthlyRentCharges();
+  refreshTenantPaymentStatus(tenantsSheet, tenantRow);
+
+  const emailTemplate = getEmailTemplate('moveInCompleted', {
+    tenantName: tenantName,
+    room: room,
+    moveInDate: Utilities.formatDate(moveInDate || today, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+  });
+  MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+
+  return { completed: true, outstanding: [] };
+}
+
+/**
+ * Updates the onboarding of a tenant, if they have one in progress, after a
+ * lease signing, deposit or payment is recorded
+ * @return {string} A note for the caller's confirmation message, or '' if nothing changed
+ */
+function updateTenantOnboarding(room, tenantName) {
+  const row = findOnboardingRow(room, tenantName);
+  if (!row) return '';
+
+  const result = updateOnboarding(row);
+  return result.completed ? ` Onboarding complete: Room ${room} is now Occupied and rent billing has started.` : '';
+}
+
+/**
+ * Updates every onboarding in progress. Runs daily, so rooms become Occupied
+ * on the move-in date once their tasks are done; the manager is alerted on
+ * the move-in date if tasks are still outstanding.
+ */
+function processOnboarding() {
+  const sheet = getOnboardingSheet();
+  if (sheet.getLastRow() < 2) return;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, ONBOARDING_HEADERS.length).getValues();
+
+  data.forEach((rowData, i) => {
+    if (rowData[ONBOARDING_COL_STATUS - 1] !== ONBOARDING_STATUS.IN_PROGRESS) return;
+
+    const result = updateOnboarding(i + 2);
+    const moveInDate = toDate(rowData[ONBOARDING_COL_MOVE_IN - 1]);
+    if (result.outstanding.length > 0 && moveInDate && moveInDate.getTime() === today.getTime()) {
+      const emailTemplate = getEmailTemplate('onboardingIncomplete', {
+        tenantName: rowData[ONBOARDING_COL_TENANT - 1],
+        room: rowData[ONBOARDING_COL_ROOM - 1],
+        outstanding: result.outstanding.map(task => `• ${task}`).join('\n')
+      });
+      MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+    }
+  });
+}
+
+/**
+ * Opens the onboarding checklist for the selected Pending tenant, starting
+ * their onboarding (and sending the welcome packet) if it has not begun
+ */
+function showOnboardingChecklist() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  let onboardingRow = findOnboardingRow(room, tenantName);
+  if (!onboardingRow) {
+    if (rowData[COL_ROOM_STATUS - 1] !== 'Pending') {
+      ui.alert('No Onboarding', `Room ${room} is ${rowData[COL_ROOM_STATUS - 1] || 'not Pending'}. Onboarding is for new tenants in Pending rooms.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const response = ui.alert('Start Onboarding',
+      `Start onboarding for ${tenantName} in Room ${room}? The welcome packet will be emailed to ${rowData[COL_TENANT_EMAIL - 1] || 'the tenant'}.`,
+      ui.ButtonSet.YES_NO);
+    if (response !== ui.Button.YES) return;
+
+    onboardingRow = startOnboarding(room, tenantName, toDate(rowData[COL_MOVE_IN_DATE - 1]));
+  }
+
+  const result = updateOnboarding(onboardingRow);
+  if (result.completed) {
+    ui.alert('Onboarding Complete', `All onboarding tasks are done. Room ${room} is now Occupied and rent billing has started.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const values = getOnboardingSheet().getRange(onboardingRow, 1, 1, ONBOARDING_HEADERS.length).getValues()[0];
+  const formatDate = value => value instanceof Date ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd') : '';
+  const moveInDate = toDate(rowData[COL_MOVE_IN_DATE - 1]);
+
+  const taskRows = ONBOARDING_TASKS.map(task => {
+    const value = values[getOnboardingTaskColumn(task.name) - 1];
+    const label = `${task.name}${task.required ? '' : ' (optional)'}`;
+
+    if (task.automatic) {
+      return `<p>${value ? '&#9745;' : '&#9744;'} ${label} ${value ? `(${formatDate(value)})` : '<i>- recorded automatically</i>'}</p>`;
+    }
+    if (task.name === 'Emergency Contact') {
+      return `<p>${label}<br><input type="text" name="emergencyContact" value="${escapeHtml(value)}" placeholder="Name, relationship, phone" style="width: 100%;"></p>`;
+    }
+    return `<p><label><input type="checkbox" name="task" value="${task.name}"${value ? ' checked' : ''}> ${label}</label> ${formatDate(value)}</p>`;
+  }).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif;">
+      <p><strong>${escapeHtml(tenantName)}</strong> - Room ${escapeHtml(room)}<br>
+      Move-in date: ${moveInDate ? formatDate(moveInDate) : 'not set'}<br>
+      Welcome packet: ${values[ONBOARDING_COL_WELCOME_SENT - 1] ? `sent ${formatDate(values[ONBOARDING_COL_WELCOME_SENT - 1])}` : 'not sent'}</p>
+      <form id="onboardingForm">
+        ${taskRows}
+        <p><label><input type="checkbox" name="resendWelcome"> Send the welcome packet again</label></p>
+        <input type="submit" value="Save">
+      </form>
+      <p>The room becomes Occupied and rent billing starts once every required task is done and the move-in date has arrived.</p>
+      <p id="result"></p>
+    </div>
+    <script>
+      document.getElementById('onboardingForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            setTimeout(google.script.host.close, 3000);
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .saveOnboardingChecklist({
+            row: ${onboardingRow},
+            tenantName: ${JSON.stringify(String(tenantName))},
+            tasks: Array.from(form.querySelectorAll('input[name=task]:checked')).map(function(box) { return box.value; }),
+            emergencyContact: form.emergencyContact ? form.emergencyContact.value : '',
+            resendWelcome: form.resendWelcome.checked
+          });
+      });
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(420)
+      .setHeight(480);
+  ui.showModalDialog(htmlOutput, 'Onboarding Checklist');
+}
+
+/**
+ * Saves the manual tasks from the onboarding checklist and completes the
+ * move-in if everything required is now done
+ * @param {Object} checklist Fields: row, tenantName, tasks (names ticked), emergencyContact, resendWelcome
+ * @return {string} A confirmation message for the dialog
+ */
+function saveOnboardingChecklist(checklist) {
+  const sheet = getOnboardingSheet();
+  const row = Number(checklist.row);
+
+  if (sheet.getRange(row, ONBOARDING_COL_TENANT).getValue() !== checklist.tenantName ||
+      sheet.getRange(row, ONBOARDING_COL_STATUS).getValue() !== ONBOARDING_STATUS.IN_PROGRESS) {
+    throw new Error('This onboarding is no longer in progress. Please reopen the checklist.');
+  }
+
+  ONBOARDING_TASKS.filter(task => !task.automatic && task.name !== 'Emergency Contact').forEach(task => {
+    const cell = sheet.getRange(row, getOnboardingTaskColumn(task.name));
+    const ticked = checklist.tasks.includes(task.name);
+    if (ticked && !cell.getValue()) {
+      cell.setValue(new Date());
+    } else if (!ticked) {
+      cell.setValue('');
+    }
+  });
+  sheet.getRange(row, getOnboardingTaskColumn('Emergency Contact')).setValue((checklist.emergencyContact || '').trim());
+
+  let message = 'Checklist saved.';
+  if (checklist.resendWelcome) {
+    sendWelcomePacket(row);
+    message += ' Welcome packet sent.';
+  }
+
+  const result = updateOnboarding(row);
+  if (result.completed) {
+    message += ' All tasks are done: the room is now Occupied and rent billing has started.';
+  } else if (result.outstanding.length > 0) {
+    message += ` Still outstanding: ${result.outstanding.join(', ')}.`;
+  } else {
+    message += ' All tasks are done; the room will become Occupied on the move-in date.';
+  }
+
+  return message;
+}
+
+// End of Tenant Onboarding
@@ -0,0 +1,526 @@
+// PaymentPlans.gs
+/**
+ * Payment Plans for the Parsonage Tenant Management System
+ * Splits a tenant's arrears into scheduled installments, reminds the tenant
+ * before each one is due, matches payments to installments and alerts the
+ * manager when an installment is missed. Runs as part of the daily
+ * checkAllPaymentStatus trigger.
+ */
+
+const PAYMENT_PLANS_SHEET_NAME = 'Payment Plans';
+
+// Payment status shown in Tenants for overdue tenants keeping to a plan
+const ON_PLAN_STATUS = 'On Plan';
+
+// Installment statuses
+const INSTALLMENT_STATUS = {
+  SCHEDULED: 'Scheduled',
+  PAID: 'Paid',
+  MISSED: 'Missed',
+  CANCELLED: 'Cancelled'
+};
+
+// Days between installments for each plan frequency (Monthly uses the same day each month)
+const PAYMENT_PLAN_FREQUENCIES = {
+  'Weekly': 7,
+  'Every 2 Weeks': 14,
+  'Monthly': null
+};
+
+/**
+ * Headers for the 'Payment Plans' sheet, one row per installment
+ */
+const PAYMENT_PLANS_HEADERS = [
+  'Plan ID',
+  'Room Number',
+  'Tenant Name',
+  'Start Date', // When the plan was created; ledger entries recorded after this count toward the plan
+  'Plan Balance', // Arrears covered by the plan
+  'Installment',
+  'Due Date',
+  'Amount',
+  'Amount Paid',
+  'Status', // Scheduled, Paid, Missed, Cancelled
+  'Reminder Sent'
+];
+
+// Payment Plans sheet columns (1-based)
+const PLAN_COL_ID = 1;
+const PLAN_COL_ROOM = 2;
+const PLAN_COL_TENANT = 3;
+const PLAN_COL_START = 4;
+const PLAN_COL_BALANCE = 5;
+const PLAN_COL_INSTALLMENT = 6;
+const PLAN_COL_DUE = 7;
+const PLAN_COL_AMOUNT = 8;
+const PLAN_COL_PAID = 9;
+const PLAN_COL_STATUS = 10;
+const PLAN_COL_REMINDER = 11;
+
+/**
+ * Returns the Payment Plans sheet, creating it on first use
+ */
+function getPaymentPlansSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PAYMENT_PLANS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, PAYMENT_PLANS_SHEET_NAME, PAYMENT_PLANS_HEADERS);
+    sheet = ss.getSheetByName(PAYMENT_PLANS_SHEET_NAME);
+    const rows = sheet.getMaxRows() - 1;
+    sheet.getRange(2, PLAN_COL_START, rows, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, PLAN_COL_BALANCE, rows, 1).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, PLAN_COL_DUE, rows, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, PLAN_COL_AMOUNT, rows, 2).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, PLAN_COL_REMINDER, rows, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns every plan that still has installments to pay, keyed by ledger key.
+ * The Payment Plans sheet is not created until the first plan is.
+ * @return {Object} Plans with planId, room, tenantName, startDate, balance,
+ *     missed and their installments in order
+ */
+function getActivePaymentPlans() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PAYMENT_PLANS_SHEET_NAME);
+  const plans = {};
+  if (!sheet || sheet.getLastRow() < 2) return plans;
+
+  const byId = {};
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, PAYMENT_PLANS_HEADERS.length).getValues().forEach((row, i) => {
+    const planId = row[PLAN_COL_ID - 1];
+    if (!planId) return;
+
+    if (!byId[planId]) {
+      byId[planId] = {
+        planId: planId,
+        room: String(row[PLAN_COL_ROOM - 1]),
+        tenantName: row[PLAN_COL_TENANT - 1],
+        startDate: row[PLAN_COL_START - 1],
+        balance: Number(row[PLAN_COL_BALANCE - 1]) || 0,
+        missed: false,
+        installments: []
+      };
+    }
+
+    const status = row[PLAN_COL_STATUS - 1];
+    byId[planId].installments.push({
+      row: i + 2,
+      number: row[PLAN_COL_INSTALLMENT - 1],
+      dueDate: row[PLAN_COL_DUE - 1],
+      amount: Number(row[PLAN_COL_AMOUNT - 1]) || 0,
+      paid: Number(row[PLAN_COL_PAID - 1]) || 0,
+      status: status,
+      reminderSent: row[PLAN_COL_REMINDER - 1]
+    });
+    if (status === INSTALLMENT_STATUS.MISSED) {
+      byId[planId].missed = true;
+    }
+  });
+
+  Object.values(byId).forEach(plan => {
+    const active = plan.installments.some(installment =>
+      installment.status === INSTALLMENT_STATUS.SCHEDULED || installment.status === INSTALLMENT_STATUS.MISSED);
+    if (active) {
+      plans[getLedgerKey(plan.room, plan.tenantName)] = plan;
+    }
+  });
+
+  return plans;
+}
+
+/**
+ * Shows overdue tenants keeping to an active payment plan as On Plan.
+ * A missed installment puts the tenant back to Overdue.
+ * @param {string} status The status from getPaymentStatusFromSummary().
+ * @param {Object} plan The tenant's plan from getActivePaymentPlans(), if any.
+ */
+function getPlanAdjustedStatus(status, plan) {
+  return status === 'Overdue' && plan && !plan.missed ? ON_PLAN_STATUS : status;
+}
+
+/**
+ * Returns the due date of an installment
+ * @param {Date} firstDueDate Due date of the first installment.
+ * @param {string} frequency One of PAYMENT_PLAN_FREQUENCIES.
+ * @param {number} index Zero-based installment index.
+ */
+function getInstallmentDueDate(firstDueDate, frequency, index) {
+  const days = PAYMENT_PLAN_FREQUENCIES[frequency];
+  return days
+    ? new Date(firstDueDate.getFullYear(), firstDueDate.getMonth(), firstDueDate.getDate() + days * index)
+    : new Date(firstDueDate.getFullYear(), firstDueDate.getMonth() + index, firstDueDate.getDate());
+}
+
+/**
+ * Returns the next sequential payment plan ID (e.g. PP-0007)
+ */
+function getNextPaymentPlanId() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const next = Number(scriptProperties.getProperty('LAST_PAYMENT_PLAN_NUMBER') || 0) + 1;
+    scriptProperties.setProperty('LAST_PAYMENT_PLAN_NUMBER', String(next));
+    return `PP-${String(next).padStart(4, '0')}`;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Opens the payment plan dialog for the selected tenant row
+ */
+function createPaymentPlan() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  if (getActivePaymentPlans()[getLedgerKey(room, tenantName)]) {
+    ui.alert('Plan Exists', `${tenantName} already has an active payment plan. Cancel it before creating a new one.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const balance = getTenantBalance(room, tenantName);
+  if (balance <= 0) {
+    ui.alert('No Arrears', `${tenantName} has no outstanding balance.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const today = new Date();
+  const firstDue = Utilities.formatDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7),
+    Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const frequencyOptions = Object.keys(PAYMENT_PLAN_FREQUENCIES)
+    .map(frequency => `<option${frequency === 'Monthly' ? ' selected' : ''}>${frequency}</option>`)
+    .join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif;">
+      <p><strong>${escapeHtml(tenantName)}</strong> - Room ${escapeHtml(room)}<br>
+      Arrears to cover: $${balance.toFixed(2)}</p>
+      <form id="planForm">
+        <input type="hidden" name="row" value="${row}">
+        <input type="hidden" name="tenantName" value="${escapeHtml(tenantName)}">
+        <p>Number of Installments<br><input type="number" name="installments" value="3" min="1" max="24" required></p>
+        <p>First Due Date<br><input type="date" name="firstDueDate" value="${firstDue}" required></p>
+        <p>Frequency<br><select name="frequency">${frequencyOptions}</select></p>
+        <p><label><input type="checkbox" name="sendEmail" checked> Email the schedule to the tenant</label></p>
+        <p id="preview"></p>
+        <input type="submit" value="Create Payment Plan">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      const balance = ${balance};
+      const form = document.getElementById('planForm');
+
+      function updatePreview() {
+        const count = parseInt(form.installments.value, 10) || 1;
+        document.getElementById('preview').textContent =
+          count + ' installment(s) of about $' + (balance / count).toFixed(2) + ', in addition to regular rent';
+      }
+
+      form.installments.addEventListener('input', updatePreview);
+      form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            setTimeout(google.script.host.close, 3000);
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .processPaymentPlan({
+            row: form.row.value,
+            tenantName: form.tenantName.value,
+            installments: form.installments.value,
+            firstDueDate: form.firstDueDate.value,
+            frequency: form.frequency.value,
+            sendEmail: form.sendEmail.checked
+          });
+      });
+
+      updatePreview();
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(400)
+      .setHeight(400);
+  ui.showModalDialog(htmlOutput, 'Create Payment Plan');
+}
+
+/**
+ * Creates a payment plan from the payment plan dialog. The tenant's current
+ * balance is split evenly across the installments (the last one takes any
+ * rounding difference), and the collections ladder is paused while the plan
+ * is active.
+ * @param {Object} plan Fields: row, tenantName, installments, firstDueDate, frequency, sendEmail
+ * @return {string} A confirmation message for the dialog
+ */
+function processPaymentPlan(plan) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const row = Number(plan.row);
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+
+  if (tenantName !== plan.tenantName) {
+    throw new Error('The selected tenant row has changed. Please try again.');
+  }
+
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  if (getActivePaymentPlans()[getLedgerKey(room, tenantName)]) {
+    throw new Error(`${tenantName} already has an active payment plan.`);
+  }
+
+  const count = parseInt(plan.installments, 10);
+  if (isNaN(count) || count < 1 || count > 24) {
+    throw new Error('Enter between 1 and 24 installments.');
+  }
+  if (!(plan.frequency in PAYMENT_PLAN_FREQUENCIES)) {
+    throw new Error(`Unknown frequency: ${plan.frequency}`);
+  }
+
+  // Dates from the dialog are yyyy-MM-dd; parse them as local dates
+  const firstDueDate = toDate(`${plan.firstDueDate}T00:00:00`);
+  if (!firstDueDate) {
+    throw new Error('Enter the first due date.');
+  }
+
+  // Taken with the balance, so later ledger entries count toward the plan
+  const startDate = new Date();
+  const balance = getTenantBalance(room, tenantName);
+  if (balance <= 0) {
+    throw new Error(`${tenantName} has no outstanding balance.`);
+  }
+
+  const planId = getNextPaymentPlanId();
+  const baseAmount = Math.floor(balance / count * 100) / 100;
+  const plansSheet = getPaymentPlansSheet();
+  const schedule = [];
+
+  for (let i = 0; i < count; i++) {
+    const amount = i === count - 1 ? Math.round((balance - baseAmount * (count - 1)) * 100) / 100 : baseAmount;
+    const dueDate = getInstallmentDueDate(firstDueDate, plan.frequency, i);
+
+    plansSheet.appendRow([
+      planId,
+      room,
+      tenantName,
+      startDate,
+      balance,
+      i + 1,
+      dueDate,
+      amount,
+      0,
+      INSTALLMENT_STATUS.SCHEDULED,
+      ''
+    ]);
+    schedule.push(`${i + 1}. ${Utilities.formatDate(dueDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')} - $${amount.toFixed(2)}`);
+  }
+
+  setCollectionsPaused(room, tenantName, true, `Payment plan ${planId}`);
+  refreshTenantPaymentStatus(sheet, row);
+
+  let message = `Payment plan ${planId} created for ${tenantName}: ${count} installment(s) covering $${balance.toFixed(2)}.`;
+
+  const email = sheet.getRange(row, COL_TENANT_EMAIL).getValue();
+  if (plan.sendEmail && email) {
+    const emailTemplate = getEmailTemplate('paymentPlanConfirmation', {
+      tenantName: tenantName,
+      room: room,
+      balance: balance.toFixed(2),
+      schedule: schedule.join('\n')
+    });
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+    message += ` Schedule emailed to ${email}.`;
+  }
+
+  return message;
+}
+
+/**
+ * Returns the amount a tenant has paid toward their plan: payments recorded
+ * in the Rent Ledger after the plan was created, less the new charges
+ * recorded in that time. Tenants must keep up with their regular rent for
+ * payments to count toward the arrears. Entries are matched on when they
+ * were recorded rather than their date, as the plan balance already
+ * includes everything recorded before it, whatever date it carries.
+ */
+function getPaymentPlanCredit(plan, ledgerEntries) {
+  const created = toDate(plan.startDate);
+  if (!created) return 0;
+
+  const credit = (ledgerEntries || getLedgerEntries())
+    .filter(entry => getLedgerKey(entry.room, entry.tenantName) === getLedgerKey(plan.room, plan.tenantName))
+    .filter(entry => entry.recorded && entry.recorded > created)
+    .reduce((total, entry) => total + entry.payment - entry.charge, 0);
+
+  return Math.round(credit * 100) / 100;
+}
+
+/**
+ * Matches payments to each active plan's installments in order, reminds
+ * tenants of upcoming installments, and alerts the manager of any newly
+ * missed installments. Completed plans resume the collections ladder.
+ * @param {Date} asOfDate Optional date to update the plans as of
+ */
+function updatePaymentPlans(asOfDate) {
+  const plans = getActivePaymentPlans();
+  if (Object.keys(plans).length === 0) return;
+
+  const today = new Date(asOfDate || new Date());
+  today.setHours(0, 0, 0, 0);
+  const reminderDays = Number(getSetting('Payment Plan Reminder Days')) || 0;
+  const tenantsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const tenantData = tenantsSheet.getRange(2, 1, tenantsSheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+  const plansSheet = getPaymentPlansSheet();
+  const ledgerEntries = getLedgerEntries();
+  const missedList = [];
+
+  Object.values(plans).forEach(plan => {
+    let credit = getPaymentPlanCredit(plan, ledgerEntries);
+    const tenantRow = tenantData.find(row =>
+      String(row[COL_ROOM_NUMBER - 1]) === plan.room && row[COL_TENANT_NAME - 1] === plan.tenantName);
+    const email = tenantRow ? tenantRow[COL_TENANT_EMAIL - 1] : '';
+
+    plan.installments.forEach(installment => {
+      if (installment.status === INSTALLMENT_STATUS.CANCELLED) return;
+
+      const paid = Math.round(Math.max(Math.min(credit, installment.amount), 0) * 100) / 100;
+      credit -= paid;
+
+      let status = INSTALLMENT_STATUS.SCHEDULED;
+      if (paid >= installment.amount) {
+        status = INSTALLMENT_STATUS.PAID;
+      } else if (installment.dueDate < today) {
+        status = INSTALLMENT_STATUS.MISSED;
+      }
+
+      if (status === INSTALLMENT_STATUS.MISSED && installment.status !== INSTALLMENT_STATUS.MISSED) {
+        missedList.push(`• ${plan.tenantName} (Room ${plan.room}) - ${plan.planId} installment ${installment.number} of ` +
+          `$${installment.amount.toFixed(2)} due ${Utilities.formatDate(installment.dueDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')}, ` +
+          `$${paid.toFixed(2)} paid`);
+      }
+
+      // Only write the cells that changed, as this runs after every payment
+      if (paid !== installment.paid) {
+        plansSheet.getRange(installment.row, PLAN_COL_PAID).setValue(paid);
+        installment.paid = paid;
+      }
+      if (status !== installment.status) {
+        plansSheet.getRange(installment.row, PLAN_COL_STATUS).setValue(status);
+        installment.status = status;
+      }
+
+      // Remind the tenant once as the installment comes due
+      const daysUntilDue = Math.floor((installment.dueDate - today) / (1000 * 60 * 60 * 24));
+      if (status === INSTALLMENT_STATUS.SCHEDULED && !installment.reminderSent && email &&
+          daysUntilDue >= 0 && daysUntilDue <= reminderDays) {
+        const emailTemplate = getEmailTemplate('paymentPlanReminder', {
+          tenantName: plan.tenantName,
+          room: plan.room,
+          number: installment.number,
+          count: plan.installments.length,
+          amount: (installment.amount - paid).toFixed(2),
+          dueDate: Utilities.formatDate(installment.dueDate, Session.getScriptTimeZone(), 'MMMM d, yyyy')
+        });
+        try {
+          MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+          plansSheet.getRange(installment.row, PLAN_COL_REMINDER).setValue(new Date());
+        } catch (e) {
+          console.error(`Failed to send payment plan reminder to ${email}: ${e.message}`);
+        }
+      }
+    });
+
+    if (plan.installments.every(installment =>
+        installment.status === INSTALLMENT_STATUS.PAID || installment.status === INSTALLMENT_STATUS.CANCELLED)) {
+      setCollectionsPaused(plan.room, plan.tenantName, false);
+    }
+  });
+
+  if (missedList.length > 0) {
+    const emailTemplate = getEmailTemplate('paymentPlanMissed', {
+      missedList: missedList.join('\n'),
+      count: missedList.length
+    });
+    MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+  }
+}
+
+/**
+ * Marks a plan's unpaid installments Cancelled
+ * @param {Object} plan A plan from getActivePaymentPlans().
+ */
+function cancelPlanInstallments(plan) {
+  const plansSheet = getPaymentPlansSheet();
+  plan.installments
+    .filter(installment => installment.status !== INSTALLMENT_STATUS.PAID)
+    .forEach(installment => plansSheet.getRange(installment.row, PLAN_COL_STATUS).setValue(INSTALLMENT_STATUS.CANCELLED));
+}
+
+/**
+ * Cancels the selected tenant's active payment plan and resumes the
+ * collections ladder
+ */
+function cancelPaymentPlan() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  const plan = getActivePaymentPlans()[getLedgerKey(room, tenantName)];
+
+  if (!tenantName || !plan) {
+    ui.alert('No Payment Plan', 'The selected tenant has no active payment plan.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.alert('Cancel Payment Plan',
+    `Cancel payment plan ${plan.planId} for ${tenantName}? Unpaid installments will be cancelled and the collections ladder resumed.`,
+    ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+
+  cancelPlanInstallments(plan);
+  setCollectionsPaused(room, tenantName, false);
+  refreshTenantPaymentStatus(sheet, row);
+  ui.alert('Plan Cancelled', `Payment plan ${plan.planId} for ${tenantName} has been cancelled.`, ui.ButtonSet.OK);
+}
+
+// End of Payment Plans
@@ -0,0 +1,339 @@
+// ReferenceChecks.gs
+/**
+ * Reference Checks for the Parsonage Tenant Management System
+ * Emails each applicant reference a short questionnaire, links the answers
+ * back to the application, and reminds references who have not replied
+ */
+
+const REFERENCE_CHECKS_SHEET_NAME = 'Reference Checks';
+const REFERENCE_RESPONSES_SHEET_NAME = 'Reference Responses';
+
+// Reference check status options
+const REFERENCE_STATUS = {
+  SENT: 'Sent',
+  RECEIVED: 'Received',
+  NO_EMAIL: 'No Email'
+};
+
+/**
+ * Headers for the 'Reference Checks' sheet
+ */
+const REFERENCE_CHECKS_HEADERS = [
+  'Reference ID',
+  'Application Row',
+  'Applicant Name',
+  'Applicant Email',
+  'Reference', // Reference 1 or Reference 2
+  'Reference Details', // The applicant's answer on the application form
+  'Reference Email',
+  'Status', // Sent, Received, No Email
+  'Sent Date',
+  'Reminders Sent',
+  'Last Reminder Date',
+  'Response Date'
+];
+
+// Reference Checks sheet columns (1-based)
+const REFCHECK_COL_ID = 1;
+const REFCHECK_COL_APPLICATION_ROW = 2;
+const REFCHECK_COL_APPLICANT_NAME = 3;
+const REFCHECK_COL_REFERENCE = 5;
+const REFCHECK_COL_DETAILS = 6;
+const REFCHECK_COL_EMAIL = 7;
+const REFCHECK_COL_STATUS = 8;
+const REFCHECK_COL_SENT_DATE = 9;
+const REFCHECK_COL_REMINDERS = 10;
+const REFCHECK_COL_LAST_REMINDER = 11;
+const REFCHECK_COL_RESPONSE_DATE = 12;
+
+/**
+ * Returns the Reference Checks sheet, creating it on first use
+ */
+function getReferenceChecksSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(REFERENCE_CHECKS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, REFERENCE_CHECKS_SHEET_NAME, REFERENCE_CHECKS_HEADERS);
+    sheet = ss.getSheetByName(REFERENCE_CHECKS_SHEET_NAME);
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the reference questionnaire form, creating it on first use.
+ * One form is shared by all references; each link is prefilled with a
+ * Reference ID so responses can be matched to the application.
+ * Auto-Create All Forms sets it up in advance, so it is not normally
+ * created inside the application submit trigger.
+ */
+function getReferenceCheckForm() {
+  const definition = getFormDefinitions().reference;
+  return getLinkedForm(definition.idProperty, definition.responseSheetName) || setupForm(definition, false).form;
+}
+
+/**
+ * Sets the reference check form's description and settings
+ */
+function configureReferenceCheckForm(form) {
+  form.setDescription('You have been listed as a reference by an applicant to rent a room at our parsonage. This short questionnaire takes about two minutes. Thank you for your help.');
+  form.setRequireLogin(false);
+}
+
+/**
+ * Questions on the reference check form, in order
+ */
+function getReferenceCheckQuestions() {
+  return [
+    // Reference ID (prefilled in the emailed link)
+    { title: 'Reference ID', add: form => form.addTextItem()
+      .setHelpText('Filled in automatically - please do not change')
+      .setRequired(true) },
+
+    { title: 'Applicant Name', add: form => form.addTextItem()
+      .setRequired(true) },
+
+    { title: 'Your Name', add: form => form.addTextItem()
+      .setRequired(true) },
+
+    { title: 'Relationship to Applicant', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('Current Landlord'),
+        FormApp.createChoice('Previous Landlord'),
+        FormApp.createChoice('Employer'),
+        FormApp.createChoice('Colleague'),
+        FormApp.createChoice('Personal Reference'),
+        FormApp.createChoice('Other')
+      ])
+      .setRequired(true) },
+
+    { title: 'How long have you known the applicant?', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('Less than 1 year'),
+        FormApp.createChoice('1-3 years'),
+        FormApp.createChoice('More than 3 years')
+      ])
+      .setRequired(true) },
+
+    { title: 'Would you rent to this applicant again?', add: form => form.addMultipleChoiceItem()
+      .setHelpText('Or, if you have not been their landlord, would you recommend them as a tenant?')
+      .setChoices([
+        FormApp.createChoice('Yes'),
+        FormApp.createChoice('No'),
+        FormApp.createChoice('Not sure')
+      ])
+      .setRequired(true) },
+
+    { title: 'Comments', add: form => form.addParagraphTextItem()
+      .setHelpText('Anything else we should know about the applicant?')
+      .setRequired(false) }
+  ];
+}
+
+/**
+ * Returns the reference form link prefilled with the Reference ID and applicant name
+ */
+function getReferenceFormUrl(form, referenceId, applicantName) {
+  const items = form.getItems();
+  const idItem = items.find(item => item.getTitle() === 'Reference ID').asTextItem();
+  const nameItem = items.find(item => item.getTitle() === 'Applicant Name').asTextItem();
+
+  return form.createResponse()
+    .withItemResponse(idItem.createResponse(referenceId))
+    .withItemResponse(nameItem.createResponse(applicantName))
+    .toPrefilledUrl();
+}
+
+/**
+ * Returns the first email address in a free-text reference answer
+ */
+function extractEmail(text) {
+  const match = String(text || '').match(/[^\s,;<>()]+@[^\s,;<>()]+\.[a-z]{2,}/i);
+  return match ? match[0] : '';
+}
+
+/**
+ * Emails both references for an application row a link to the reference
+ * form. References already contacted are skipped.
+ * @return {number} Number of references emailed
+ */
+function requestReferenceChecks(applicationSheet, row) {
+  const application = getApplication(applicationSheet, row);
+  const checksSheet = getReferenceChecksSheet();
+  const existing = checksSheet.getLastRow() > 1
+    ? checksSheet.getRange(2, 1, checksSheet.getLastRow() - 1, REFERENCE_CHECKS_HEADERS.length).getValues()
+        .filter(check => Number(check[REFCHECK_COL_APPLICATION_ROW - 1]) === row && check[REFCHECK_COL_STATUS - 1] !== REFERENCE_STATUS.NO_EMAIL)
+        .map(check => check[REFCHECK_COL_REFERENCE - 1])
+    : [];
+
+  const form = getReferenceCheckForm();
+  const applicantName = application['Full Name'] || 'Applicant';
+  let sent = 0;
+
+  ['Reference 1', 'Reference 2'].forEach(reference => {
+    if (existing.includes(reference)) return;
+
+    const details = String(application[reference] || '').trim();
+    if (!details) return;
+
+    const email = extractEmail(details);
+    const referenceId = `REF-${row}-${reference.slice(-1)}-${Date.now().toString(36).toUpperCase()}`;
+
+    if (email) {
+      const emailTemplate = getEmailTemplate('referenceRequest', {
+        referenceName: details.split(',')[0].trim(),
+        applicantName: applicantName,
+        formUrl: getReferenceFormUrl(form, referenceId, applicantName)
+      });
+      MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+      sent++;
+    }
+
+    checksSheet.appendRow([
+      referenceId,
+      row,
+      applicantName,
+      application['Email Address'] || '',
+      reference,
+      details,
+      email,
+      email ? REFERENCE_STATUS.SENT : REFERENCE_STATUS.NO_EMAIL,
+      email ? new Date() : '',
+      0,
+      '',
+      ''
+    ]);
+  });
+
+  updateApplicationReferenceStatus(row);
+  return sent;
+}
+
+/**
+ * Sends reference check requests for the selected application row
+ */
+function sendReferenceChecks() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== APPLICATION_SHEET_NAME) {
+    ui.alert(`Please select a row in the ${APPLICATION_SHEET_NAME} sheet.`);
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select an application row.');
+    return;
+  }
+
+  const sent = requestReferenceChecks(sheet, row);
+  const status = sheet.getRange(row, ensureApplicationReviewColumns(sheet)['Reference Status']).getValue();
+
+  ui.alert('Reference Checks',
+    `${sent} reference request(s) sent. Reference status: ${status}.\n\n` +
+    `References without an email address are listed in the ${REFERENCE_CHECKS_SHEET_NAME} sheet as "${REFERENCE_STATUS.NO_EMAIL}"; ` +
+    'add their email to the application and send again, or contact them by phone.',
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Updates the Reference Status column of an application from its reference checks
+ */
+function updateApplicationReferenceStatus(row) {
+  const applicationSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(APPLICATION_SHEET_NAME);
+  const checksSheet = getReferenceChecksSheet();
+  if (!applicationSheet) return;
+
+  const checks = checksSheet.getLastRow() > 1
+    ? checksSheet.getRange(2, 1, checksSheet.getLastRow() - 1, REFERENCE_CHECKS_HEADERS.length).getValues()
+        .filter(check => Number(check[REFCHECK_COL_APPLICATION_ROW - 1]) === row)
+    : [];
+
+  // Only the latest check for each reference counts
+  const latest = {};
+  checks.forEach(check => {
+    latest[check[REFCHECK_COL_REFERENCE - 1]] = check[REFCHECK_COL_STATUS - 1];
+  });
+  const statuses = Object.values(latest);
+  const received = statuses.filter(status => status === REFERENCE_STATUS.RECEIVED).length;
+
+  let referenceStatus = 'Not Started';
+  if (statuses.length > 0 && received === statuses.length) {
+    referenceStatus = 'Complete';
+  } else if (statuses.length > 0) {
+    referenceStatus = `${received}/${statuses.length} Received`;
+  }
+
+  const columns = ensureApplicationReviewColumns(applicationSheet);
+  applicationSheet.getRange(row, columns['Reference Status']).setValue(referenceStatus);
+}
+
+/**
+ * Triggered when a reference submits the reference check form.
+ * Marks the reference check received and updates the application.
+ */
+function onReferenceResponseSubmit(e) {
+  if (!e || !e.namedValues) return;
+
+  const referenceId = e.namedValues['Reference ID'] ? String(e.namedValues['Reference ID'][0]).trim() : '';
+  if (!referenceId) return;
+
+  const checksSheet = getReferenceChecksSheet();
+  if (checksSheet.getLastRow() < 2) return;
+
+  const ids = checksSheet.getRange(2, REFCHECK_COL_ID, checksSheet.getLastRow() - 1, 1).getValues();
+  const index = ids.findIndex(([id]) => id === referenceId);
+  if (index === -1) {
+    console.error(`Reference response received for unknown Reference ID ${referenceId}`);
+    return;
+  }
+
+  const row = index + 2;
+  checksSheet.getRange(row, REFCHECK_COL_STATUS).setValue(REFERENCE_STATUS.RECEIVED);
+  checksSheet.getRange(row, REFCHECK_COL_RESPONSE_DATE).setValue(new Date());
+
+  updateApplicationReferenceStatus(Number(checksSheet.getRange(row, REFCHECK_COL_APPLICATION_ROW).getValue()));
+}
+
+/**
+ * Reminds references who have not responded. Runs daily; a reminder is sent
+ * every 'Reference Reminder Days' days, up to 'Reference Max Reminders' times.
+ */
+function sendReferenceReminders() {
+  const checksSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REFERENCE_CHECKS_SHEET_NAME);
+  if (!checksSheet || checksSheet.getLastRow() < 2) return;
+
+  const reminderDays = Number(getSetting('Reference Reminder Days')) || 3;
+  const maxReminders = Number(getSetting('Reference Max Reminders')) || 0;
+  const now = new Date();
+  const data = checksSheet.getRange(2, 1, checksSheet.getLastRow() - 1, REFERENCE_CHECKS_HEADERS.length).getValues();
+  let form = null;
+
+  data.forEach((check, i) => {
+    const reminders = Number(check[REFCHECK_COL_REMINDERS - 1]) || 0;
+    const lastContact = toDate(check[REFCHECK_COL_LAST_REMINDER - 1]) || toDate(check[REFCHECK_COL_SENT_DATE - 1]);
+    if (check[REFCHECK_COL_STATUS - 1] !== REFERENCE_STATUS.SENT || !lastContact || reminders >= maxReminders) return;
+
+    const daysSince = Math.floor((now - lastContact) / (1000 * 60 * 60 * 24));
+    if (daysSince < reminderDays) return;
+
+    form = form || getReferenceCheckForm();
+    const emailTemplate = getEmailTemplate('referenceReminder', {
+      referenceName: String(check[REFCHECK_COL_DETAILS - 1]).split(',')[0].trim(),
+      applicantName: check[REFCHECK_COL_APPLICANT_NAME - 1],
+      formUrl: getReferenceFormUrl(form, check[REFCHECK_COL_ID - 1], check[REFCHECK_COL_APPLICANT_NAME - 1])
+    });
+
+    try {
+      MailApp.sendEmail(check[REFCHECK_COL_EMAIL - 1], emailTemplate.subject, emailTemplate.body);
+      checksSheet.getRange(i + 2, REFCHECK_COL_REMINDERS).setValue(reminders + 1);
+      checksSheet.getRange(i + 2, REFCHECK_COL_LAST_REMINDER).setValue(now);
+    } catch (error) {
+      console.error(`Failed to send reference reminder to ${check[REFCHECK_COL_EMAIL - 1]}: ${error.message}`);
+    }
+  });
+}
+
+// End of Reference Checks
@@ -0,0 +1,437 @@
+// Renewals.gs
+/**
+ * Lease Renewals and Rent Changes for the Parsonage Tenant Management System
+ * Tracks each tenant's lease term, reminds the manager and tenant before it
+ * ends, sends renewal offers, and applies scheduled rent changes to the
+ * Tenants sheet on their effective date
+ */
+
+const RENT_CHANGES_SHEET_NAME = 'Rent Changes';
+
+// Rent change status options
+const RENT_CHANGE_STATUS = {
+  OFFERED: 'Offered', // Renewal offer sent, awaiting the tenant's acceptance
+  SCHEDULED: 'Scheduled',
+  APPLIED: 'Applied',
+  CANCELLED: 'Cancelled'
+};
+
+/**
+ * Headers for the 'Rent Changes' sheet
+ */
+const RENT_CHANGES_HEADERS = [
+  'Room Number',
+  'Tenant Name',
+  'Effective Date',
+  'Current Rent',
+  'New Rent',
+  'New Lease End Date', // Set for renewals; blank for a rent change within the term
+  'Reason',
+  'Status', // Offered, Scheduled, Applied, Cancelled
+  'Applied Date'
+];
+
+// Rent Changes sheet columns (1-based)
+const RENTCHANGE_COL_ROOM = 1;
+const RENTCHANGE_COL_TENANT = 2;
+const RENTCHANGE_COL_EFFECTIVE = 3;
+const RENTCHANGE_COL_NEW_RENT = 5;
+const RENTCHANGE_COL_LEASE_END = 6;
+const RENTCHANGE_COL_STATUS = 8;
+const RENTCHANGE_COL_APPLIED = 9;
+
+/**
+ * Returns the Rent Changes sheet, creating it on first use
+ */
+function getRentChangesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(RENT_CHANGES_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, RENT_CHANGES_SHEET_NAME, RENT_CHANGES_HEADERS);
+    sheet = ss.getSheetByName(RENT_CHANGES_SHEET_NAME);
+    sheet.getRange(2, RENTCHANGE_COL_EFFECTIVE, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 4, sheet.getMaxRows() - 1, 2).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, RENTCHANGE_COL_LEASE_END, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, RENTCHANGE_COL_APPLIED, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the last day of a lease term starting on the given date
+ */
+function getLeaseTermEnd(startDate) {
+  const months = Number(getSetting('Lease Term Months')) || 12;
+  return new Date(startDate.getFullYear(), startDate.getMonth() + months, startDate.getDate() - 1);
+}
+
+/**
+ * Returns the rent after the annual escalation in Settings
+ */
+function getEscalatedRent(rent) {
+  const percent = Number(getSetting('Annual Rent Escalation %')) || 0;
+  return Math.round(rent * (1 + percent / 100) * 100) / 100;
+}
+
+/**
+ * Fills in missing lease dates from the move-in date and the default lease
+ * term, then reminds the manager and tenants of leases ending within
+ * 'Renewal Notice Days' days. Each lease term is reminded once, recorded in
+ * the Renewal Reminder Sent column, so a missed daily run is caught up the
+ * next day. Runs daily.
+ */
+function checkLeaseRenewals() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return;
+
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+
+  const noticeDays = Number(getSetting('Renewal Notice Days')) || 60;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+  const expiring = [];
+
+  data.forEach((row, i) => {
+    const tenantName = row[COL_TENANT_NAME - 1];
+    if (row[COL_ROOM_STATUS - 1] !== 'Occupied' || !tenantName) return;
+
+    let leaseStart = toDate(row[COL_LEASE_START - 1]);
+    let leaseEnd = toDate(row[COL_LEASE_END - 1]);
+    if (!leaseEnd) {
+      leaseStart = leaseStart || toDate(row[COL_MOVE_IN_DATE - 1]);
+      if (!leaseStart) return;
+
+      leaseEnd = getLeaseTermEnd(leaseStart);
+      sheet.getRange(i + 2, COL_LEASE_START).setValue(leaseStart);
+      sheet.getRange(i + 2, COL_LEASE_END).setValue(leaseEnd);
+    }
+
+    // Tenants who have given notice are not offered a renewal
+    if (row[COL_MOVE_OUT_PLANNED - 1]) return;
+
+    const daysLeft = Math.round((leaseEnd - today) / (1000 * 60 * 60 * 24));
+    if (daysLeft < 0 || daysLeft > noticeDays) return;
+
+    // A reminder sent before the current term started belongs to the previous term
+    const reminderSent = toDate(row[COL_RENEWAL_REMINDER - 1]);
+    if (reminderSent && (!leaseStart || reminderSent >= leaseStart)) return;
+    sheet.getRange(i + 2, COL_RENEWAL_REMINDER).setValue(today);
+
+    const room = String(row[COL_ROOM_NUMBER - 1]);
+    const rent = Number(row[COL_NEGOTIATED_PRICE - 1] || row[COL_RENTAL_PRICE - 1]) || 0;
+    const leaseEndStr = Utilities.formatDate(leaseEnd, Session.getScriptTimeZone(), 'MMMM d, yyyy');
+    expiring.push(`• ${tenantName} (Room ${room}) - lease ends ${leaseEndStr}, rent $${rent.toFixed(2)}`);
+
+    const email = row[COL_TENANT_EMAIL - 1];
+    if (email) {
+      const emailTemplate = getEmailTemplate('leaseRenewalReminder', {
+        tenantName: tenantName,
+        leaseEnd: leaseEndStr
+      });
+
+      try {
+        MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+      } catch (error) {
+        console.error(`Failed to send renewal reminder to ${email}: ${error.message}`);
+      }
+    }
+  });
+
+  if (expiring.length === 0) return;
+
+  const emailTemplate = getEmailTemplate('leaseExpiryAlert', {
+    expiringList: expiring.join('\n'),
+    count: expiring.length,
+    noticeDays: noticeDays
+  });
+
+  MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+}
+
+/**
+ * Emails the selected tenant a renewal offer for a new lease term at a
+ * proposed rent, and records the offer in the Rent Changes sheet
+ */
+function sendRenewalOffer() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const email = rowData[COL_TENANT_EMAIL - 1];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const rent = Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0;
+  const leaseStart = toDate(rowData[COL_LEASE_START - 1]) || toDate(rowData[COL_MOVE_IN_DATE - 1]);
+  const leaseEnd = toDate(rowData[COL_LEASE_END - 1]) || (leaseStart ? getLeaseTermEnd(leaseStart) : null);
+
+  if (!tenantName || !email || !leaseEnd) {
+    ui.alert('The selected room needs a tenant name, email and lease dates before a renewal can be offered.');
+    return;
+  }
+
+  const proposedRent = getEscalatedRent(rent);
+  const response = ui.prompt(
+    'Send Renewal Offer',
+    `Current rent for ${tenantName}: $${rent.toFixed(2)}\n` +
+    `Enter the proposed rent for the new term, or leave blank for $${proposedRent.toFixed(2)}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const text = response.getResponseText().trim();
+  const newRent = text ? parseFloat(text) : proposedRent;
+  if (isNaN(newRent) || newRent <= 0) {
+    ui.alert('Invalid amount entered.');
+    return;
+  }
+
+  const newStart = new Date(leaseEnd.getFullYear(), leaseEnd.getMonth(), leaseEnd.getDate() + 1);
+  const newEnd = getLeaseTermEnd(newStart);
+
+  // Replace any earlier offer still awaiting an answer
+  cancelRentChanges(room, tenantName, RENT_CHANGE_STATUS.OFFERED);
+
+  getRentChangesSheet().appendRow([
+    room,
+    tenantName,
+    newStart,
+    rent,
+    newRent,
+    newEnd,
+    'Lease renewal',
+    RENT_CHANGE_STATUS.OFFERED,
+    ''
+  ]);
+
+  const emailTemplate = getEmailTemplate('renewalOffer', {
+    tenantName: tenantName,
+    room: room,
+    leaseEnd: Utilities.formatDate(leaseEnd, Session.getScriptTimeZone(), 'MMMM d, yyyy'),
+    newStart: Utilities.formatDate(newStart, Session.getScriptTimeZone(), 'MMMM d, yyyy'),
+    newEnd: Utilities.formatDate(newEnd, Session.getScriptTimeZone(), 'MMMM d, yyyy'),
+    currentRent: rent.toFixed(2),
+    newRent: newRent.toFixed(2)
+  });
+
+  try {
+    MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+    ui.alert('Renewal Offer Sent',
+      `A renewal offer at $${newRent.toFixed(2)}/month has been sent to ${tenantName}.\n\n` +
+      'When the tenant accepts, use Confirm Lease Renewal to schedule the new term and rent.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Email Error', `Failed to send renewal offer: ${e.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Confirms the selected tenant's accepted renewal offer. The new rent and
+ * lease term are applied automatically on the effective date.
+ */
+function confirmLeaseRenewal() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  const changesSheet = getRentChangesSheet();
+  const changes = changesSheet.getLastRow() > 1
+    ? changesSheet.getRange(2, 1, changesSheet.getLastRow() - 1, RENT_CHANGES_HEADERS.length).getValues()
+    : [];
+  const index = changes.findIndex(change =>
+    String(change[RENTCHANGE_COL_ROOM - 1]) === room &&
+    change[RENTCHANGE_COL_TENANT - 1] === tenantName &&
+    change[RENTCHANGE_COL_STATUS - 1] === RENT_CHANGE_STATUS.OFFERED
+  );
+
+  if (index === -1) {
+    ui.alert('No Renewal Offer', `There is no open renewal offer for ${tenantName || 'this room'}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const offer = changes[index];
+  const effective = Utilities.formatDate(offer[RENTCHANGE_COL_EFFECTIVE - 1], Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const response = ui.alert(
+    'Confirm Lease Renewal',
+    `Confirm that ${tenantName} accepted the renewal at $${Number(offer[RENTCHANGE_COL_NEW_RENT - 1]).toFixed(2)}/month from ${effective}?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  changesSheet.getRange(index + 2, RENTCHANGE_COL_STATUS).setValue(RENT_CHANGE_STATUS.SCHEDULED);
+
+  ui.alert('Renewal Confirmed', `The new rent and lease term will take effect on ${effective}.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Schedules a rent change for the selected tenant, entered as a new amount
+ * or a percentage increase
+ */
+function scheduleRentChange() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const rowData = sheet.getRange(row, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+  const tenantName = rowData[COL_TENANT_NAME - 1];
+  const room = String(rowData[COL_ROOM_NUMBER - 1]);
+  const rent = Number(rowData[COL_NEGOTIATED_PRICE - 1] || rowData[COL_RENTAL_PRICE - 1]) || 0;
+
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  const amountResponse = ui.prompt(
+    'Schedule Rent Change',
+    `Current rent for ${tenantName}: $${rent.toFixed(2)}\n` +
+    'Enter the new rent (e.g. 850) or a percentage increase (e.g. 3%):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (amountResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const amountText = amountResponse.getResponseText().trim();
+  const newRent = amountText.endsWith('%')
+    ? Math.round(rent * (1 + parseFloat(amountText) / 100) * 100) / 100
+    : parseFloat(amountText);
+  if (isNaN(newRent) || newRent <= 0) {
+    ui.alert('Invalid amount entered.');
+    return;
+  }
+
+  const dateResponse = ui.prompt(
+    'Schedule Rent Change',
+    `Enter the effective date for the new rent of $${newRent.toFixed(2)} (yyyy-mm-dd):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (dateResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const effectiveDate = toDate(`${dateResponse.getResponseText().trim()}T00:00:00`);
+  if (!effectiveDate) {
+    ui.alert('Invalid date entered.');
+    return;
+  }
+
+  getRentChangesSheet().appendRow([
+    room,
+    tenantName,
+    effectiveDate,
+    rent,
+    newRent,
+    '',
+    amountText.endsWith('%') ? `Rent escalation (${amountText})` : 'Rent change',
+    RENT_CHANGE_STATUS.SCHEDULED,
+    ''
+  ]);
+
+  ui.alert('Rent Change Scheduled',
+    `Rent for ${tenantName} will change to $${newRent.toFixed(2)} on ${Utilities.formatDate(effectiveDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')}.`,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Cancels a tenant's rent changes with the given status
+ */
+function cancelRentChanges(room, tenantName, status) {
+  const sheet = getRentChangesSheet();
+  if (sheet.getLastRow() < 2) return;
+
+  const changes = sheet.getRange(2, 1, sheet.getLastRow() - 1, RENT_CHANGES_HEADERS.length).getValues();
+  changes.forEach((change, i) => {
+    if (String(change[RENTCHANGE_COL_ROOM - 1]) === String(room) &&
+        change[RENTCHANGE_COL_TENANT - 1] === tenantName &&
+        change[RENTCHANGE_COL_STATUS - 1] === status) {
+      sheet.getRange(i + 2, RENTCHANGE_COL_STATUS).setValue(RENT_CHANGE_STATUS.CANCELLED);
+    }
+  });
+}
+
+/**
+ * Applies scheduled rent changes whose effective date has arrived, updating
+ * the tenant's negotiated price and, for renewals, their lease dates.
+ * Called before monthly rent charges are posted, so the new rent is
+ * charged and invoiced from the next monthly charge.
+ * @param {Date} asOfDate Optional date to apply changes as of
+ * @return {number} Number of changes applied
+ */
+function applyScheduledRentChanges(asOfDate) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const changesSheet = ss.getSheetByName(RENT_CHANGES_SHEET_NAME);
+  const tenantsSheet = ss.getSheetByName(TENANTS_SHEET_NAME);
+  if (!changesSheet || changesSheet.getLastRow() < 2 || !tenantsSheet || tenantsSheet.getLastRow() < 2) return 0;
+
+  const today = new Date(asOfDate || new Date());
+  today.setHours(0, 0, 0, 0);
+
+  const changes = changesSheet.getRange(2, 1, changesSheet.getLastRow() - 1, RENT_CHANGES_HEADERS.length).getValues();
+  const tenants = tenantsSheet.getRange(2, 1, tenantsSheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+  let applied = 0;
+
+  changes.forEach((change, i) => {
+    const effectiveDate = toDate(change[RENTCHANGE_COL_EFFECTIVE - 1]);
+    if (change[RENTCHANGE_COL_STATUS - 1] !== RENT_CHANGE_STATUS.SCHEDULED || !effectiveDate || effectiveDate > today) return;
+
+    const index = tenants.findIndex(row =>
+      String(row[COL_ROOM_NUMBER - 1]) === String(change[RENTCHANGE_COL_ROOM - 1]) &&
+      row[COL_TENANT_NAME - 1] === change[RENTCHANGE_COL_TENANT - 1]
+    );
+
+    if (index === -1) {
+      // The tenant has moved out
+      changesSheet.getRange(i + 2, RENTCHANGE_COL_STATUS).setValue(RENT_CHANGE_STATUS.CANCELLED);
+      return;
+    }
+
+    tenantsSheet.getRange(index + 2, COL_NEGOTIATED_PRICE).setValue(change[RENTCHANGE_COL_NEW_RENT - 1]);
+    const newLeaseEnd = toDate(change[RENTCHANGE_COL_LEASE_END - 1]);
+    if (newLeaseEnd) {
+      tenantsSheet.getRange(index + 2, COL_LEASE_START).setValue(effectiveDate);
+      tenantsSheet.getRange(index + 2, COL_LEASE_END).setValue(newLeaseEnd);
+    }
+
+    changesSheet.getRange(i + 2, RENTCHANGE_COL_STATUS).setValue(RENT_CHANGE_STATUS.APPLIED);
+    changesSheet.getRange(i + 2, RENTCHANGE_COL_APPLIED).setValue(new Date());
+    applied++;
+  });
+
+  return applied;
+}
+
+// End of Lease Renewals and Rent Changes
@@ -0,0 +1,515 @@
+// RentLedger.gs
+/**
+ * Rent Ledger for the Parsonage Tenant Management System
+ * Monthly rent charges are posted automatically and payments are applied
+ * against them, giving each tenant a running balance and months-in-arrears figure
+ */
+
+const RENT_LEDGER_SHEET_NAME = 'Rent Ledger';
+
+// Ledger entry types
+const LEDGER_ENTRY_TYPES = {
+  RENT_CHARGE: 'Rent Charge',
+  PAYMENT: 'Payment',
+  ADJUSTMENT: 'Adjustment',
+  LATE_FEE: 'Late Fee',
+  FEE_WAIVER: 'Fee Waiver', // Credit against the late fees of one month
+  PRORATION_CREDIT: 'Proration Credit' // Refund of rent charged past a move-out date
+};
+
+/**
+ * Headers for the 'Rent Ledger' sheet
+ */
+const RENT_LEDGER_HEADERS = [
+  'Date',
+  'Room Number',
+  'Tenant Name',
+  'Entry Type', // Rent Charge, Payment, Adjustment, Late Fee, Fee Waiver, Proration Credit
+  'Description',
+  'Period', // Month the entry belongs to (yyyy-MM)
+  'Charge', // Amount owed by the tenant
+  'Payment', // Amount credited to the tenant
+  'Running Balance',
+  'Recorded' // When the entry was added; Date may be back-dated
+];
+
+/**
+ * Column index constants (1-based) for the 'Rent Ledger' sheet.
+ */
+const LEDGER_COL_DATE = 1;
+const LEDGER_COL_ROOM = 2;
+const LEDGER_COL_TENANT = 3;
+const LEDGER_COL_TYPE = 4;
+const LEDGER_COL_DESCRIPTION = 5;
+const LEDGER_COL_PERIOD = 6;
+const LEDGER_COL_CHARGE = 7;
+const LEDGER_COL_PAYMENT = 8;
+const LEDGER_COL_BALANCE = 9;
+const LEDGER_COL_RECORDED = 10;
+
+/**
+ * Returns the Rent Ledger sheet, creating it on first use.
+ * The ledger is never cleared once it exists.
+ */
+function getRentLedgerSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(RENT_LEDGER_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, RENT_LEDGER_SHEET_NAME, RENT_LEDGER_HEADERS);
+    sheet = ss.getSheetByName(RENT_LEDGER_SHEET_NAME);
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the period key (yyyy-MM) for a date
+ */
+function getPeriodKey(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM');
+}
+
+/**
+ * Returns the period key following the given one
+ */
+function getNextPeriodKey(period) {
+  const [year, month] = period.split('-').map(Number);
+  return getPeriodKey(new Date(year, month, 1));
+}
+
+/**
+ * Returns the first day of a period as a Date
+ */
+function getPeriodStartDate(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1);
+}
+
+/**
+ * Key used to group ledger entries by tenant
+ */
+function getLedgerKey(room, tenantName) {
+  return `${room}|${tenantName}`;
+}
+
+/**
+ * Reads every ledger entry into a plain object
+ */
+function getLedgerEntries() {
+  const sheet = getRentLedgerSheet();
+  if (sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, RENT_LEDGER_HEADERS.length).getValues();
+
+  return data
+    .filter(row => row[LEDGER_COL_ROOM - 1] !== '')
+    .map(row => {
+      const period = row[LEDGER_COL_PERIOD - 1];
+      return {
+        date: row[LEDGER_COL_DATE - 1],
+        room: String(row[LEDGER_COL_ROOM - 1]),
+        tenantName: row[LEDGER_COL_TENANT - 1],
+        type: row[LEDGER_COL_TYPE - 1],
+        description: row[LEDGER_COL_DESCRIPTION - 1],
+        // Sheets may turn the period text into a date
+        period: period instanceof Date ? getPeriodKey(period) : String(period),
+        charge: Number(row[LEDGER_COL_CHARGE - 1]) || 0,
+        payment: Number(row[LEDGER_COL_PAYMENT - 1]) || 0,
+        recorded: toDate(row[LEDGER_COL_RECORDED - 1])
+      };
+    });
+}
+
+/**
+ * Appends an entry to the ledger and records the tenant's running balance.
+ * @param {Object} entry Fields: date, room, tenantName, type, description, period, charge, payment
+ * @return {number} The tenant's balance after the entry
+ */
+function appendLedgerEntry(entry) {
+  const sheet = getRentLedgerSheet();
+  ensureSheetHeaders(sheet, RENT_LEDGER_HEADERS);
+  const date = entry.date || new Date();
+  const charge = Number(entry.charge) || 0;
+  const payment = Number(entry.payment) || 0;
+  const balance = getTenantBalance(entry.room, entry.tenantName) + charge - payment;
+
+  sheet.appendRow([
+    date,
+    entry.room,
+    entry.tenantName,
+    entry.type,
+    entry.description,
+    entry.period || getPeriodKey(date),
+    charge || '',
+    payment || '',
+    balance,
+    new Date()
+  ]);
+
+  // Keep the period as text so it is not converted to a date
+  const row = sheet.getLastRow();
+  sheet.getRange(row, LEDGER_COL_PERIOD).setNumberFormat('@').setValue(entry.period || getPeriodKey(date));
+  sheet.getRange(row, LEDGER_COL_CHARGE, 1, 3).setNumberFormat('$#,##0.00');
+
+  return balance;
+}
+
+/**
+ * Records a payment against a tenant's ledger
+ */
+function recordLedgerPayment(room, tenantName, amount, date, description) {
+  const paymentDate = date || new Date();
+  return appendLedgerEntry({
+    date: paymentDate,
+    room: room,
+    tenantName: tenantName,
+    type: LEDGER_ENTRY_TYPES.PAYMENT,
+    description: description || `Payment from ${tenantName}`,
+    period: getPeriodKey(paymentDate),
+    payment: amount
+  });
+}
+
+/**
+ * Returns the current balance for a tenant (positive means money owed)
+ */
+function getTenantBalance(room, tenantName) {
+  const summary = summarizeLedger(getLedgerEntries())[getLedgerKey(room, tenantName)];
+  return summary ? summary.balance : 0;
+}
+
+/**
+ * Summarizes ledger entries per tenant. Payments are applied to the oldest
+ * charges first, so whatever remains unpaid determines the months in arrears.
+ * @param {Array<Object>} entries Entries from getLedgerEntries()
+ * @param {Date} asOfDate Optional date used to determine the current period
+ * @return {Object} Summaries keyed by getLedgerKey()
+ */
+function summarizeLedger(entries, asOfDate) {
+  const currentPeriod = getPeriodKey(asOfDate || new Date());
+  const summaries = {};
+
+  entries.forEach(entry => {
+    const key = getLedgerKey(entry.room, entry.tenantName);
+    if (!summaries[key]) {
+      summaries[key] = {
+        room: entry.room,
+        tenantName: entry.tenantName,
+        totalCharges: 0,
+        totalPayments: 0,
+        balance: 0,
+        charges: [],
+        waivers: {},
+        unpaidCharges: [],
+        monthsInArrears: 0,
+        oldestUnpaidDate: null,
+        lastPaymentDate: null
+      };
+    }
+
+    const summary = summaries[key];
+    summary.totalCharges += entry.charge;
+    summary.totalPayments += entry.payment;
+
+    if (entry.charge > 0) {
+      summary.charges.push(entry);
+    }
+    if (entry.type === LEDGER_ENTRY_TYPES.FEE_WAIVER) {
+      summary.waivers[entry.period] = (summary.waivers[entry.period] || 0) + entry.payment;
+    }
+    // Credits such as adjustments and proration refunds aren't payments from the tenant
+    if (entry.type === LEDGER_ENTRY_TYPES.PAYMENT && (!summary.lastPaymentDate || entry.date > summary.lastPaymentDate)) {
+      summary.lastPaymentDate = entry.date;
+    }
+  });
+
+  Object.values(summaries).forEach(summary => {
+    summary.balance = Math.round((summary.totalCharges - summary.totalPayments) * 100) / 100;
+
+    // Fee waivers only cover the late fees of their own month; every other
+    // credit is applied to the oldest charges first
+    const waivers = Object.assign({}, summary.waivers);
+    let credit = summary.totalPayments - Object.values(waivers).reduce((sum, amount) => sum + amount, 0);
+    const arrearsPeriods = {};
+
+    summary.charges
+      .sort((a, b) => a.period.localeCompare(b.period) || a.date - b.date)
+      .forEach(charge => {
+        let remaining = charge.charge;
+
+        if (charge.type === LEDGER_ENTRY_TYPES.LATE_FEE && waivers[charge.period]) {
+          const waived = Math.min(waivers[charge.period], remaining);
+          waivers[charge.period] -= waived;
+          remaining -= waived;
+        }
+
+        const applied = Math.min(credit, remaining);
+        credit -= applied;
+        remaining = Math.round((remaining - applied) * 100) / 100;
+
+        if (remaining > 0) {
+          summary.unpaidCharges.push(Object.assign({}, charge, { remaining: remaining }));
+          if (charge.period < currentPeriod && charge.type === LEDGER_ENTRY_TYPES.RENT_CHARGE) {
+            arrearsPeriods[charge.period] = true;
+          }
+        }
+      });
+
+    summary.monthsInArrears = Object.keys(arrearsPeriods).length;
+    summary.oldestUnpaidDate = summary.unpaidCharges.length > 0 ? summary.unpaidCharges[0].date : null;
+  });
+
+  return summaries;
+}
+
+/**
+ * Derives the Paid/Due/Overdue label from a ledger summary
+ */
+function getPaymentStatusFromSummary(summary) {
+  if (!summary || summary.balance <= 0) return 'Paid';
+  return summary.monthsInArrears > 0 ? 'Overdue' : 'Due';
+}
+
+/**
+ * Calculates the rent owed for one month, prorating the first and last
+ * months when the move-in or planned move-out date falls inside it.
+ * @param {number} rent The full monthly rent.
+ * @param {string} period The month being charged (yyyy-MM).
+ * @param {Date} moveInDate The tenant's move-in date, if known.
+ * @param {Date} moveOutDate The tenant's planned move-out date, if known.
+ * @return {Object} amount, days occupied, basisDays and whether it was prorated
+ */
+function calculateProratedRent(rent, period, moveInDate, moveOutDate) {
+  const basis = getSetting('Proration Basis') === '30-Day' ? '30-Day' : 'Daily';
+  const periodStart = getPeriodStartDate(period);
+  const daysInMonth = new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, 0).getDate();
+  const basisDays = basis === '30-Day' ? 30 : daysInMonth;
+
+  let firstDay = 1;
+  let lastDay = daysInMonth;
+
+  if (moveInDate && getPeriodKey(moveInDate) === period) {
+    firstDay = moveInDate.getDate();
+  }
+  if (moveOutDate && getPeriodKey(moveOutDate) === period) {
+    lastDay = moveOutDate.getDate();
+  }
+
+  if (firstDay === 1 && lastDay === daysInMonth) {
+    return { amount: rent, days: basisDays, basisDays: basisDays, prorated: false };
+  }
+
+  // On a 30-day basis the 31st is not counted and February runs to day 30
+  if (basis === '30-Day') {
+    firstDay = Math.min(firstDay, 30);
+    lastDay = lastDay === daysInMonth ? 30 : Math.min(lastDay, 30);
+  }
+
+  const days = Math.max(lastDay - firstDay + 1, 0);
+  const amount = Math.round(rent / basisDays * days * 100) / 100;
+
+  return { amount: amount, days: days, basisDays: basisDays, prorated: true };
+}
+
+/**
+ * Posts the monthly rent charge for every occupied room that has not yet
+ * been charged for the current month. The month of move-in and the month of
+ * the planned move-out are prorated, and nothing is charged after move-out.
+ * Tenants new to the ledger start with the current month (or their move-in
+ * month if later); earlier arrears should be entered as an Adjustment.
+ * @param {Date} asOfDate Optional date to post charges up to
+ * @return {number} Number of charges posted
+ */
+function postMonthlyRentCharges(asOfDate) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+
+  // Bring rents up to date before charging
+  applyScheduledRentChanges(asOfDate);
+
+  const currentPeriod = getPeriodKey(asOfDate || new Date());
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues();
+
+  // Find the latest rent charge already posted for each tenant, and the net
+  // rent charged per month so a late move-out date can be credited back
+  const lastChargedPeriod = {};
+  const netRentCharged = {};
+  getLedgerEntries().forEach(entry => {
+    const key = getLedgerKey(entry.room, entry.tenantName);
+    const periodKey = `${key}|${entry.period}`;
+
+    if (entry.type === LEDGER_ENTRY_TYPES.RENT_CHARGE) {
+      netRentCharged[periodKey] = (netRentCharged[periodKey] || 0) + entry.charge;
+      if (!lastChargedPeriod[key] || entry.period > lastChargedPeriod[key]) {
+        lastChargedPeriod[key] = entry.period;
+      }
+    } else if (entry.type === LEDGER_ENTRY_TYPES.PRORATION_CREDIT) {
+      netRentCharged[periodKey] = (netRentCharged[periodKey] || 0) - entry.payment;
+    }
+  });
+
+  let posted = 0;
+
+  data.forEach(row => {
+    const tenantName = row[COL_TENANT_NAME - 1];
+    if (row[COL_ROOM_STATUS - 1] !== 'Occupied' || !tenantName) return;
+
+    const room = String(row[COL_ROOM_NUMBER - 1]);
+    const rent = Number(row[COL_NEGOTIATED_PRICE - 1] || row[COL_RENTAL_PRICE - 1]) || 0;
+    if (!rent) return;
+
+    const key = getLedgerKey(room, tenantName);
+    const moveInDate = toDate(row[COL_MOVE_IN_DATE - 1]);
+    const moveOutDate = toDate(row[COL_MOVE_OUT_PLANNED - 1]);
+    const moveInPeriod = moveInDate ? getPeriodKey(moveInDate) : '';
+    const lastPeriod = moveOutDate && getPeriodKey(moveOutDate) < currentPeriod
+      ? getPeriodKey(moveOutDate)
+      : currentPeriod;
+
+    let period = lastChargedPeriod[key]
+      ? getNextPeriodKey(lastChargedPeriod[key])
+      : (moveInPeriod > currentPeriod ? moveInPeriod : currentPeriod);
+
+    while (period <= lastPeriod) {
+      const periodLabel = Utilities.formatDate(getPeriodStartDate(period), Session.getScriptTimeZone(), 'MMMM yyyy');
+      const charge = calculateProratedRent(rent, period, moveInDate, moveOutDate);
+      const startsMidMonth = period === moveInPeriod && moveInDate.getDate() > 1;
+
+      if (charge.amount > 0) {
+        appendLedgerEntry({
+          date: startsMidMonth ? moveInDate : getPeriodStartDate(period),
+          room: room,
+          tenantName: tenantName,
+          type: LEDGER_ENTRY_TYPES.RENT_CHARGE,
+          description: charge.prorated
+            ? `Rent for ${periodLabel} (prorated ${charge.days}/${charge.basisDays} days)`
+            : `Rent for ${periodLabel}`,
+          period: period,
+          charge: charge.amount
+        });
+        posted++;
+      }
+      period = getNextPeriodKey(period);
+    }
+
+    // Credit back rent already charged past a move-out date entered later
+    if (moveOutDate) {
+      const moveOutPeriod = getPeriodKey(moveOutDate);
+      const charged = netRentCharged[`${key}|${moveOutPeriod}`] || 0;
+      const owed = calculateProratedRent(rent, moveOutPeriod, moveInDate, moveOutDate).amount;
+      const credit = Math.round((charged - owed) * 100) / 100;
+
+      if (charged > 0 && credit > 0) {
+        appendLedgerEntry({
+          room: room,
+          tenantName: tenantName,
+          type: LEDGER_ENTRY_TYPES.PRORATION_CREDIT,
+          description: `Prorated rent credit - move-out on ${Utilities.formatDate(moveOutDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')}`,
+          period: moveOutPeriod,
+          payment: credit
+        });
+        posted++;
+      }
+    }
+  });
+
+  return posted;
+}
+
+/**
+ * Builds the invoice line items for a tenant: the balance brought forward,
+ * any late fees still unpaid from earlier months, then this month's charges
+ * and payments. The line items always add up to the tenant's current balance.
+ */
+function getInvoiceLineItems(room, tenantName, asOfDate) {
+  const period = getPeriodKey(asOfDate || new Date());
+  const key = getLedgerKey(room, tenantName);
+  const entries = getLedgerEntries().filter(entry => getLedgerKey(entry.room, entry.tenantName) === key);
+  const summary = summarizeLedger(entries, asOfDate)[key];
+  if (!summary) return [];
+
+  const lineItems = [];
+
+  summary.unpaidCharges.forEach(charge => {
+    if (charge.type === LEDGER_ENTRY_TYPES.LATE_FEE && charge.period !== period) {
+      lineItems.push({ description: `${charge.description} (outstanding)`, amount: charge.remaining });
+    }
+  });
+
+  entries.forEach(entry => {
+    if (entry.period !== period) return;
+
+    if (entry.charge > 0) {
+      lineItems.push({ description: entry.description, amount: entry.charge });
+    } else if (entry.payment > 0) {
+      lineItems.push({ description: entry.description, amount: -entry.payment });
+    }
+  });
+
+  const broughtForward = summary.balance - lineItems.reduce((sum, item) => sum + item.amount, 0);
+  if (Math.abs(broughtForward) >= 0.005) {
+    lineItems.unshift({
+      description: broughtForward > 0 ? 'Balance brought forward' : 'Credit brought forward',
+      amount: broughtForward
+    });
+  }
+
+  return lineItems;
+}
+
+/**
+ * Manually post a rent adjustment for the selected tenant row,
+ * e.g. an opening balance or a one-off credit.
+ */
+function postLedgerAdjustment() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  const amountResponse = ui.prompt(
+    'Ledger Adjustment',
+    `Enter the adjustment amount for ${tenantName} (positive to charge, negative to credit):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (amountResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const amount = parseFloat(amountResponse.getResponseText());
+  if (isNaN(amount) || amount === 0) {
+    ui.alert('Invalid amount entered.');
+    return;
+  }
+
+  const descriptionResponse = ui.prompt('Ledger Adjustment', 'Enter a description:', ui.ButtonSet.OK_CANCEL);
+  if (descriptionResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const balance = appendLedgerEntry({
+    room: room,
+    tenantName: tenantName,
+    type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+    description: descriptionResponse.getResponseText() || 'Manual adjustment',
+    charge: amount > 0 ? amount : 0,
+    payment: amount < 0 ? Math.abs(amount) : 0
+  });
+
+  ui.alert('Adjustment Posted', `New balance for ${tenantName}: $${balance.toFixed(2)}`, ui.ButtonSet.OK);
+}
+
+// End of Rent Ledger
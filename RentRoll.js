@@ -0,0 +1,281 @@
+// RentRoll.gs
+/**
+ * Rent Roll for the Parsonage Tenant Management System
+ * Lists every room for a chosen month with its tenant, lease dates, market
+ * and scheduled rent, discount, balance and vacancy, written to a
+ * 'Rent Roll' sheet and optionally saved as a PDF for the board
+ */
+
+const RENT_ROLL_SHEET_NAME = 'Rent Roll';
+
+/**
+ * Headers for the 'Rent Roll' sheet
+ */
+const RENT_ROLL_HEADERS = [
+  'Room Number',
+  'Tenant Name',
+  'Lease Start',
+  'Lease End',
+  'Market Rent', // Rental Price column in Tenants
+  'Scheduled Rent', // Negotiated price, or market rent if none; for past months, the rent charged that month
+  'Discount',
+  'Balance', // Ledger balance at the end of the month
+  'Occupied Days',
+  'Vacancy Days',
+  'Vacancy Loss' // Market rent for the days the room stood empty
+];
+
+/**
+ * Returns the number of days a rent charge covers, read from the prorated
+ * description posted by postMonthlyRentCharges
+ */
+function getChargedDays(entry, daysInMonth) {
+  const match = /prorated (\d+)\/\d+ days/.exec(entry.description);
+  return match ? Math.min(Number(match[1]), daysInMonth) : daysInMonth;
+}
+
+/**
+ * Returns the full monthly rent behind a rent charge, scaling a prorated
+ * charge back up by the days it covers
+ */
+function getMonthlyRentFromCharge(entry) {
+  const match = /prorated (\d+)\/(\d+) days/.exec(entry.description);
+  if (!match || Number(match[1]) === 0) return entry.charge;
+  return Math.round(entry.charge * Number(match[2]) / Number(match[1]) * 100) / 100;
+}
+
+/**
+ * Builds the rent roll for a month. The current tenant's occupancy comes from
+ * their move-in and move-out dates; earlier tenants of the room that month
+ * are found from their rent charges in the Rent Ledger. For months before the
+ * current one, the scheduled rent is the rent the tenant was charged that
+ * month, so later rent changes don't rewrite past rent rolls.
+ * @param {string} period The month (yyyy-MM).
+ * @return {Object} rows (one per room, in RENT_ROLL_HEADERS order) and totals
+ */
+function getRentRoll(period) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  const monthStart = getPeriodStartDate(period);
+  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+  const nextMonthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+  const daysInMonth = monthEnd.getDate();
+  const isPastPeriod = period < getPeriodKey(new Date());
+  const entries = getLedgerEntries();
+  const summaries = summarizeLedger(entries.filter(entry => entry.date < nextMonthStart), monthEnd);
+  const totals = { marketRent: 0, scheduledRent: 0, discount: 0, balance: 0, vacancyDays: 0, vacancyLoss: 0, rooms: 0, occupiedRooms: 0 };
+  const rows = [];
+
+  if (!sheet || sheet.getLastRow() < 2) return { rows: rows, totals: totals };
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues().forEach(row => {
+    const room = String(row[COL_ROOM_NUMBER - 1]);
+    if (!row[COL_ROOM_NUMBER - 1]) return;
+
+    const tenantName = row[COL_TENANT_NAME - 1];
+    const marketRent = Number(row[COL_RENTAL_PRICE - 1]) || 0;
+    const moveInDate = toDate(row[COL_MOVE_IN_DATE - 1]);
+    const moveOutDate = toDate(row[COL_MOVE_OUT_PLANNED - 1]);
+    let occupiedDays = 0;
+
+    // Current tenant, from their move-in to planned move-out
+    const inRoom = tenantName && row[COL_ROOM_STATUS - 1] === 'Occupied' &&
+      (!moveInDate || moveInDate <= monthEnd) && (!moveOutDate || moveOutDate >= monthStart);
+    if (inRoom) {
+      const firstDay = moveInDate && moveInDate > monthStart ? moveInDate.getDate() : 1;
+      const lastDay = moveOutDate && moveOutDate < monthEnd ? moveOutDate.getDate() : daysInMonth;
+      occupiedDays += Math.max(lastDay - firstDay + 1, 0);
+    }
+
+    // Earlier tenants who were charged rent for the room that month
+    entries
+      .filter(entry => entry.room === room && entry.period === period && entry.tenantName !== tenantName &&
+        entry.type === LEDGER_ENTRY_TYPES.RENT_CHARGE)
+      .forEach(entry => {
+        occupiedDays += getChargedDays(entry, daysInMonth);
+      });
+
+    occupiedDays = Math.min(occupiedDays, daysInMonth);
+    const vacancyDays = daysInMonth - occupiedDays;
+    const vacancyLoss = Math.round(marketRent / daysInMonth * vacancyDays * 100) / 100;
+    const rentCharge = inRoom && isPastPeriod
+      ? entries.find(entry => entry.room === room && entry.tenantName === tenantName && entry.period === period &&
+        entry.type === LEDGER_ENTRY_TYPES.RENT_CHARGE)
+      : null;
+    let scheduledRent = 0;
+    if (rentCharge) {
+      scheduledRent = getMonthlyRentFromCharge(rentCharge);
+    } else if (inRoom) {
+      scheduledRent = Number(row[COL_NEGOTIATED_PRICE - 1] || marketRent) || 0;
+    }
+    const discount = inRoom ? Math.max(marketRent - scheduledRent, 0) : 0;
+    const summary = inRoom ? summaries[getLedgerKey(room, tenantName)] : null;
+    const balance = summary ? summary.balance : 0;
+
+    rows.push([
+      room,
+      inRoom ? tenantName : 'Vacant',
+      inRoom ? toDate(row[COL_LEASE_START - 1]) || moveInDate || '' : '',
+      inRoom ? toDate(row[COL_LEASE_END - 1]) || '' : '',
+      marketRent,
+      scheduledRent,
+      discount,
+      balance,
+      occupiedDays,
+      vacancyDays,
+      vacancyLoss
+    ]);
+
+    totals.rooms++;
+    totals.occupiedRooms += inRoom ? 1 : 0;
+    totals.marketRent += marketRent;
+    totals.scheduledRent += scheduledRent;
+    totals.discount += discount;
+    totals.balance += balance;
+    totals.vacancyDays += vacancyDays;
+    totals.vacancyLoss += vacancyLoss;
+  });
+
+  return { rows: rows, totals: totals };
+}
+
+/**
+ * Prompts for a month and writes its rent roll to the Rent Roll sheet,
+ * optionally saving it as a PDF
+ */
+function generateRentRoll() {
+  const ui = SpreadsheetApp.getUi();
+  const currentPeriod = getPeriodKey(new Date());
+
+  const response = ui.prompt(
+    'Rent Roll',
+    `Enter the month for the rent roll (yyyy-mm), or leave blank for this month (${currentPeriod}):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const period = response.getResponseText().trim() || currentPeriod;
+  if (!/^\d{4}-\d{2}$/.test(period) || Number(period.slice(5)) < 1 || Number(period.slice(5)) > 12) {
+    ui.alert('Invalid month entered.');
+    return;
+  }
+
+  const rentRoll = getRentRoll(period);
+  if (rentRoll.rows.length === 0) {
+    ui.alert('No room data found.');
+    return;
+  }
+
+  writeRentRollSheet(period, rentRoll);
+
+  const monthYear = Utilities.formatDate(getPeriodStartDate(period), Session.getScriptTimeZone(), 'MMMM yyyy');
+  const totals = rentRoll.totals;
+  const saveResponse = ui.alert('Rent Roll Generated',
+    `Rent roll for ${monthYear} written to the '${RENT_ROLL_SHEET_NAME}' sheet.\n\n` +
+    `Occupancy: ${totals.occupiedRooms}/${totals.rooms} rooms\n` +
+    `Scheduled Rent: $${totals.scheduledRent.toFixed(2)}\n` +
+    `Vacancy Loss: $${totals.vacancyLoss.toFixed(2)}\n\n` +
+    'Save it as a PDF as well?',
+    ui.ButtonSet.YES_NO);
+  if (saveResponse !== ui.Button.YES) return;
+
+  const pdf = createRentRollPDF(period, rentRoll);
+  ui.alert('PDF Saved', `The rent roll PDF has been saved to Drive:\n${pdf.getUrl()}`, ui.ButtonSet.OK);
+}
+
+/**
+ * Writes a rent roll to the Rent Roll sheet, replacing the previous one
+ */
+function writeRentRollSheet(period, rentRoll) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  setupSheet(ss, RENT_ROLL_SHEET_NAME, RENT_ROLL_HEADERS);
+  const sheet = ss.getSheetByName(RENT_ROLL_SHEET_NAME);
+  const totals = rentRoll.totals;
+
+  sheet.getRange(2, 1, rentRoll.rows.length, RENT_ROLL_HEADERS.length).setValues(rentRoll.rows);
+
+  const totalRow = rentRoll.rows.length + 2;
+  sheet.getRange(totalRow, 1, 1, RENT_ROLL_HEADERS.length).setValues([[
+    'Total',
+    `${totals.occupiedRooms}/${totals.rooms} occupied`,
+    '',
+    '',
+    totals.marketRent,
+    totals.scheduledRent,
+    totals.discount,
+    totals.balance,
+    '',
+    totals.vacancyDays,
+    totals.vacancyLoss
+  ]]).setFontWeight('bold');
+  sheet.getRange(totalRow + 1, 1).setValue(
+    `Rent roll for ${Utilities.formatDate(getPeriodStartDate(period), Session.getScriptTimeZone(), 'MMMM yyyy')}, ` +
+    `generated ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}`);
+
+  sheet.getRange(2, 3, totalRow - 1, 2).setNumberFormat('yyyy-mm-dd');
+  sheet.getRange(2, 5, totalRow - 1, 4).setNumberFormat('$#,##0.00');
+  sheet.getRange(2, 11, totalRow - 1, 1).setNumberFormat('$#,##0.00');
+}
+
+/**
+ * Creates a PDF of a rent roll and saves it to Drive
+ * @return {GoogleAppsScript.Drive.File} The saved PDF file
+ */
+function createRentRollPDF(period, rentRoll) {
+  const monthYear = Utilities.formatDate(getPeriodStartDate(period), Session.getScriptTimeZone(), 'MMMM yyyy');
+  const doc = DocumentApp.create(`Rent Roll - ${monthYear}`);
+  const body = doc.getBody();
+  const totals = rentRoll.totals;
+  const formatDate = value => value instanceof Date ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd') : '';
+
+  // Clear default content
+  body.clear();
+
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  // Add report title
+  const title = body.appendParagraph(`Rent Roll - ${monthYear}`);
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
+
+  // Add rent roll table, with the header and total rows in bold
+  const cells = [RENT_ROLL_HEADERS.slice()];
+  rentRoll.rows.forEach(row => {
+    cells.push([
+      row[0], row[1], formatDate(row[2]), formatDate(row[3]),
+      row[4].toFixed(2), row[5].toFixed(2), row[6].toFixed(2), row[7].toFixed(2),
+      String(row[8]), String(row[9]), row[10].toFixed(2)
+    ]);
+  });
+  cells.push([
+    'Total', '', '', '',
+    totals.marketRent.toFixed(2), totals.scheduledRent.toFixed(2), totals.discount.toFixed(2), totals.balance.toFixed(2),
+    '', String(totals.vacancyDays), totals.vacancyLoss.toFixed(2)
+  ]);
+  const table = body.appendTable(cells);
+  table.editAsText().setFontSize(8);
+  table.getRow(0).editAsText().setBold(true);
+  table.getRow(cells.length - 1).editAsText().setBold(true);
+  body.appendParagraph('');
+
+  // Add summary
+  body.appendParagraph('Summary:').setBold(true);
+  body.appendParagraph(`• Occupancy: ${totals.occupiedRooms}/${totals.rooms} rooms`).setBold(false);
+  body.appendParagraph(`• Potential Income (market rent, 100% occupancy): $${totals.marketRent.toFixed(2)}`);
+  body.appendParagraph(`• Scheduled Rent: $${totals.scheduledRent.toFixed(2)}`);
+  body.appendParagraph(`• Discounts Given: $${totals.discount.toFixed(2)}`);
+  body.appendParagraph(`• Vacancy Loss: $${totals.vacancyLoss.toFixed(2)} (${totals.vacancyDays} vacant room-days)`);
+  body.appendParagraph(`• Outstanding Balances: $${totals.balance.toFixed(2)}`);
+
+  doc.saveAndClose();
+
+  const pdf = DriveApp.createFile(doc.getAs('application/pdf'));
+  DriveApp.getFileById(doc.getId()).setTrashed(true); // Clean up temporary doc
+
+  return pdf;
+}
+
+// End of Rent Roll
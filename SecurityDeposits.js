@@ -0,0 +1,595 @@
+// SecurityDeposits.gs
+/**
+ * Security Deposit Ledger for the Parsonage Tenant Management System
+ * Tracks the deposit held for each tenant and produces the itemized
+ * move-out settlement statement promised in the move-out instructions
+ */
+
+const SECURITY_DEPOSITS_SHEET_NAME = 'Security Deposits';
+
+/**
+ * Budget category for deposits held. Deposits are owed back to the tenant,
+ * so this category is a liability and is left out of income and profit totals.
+ * Retained deductions are moved to DEPOSIT_DEDUCTIONS_CATEGORY when settled.
+ */
+const DEPOSIT_LIABILITY_CATEGORY = 'Security Deposit';
+const DEPOSIT_DEDUCTIONS_CATEGORY = 'Deposit Deductions';
+
+// Security deposit entry types
+const DEPOSIT_ENTRY_TYPES = {
+  RECEIVED: 'Deposit Received',
+  DEDUCTION: 'Deduction',
+  REFUND: 'Refund'
+};
+
+/**
+ * Headers for the 'Security Deposits' sheet
+ */
+const SECURITY_DEPOSITS_HEADERS = [
+  'Date',
+  'Room Number',
+  'Tenant Name',
+  'Entry Type', // Deposit Received, Deduction, Refund
+  'Description',
+  'Amount',
+  'Balance Held'
+];
+
+/**
+ * Returns the Security Deposits sheet, creating it on first use
+ */
+function getSecurityDepositsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SECURITY_DEPOSITS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, SECURITY_DEPOSITS_SHEET_NAME, SECURITY_DEPOSITS_HEADERS);
+    sheet = ss.getSheetByName(SECURITY_DEPOSITS_SHEET_NAME);
+    sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 6, sheet.getMaxRows() - 1, 2).setNumberFormat('$#,##0.00');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the deposit entries for one tenant. A tenant with no entries yet
+ * whose deposit was typed into the Tenants sheet before the ledger existed
+ * gets that amount imported as an opening balance.
+ */
+function getDepositEntries(room, tenantName) {
+  const sheet = getSecurityDepositsSheet();
+  const data = sheet.getLastRow() < 2 ? [] :
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SECURITY_DEPOSITS_HEADERS.length).getValues();
+
+  const entries = data
+    .filter(row => getLedgerKey(row[1], row[2]) === getLedgerKey(room, tenantName))
+    .map(row => ({
+      date: row[0],
+      type: row[3],
+      description: row[4],
+      amount: Number(row[5]) || 0
+    }));
+
+  return entries.length > 0 ? entries : importOpeningDeposit(room, tenantName);
+}
+
+/**
+ * Imports the Security Deposit Paid amount from the tenant's row in the
+ * Tenants sheet as an opening Deposit Received entry. No Budget row is
+ * written, as the deposit was received before the ledger was kept.
+ * @return {Object[]} The imported entry, or an empty array if there is nothing to import
+ */
+function importOpeningDeposit(room, tenantName) {
+  const tenantsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
+  if (!tenantName || !tenantsSheet || tenantsSheet.getLastRow() < 2) return [];
+
+  const tenantRow = tenantsSheet.getRange(2, 1, tenantsSheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues()
+    .find(row => getLedgerKey(String(row[COL_ROOM_NUMBER - 1]), row[COL_TENANT_NAME - 1]) === getLedgerKey(room, tenantName));
+  if (!tenantRow) return [];
+
+  const amount = Math.round(parseFloat(String(tenantRow[COL_SECURITY_DEPOSIT - 1]).replace(/[$,\s]/g, '')) * 100) / 100;
+  if (!(amount > 0)) return [];
+
+  const entry = {
+    date: new Date(),
+    type: DEPOSIT_ENTRY_TYPES.RECEIVED,
+    description: 'Opening balance from Tenants sheet',
+    amount: amount
+  };
+  getSecurityDepositsSheet().appendRow([entry.date, room, tenantName, entry.type, entry.description, amount, amount]);
+  console.log(`Imported opening security deposit of $${amount.toFixed(2)} for ${tenantName} (Room ${room})`);
+
+  return [entry];
+}
+
+/**
+ * Returns the deposit currently held for a tenant
+ */
+function getDepositHeld(room, tenantName) {
+  const held = getDepositEntries(room, tenantName).reduce((total, entry) => {
+    return entry.type === DEPOSIT_ENTRY_TYPES.RECEIVED ? total + entry.amount : total - entry.amount;
+  }, 0);
+
+  return Math.round(held * 100) / 100;
+}
+
+/**
+ * Describes what happened to a tenant's deposit, for the Tenant History sheet
+ */
+function describeDepositOutcome(room, tenantName) {
+  const totals = {};
+  getDepositEntries(room, tenantName).forEach(entry => {
+    totals[entry.type] = (totals[entry.type] || 0) + entry.amount;
+  });
+
+  if (!totals[DEPOSIT_ENTRY_TYPES.RECEIVED]) return 'No deposit recorded';
+
+  const held = getDepositHeld(room, tenantName);
+  if (held > 0) return `$${held.toFixed(2)} held, awaiting settlement`;
+
+  return `Refunded $${(totals[DEPOSIT_ENTRY_TYPES.REFUND] || 0).toFixed(2)}, ` +
+    `retained $${(totals[DEPOSIT_ENTRY_TYPES.DEDUCTION] || 0).toFixed(2)}`;
+}
+
+/**
+ * Reads the tenant on a row of the Tenants or Tenant History sheet
+ * @return {Object} room, tenantName and email
+ */
+function getDepositTenant(sheet, row) {
+  if (sheet.getName() === TENANT_HISTORY_SHEET_NAME) {
+    return {
+      room: String(sheet.getRange(row, HISTORY_COL_ROOM).getValue()),
+      tenantName: sheet.getRange(row, HISTORY_COL_TENANT).getValue(),
+      email: sheet.getRange(row, HISTORY_COL_EMAIL).getValue()
+    };
+  }
+
+  return {
+    room: String(sheet.getRange(row, COL_ROOM_NUMBER).getValue()),
+    tenantName: sheet.getRange(row, COL_TENANT_NAME).getValue(),
+    email: sheet.getRange(row, COL_TENANT_EMAIL).getValue()
+  };
+}
+
+/**
+ * Appends an entry to the Security Deposits sheet
+ * @return {number} The deposit held after the entry
+ */
+function appendDepositEntry(room, tenantName, type, description, amount) {
+  const held = getDepositHeld(room, tenantName) + (type === DEPOSIT_ENTRY_TYPES.RECEIVED ? amount : -amount);
+
+  getSecurityDepositsSheet().appendRow([
+    new Date(),
+    room,
+    tenantName,
+    type,
+    description,
+    amount,
+    held
+  ]);
+
+  return held;
+}
+
+/**
+ * Records a security deposit received from the selected tenant row
+ */
+function recordSecurityDeposit() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  if (!tenantName) {
+    ui.alert('The selected room has no tenant.');
+    return;
+  }
+
+  const response = ui.prompt(
+    'Record Security Deposit',
+    `Enter the security deposit amount received from ${tenantName}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const amount = parseFloat(response.getResponseText());
+  if (isNaN(amount) || amount <= 0) {
+    ui.alert('Invalid amount entered.');
+    return;
+  }
+
+  const held = appendDepositEntry(room, tenantName, DEPOSIT_ENTRY_TYPES.RECEIVED, 'Security deposit received', amount);
+  sheet.getRange(row, COL_SECURITY_DEPOSIT).setValue(held);
+
+  const budgetSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BUDGET_SHEET_NAME);
+  if (budgetSheet) {
+    budgetSheet.appendRow([
+      new Date(),
+      'Security Deposit Received',
+      `Security deposit from ${tenantName} - Room ${room}`,
+      amount,
+      DEPOSIT_LIABILITY_CATEGORY
+    ]);
+  }
+
+  ui.alert('Deposit Recorded',
+    `Security deposit of $${amount.toFixed(2)} recorded. Total held: $${held.toFixed(2)}.${updateTenantOnboarding(room, tenantName)}`,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Opens the move-out settlement dialog for the selected tenant row, where
+ * the manager itemizes deductions from the deposit held. Tenants who have
+ * already moved out are selected in the Tenant History sheet.
+ */
+function settleSecurityDeposit() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME && sheet.getName() !== TENANT_HISTORY_SHEET_NAME) {
+    ui.alert('Please select a row in the Tenants or Tenant History sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a tenant row.');
+    return;
+  }
+
+  const { room, tenantName, email: tenantEmail } = getDepositTenant(sheet, row);
+  const held = getDepositHeld(room, tenantName);
+
+  if (!tenantName || held <= 0) {
+    ui.alert('No Deposit Held', 'There is no security deposit held for the selected tenant.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const request = findMoveOutRequest(room, tenantName, tenantEmail);
+  const forwardingAddress = request ? request['Forwarding Address'] || '' : '';
+  const email = tenantEmail || (request ? request['Email Address'] || '' : '');
+  const proposed = getProposedDeductions(room, tenantName);
+
+  const html = `
+    <div style="font-family: Arial, sans-serif;">
+      <p><strong>${escapeHtml(tenantName)}</strong> - Room ${escapeHtml(room)}<br>
+      Deposit held: $${held.toFixed(2)}</p>
+      <form id="settlementForm">
+        <input type="hidden" name="sheetName" value="${sheet.getName()}">
+        <input type="hidden" name="row" value="${row}">
+        <input type="hidden" name="tenantName" value="${escapeHtml(tenantName)}">
+        <h4>Deductions</h4>
+        ${proposed.length > 0 ? '<p><i>Proposed from the move-out inspection. Review and adjust before sending.</i></p>' : ''}
+        <table id="deductions">
+          <tr><th>Description</th><th>Amount</th></tr>
+        </table>
+        <p><button type="button" onclick="addDeduction('', '')">Add Deduction</button></p>
+        <p>Send Statement To (email)<br><input type="email" name="email" value="${escapeHtml(email)}" required style="width: 100%;"></p>
+        <p>Forwarding Address<br><textarea name="forwardingAddress" rows="3" style="width: 100%;">${escapeHtml(forwardingAddress)}</textarea></p>
+        <p id="totals"></p>
+        <input type="submit" value="Generate Settlement Statement">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      const held = ${held};
+
+      function addDeduction(description, amount) {
+        const row = document.getElementById('deductions').insertRow();
+        row.innerHTML = '<td><input type="text" class="description"></td>' +
+          '<td><input type="number" class="amount" step="0.01" min="0" style="width: 80px;"></td>';
+        row.querySelector('.description').value = description;
+        row.querySelector('.amount').value = amount;
+        row.querySelector('.amount').addEventListener('input', updateTotals);
+        updateTotals();
+      }
+
+      function getDeductions() {
+        return Array.from(document.querySelectorAll('#deductions tr')).slice(1)
+          .map(function(row) {
+            return {
+              description: row.querySelector('.description').value,
+              amount: parseFloat(row.querySelector('.amount').value) || 0
+            };
+          })
+          .filter(function(deduction) { return deduction.amount > 0; });
+      }
+
+      function updateTotals() {
+        const total = getDeductions().reduce(function(sum, d) { return sum + d.amount; }, 0);
+        document.getElementById('totals').textContent =
+          'Total deductions: $' + total.toFixed(2) + ' | Refund: $' + Math.max(held - total, 0).toFixed(2);
+      }
+
+      document.getElementById('settlementForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            setTimeout(google.script.host.close, 3000);
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .processDepositSettlement({
+            sheetName: form.sheetName.value,
+            row: form.row.value,
+            tenantName: form.tenantName.value,
+            email: form.email.value,
+            forwardingAddress: form.forwardingAddress.value,
+            deductions: getDeductions()
+          });
+      });
+
+      ${proposed.map(deduction => `addDeduction(${JSON.stringify(deduction.description)}, ${deduction.amount});`).join('\n      ')}
+      addDeduction('Cleaning', '');
+      ${proposed.length > 0 ? '' : "addDeduction('Damages', '');"}
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(450)
+      .setHeight(550);
+  ui.showModalDialog(htmlOutput, 'Security Deposit Settlement');
+}
+
+/**
+ * Settles a tenant's deposit from the settlement dialog: records each
+ * deduction and the refund, posts both to the Budget, and emails the
+ * itemized settlement statement to the tenant. Deductions exceeding the
+ * deposit are charged to the tenant's Rent Ledger.
+ * @param {Object} settlement Fields: sheetName, row, tenantName, email, forwardingAddress, deductions
+ * @return {string} A confirmation message for the dialog
+ */
+function processDepositSettlement(settlement) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(settlement.sheetName === TENANT_HISTORY_SHEET_NAME ? TENANT_HISTORY_SHEET_NAME : TENANTS_SHEET_NAME);
+  const row = Number(settlement.row);
+  const { room, tenantName } = getDepositTenant(sheet, row);
+
+  if (tenantName !== settlement.tenantName) {
+    throw new Error('The selected tenant row has changed. Please try again.');
+  }
+
+  const held = getDepositHeld(room, tenantName);
+  const deductions = settlement.deductions.map(deduction => ({
+    description: deduction.description || 'Deduction',
+    amount: Math.round(Number(deduction.amount) * 100) / 100
+  }));
+  const totalDeductions = deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+  const retained = Math.min(totalDeductions, held);
+  const refund = Math.round((held - retained) * 100) / 100;
+  const excess = Math.round((totalDeductions - retained) * 100) / 100;
+
+  // Record deductions up to the amount held; any excess is owed by the tenant
+  let remainingHeld = held;
+  deductions.forEach(deduction => {
+    const applied = Math.min(deduction.amount, remainingHeld);
+    if (applied > 0) {
+      appendDepositEntry(room, tenantName, DEPOSIT_ENTRY_TYPES.DEDUCTION, deduction.description, applied);
+      remainingHeld -= applied;
+    }
+  });
+  if (refund > 0) {
+    appendDepositEntry(room, tenantName, DEPOSIT_ENTRY_TYPES.REFUND, 'Deposit refund', refund);
+  }
+  if (excess > 0) {
+    appendLedgerEntry({
+      room: room,
+      tenantName: tenantName,
+      type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+      description: 'Move-out deductions exceeding security deposit',
+      charge: excess
+    });
+  }
+
+  logDepositSettlementToBudget(tenantName, room, refund, retained);
+  if (sheet.getName() === TENANT_HISTORY_SHEET_NAME) {
+    sheet.getRange(row, HISTORY_COL_DEPOSIT_HELD).setValue(0);
+    sheet.getRange(row, HISTORY_COL_DEPOSIT_OUTCOME).setValue(describeDepositOutcome(room, tenantName));
+  } else {
+    sheet.getRange(row, COL_SECURITY_DEPOSIT).setValue(0);
+  }
+
+  const pdf = createDepositSettlementPDF(tenantName, room, held, deductions, refund, excess, settlement.forwardingAddress);
+  const emailTemplate = getEmailTemplate('depositSettlement', {
+    tenantName: tenantName,
+    refund: refund.toFixed(2),
+    retained: retained.toFixed(2),
+    excess: excess.toFixed(2),
+    forwardingAddress: settlement.forwardingAddress
+  });
+
+  MailApp.sendEmail(settlement.email, emailTemplate.subject, emailTemplate.body, {
+    attachments: [pdf],
+    cc: MANAGER_EMAIL
+  });
+
+  return `Settlement statement sent to ${settlement.email}. Refund: $${refund.toFixed(2)}, retained: $${retained.toFixed(2)}.`;
+}
+
+/**
+ * Log the refund and retained amounts of a settled deposit to the budget sheet.
+ * The retained amount moves from the deposit to deduction income.
+ */
+function logDepositSettlementToBudget(tenantName, room, refund, retained) {
+  const budgetSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BUDGET_SHEET_NAME);
+  if (!budgetSheet) return;
+
+  if (refund > 0) {
+    budgetSheet.appendRow([
+      new Date(),
+      'Security Deposit Refund',
+      `Deposit refund to ${tenantName} - Room ${room}`,
+      -refund,
+      DEPOSIT_LIABILITY_CATEGORY
+    ]);
+  }
+
+  if (retained > 0) {
+    budgetSheet.appendRow([
+      new Date(),
+      'Security Deposit Retained',
+      `Deposit retained from ${tenantName} - Room ${room}`,
+      -retained,
+      DEPOSIT_LIABILITY_CATEGORY
+    ]);
+    budgetSheet.appendRow([
+      new Date(),
+      'Deposit Deduction Income',
+      `Move-out deductions - ${tenantName} (Room ${room})`,
+      retained,
+      DEPOSIT_DEDUCTIONS_CATEGORY
+    ]);
+  }
+}
+
+/**
+ * Returns the total deposits held according to the Budget sheet
+ */
+function getTotalDepositsHeld(budgetData) {
+  const total = budgetData
+    .filter(row => row[4] === DEPOSIT_LIABILITY_CATEGORY)
+    .reduce((sum, row) => sum + (Number(row[3]) || 0), 0);
+
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Creates the itemized security deposit settlement statement as a PDF
+ */
+function createDepositSettlementPDF(tenantName, room, held, deductions, refund, excess, forwardingAddress) {
+  const doc = DocumentApp.create(`Deposit Settlement - ${tenantName} - Room ${room}`);
+  const body = doc.getBody();
+
+  // Clear default content
+  body.clear();
+
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+
+  // Add statement title
+  const title = body.appendParagraph('Security Deposit Settlement Statement');
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
+
+  // Add statement details
+  body.appendParagraph(`Date: ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}`);
+  body.appendParagraph(`Tenant: ${tenantName}`);
+  body.appendParagraph(`Room Number: ${room}`);
+  if (forwardingAddress) {
+    body.appendParagraph(`Forwarding Address: ${forwardingAddress}`);
+  }
+  body.appendParagraph('');
+
+  // Add deductions
+  body.appendParagraph(`Security Deposit Held: $${held.toFixed(2)}`);
+  body.appendParagraph('');
+  body.appendParagraph('Itemized Deductions:').setBold(true);
+  if (deductions.length === 0) {
+    body.appendParagraph('• None').setBold(false);
+  }
+  deductions.forEach(deduction => {
+    body.appendParagraph(`• ${deduction.description}: $${deduction.amount.toFixed(2)}`).setBold(false);
+  });
+  body.appendParagraph('');
+
+  // Add amount section
+  const refundSection = body.appendParagraph(`Amount Refunded: $${refund.toFixed(2)}`);
+  refundSection.setFontSize(14);
+  refundSection.setBold(true);
+  if (excess > 0) {
+    body.appendParagraph(`Deductions exceeding the deposit ($${excess.toFixed(2)}) have been added to your account balance.`).setBold(false);
+  }
+  body.appendParagraph('');
+
+  // Add footer
+  body.appendParagraph('Thank you for being a valued tenant.').setBold(false);
+  body.appendParagraph('Parsonage Management');
+
+  doc.saveAndClose();
+
+  const pdf = doc.getAs('application/pdf');
+  DriveApp.getFileById(doc.getId()).setTrashed(true); // Clean up temporary doc
+
+  return pdf;
+}
+
+/**
+ * Reminds the manager to settle deposits for tenants who have moved out,
+ * whether still in Tenants or already archived to Tenant History.
+ * A reminder is sent when the return deadline is close, then daily once overdue.
+ */
+function checkDepositDeadlines() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(TENANTS_SHEET_NAME);
+  const historySheet = ss.getSheetByName(TENANT_HISTORY_SHEET_NAME);
+
+  const returnDays = Number(getSetting('Deposit Return Days')) || 30;
+  const reminderDays = Number(getSetting('Deposit Reminder Days')) || 7;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Tenants who have moved out, as [room, tenant name, move-out date]
+  const movedOut = [];
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, TENANTS_HEADERS.length).getValues().forEach(row => {
+      movedOut.push([String(row[COL_ROOM_NUMBER - 1]), row[COL_TENANT_NAME - 1], toDate(row[COL_MOVE_OUT_PLANNED - 1])]);
+    });
+  }
+  if (historySheet && historySheet.getLastRow() >= 2) {
+    historySheet.getRange(2, 1, historySheet.getLastRow() - 1, TENANT_HISTORY_HEADERS.length).getValues().forEach(row => {
+      if (Number(row[HISTORY_COL_DEPOSIT_HELD - 1]) > 0) {
+        movedOut.push([String(row[HISTORY_COL_ROOM - 1]), row[HISTORY_COL_TENANT - 1], toDate(row[HISTORY_COL_MOVE_OUT - 1])]);
+      }
+    });
+  }
+
+  const dueList = [];
+
+  movedOut.forEach(([room, tenantName, moveOutDate]) => {
+    if (!tenantName || !moveOutDate || moveOutDate > today) return;
+
+    const held = getDepositHeld(room, tenantName);
+    if (held <= 0) return;
+
+    const deadline = new Date(moveOutDate.getFullYear(), moveOutDate.getMonth(), moveOutDate.getDate() + returnDays);
+    const daysLeft = Math.round((deadline - today) / (1000 * 60 * 60 * 24));
+
+    if (daysLeft === reminderDays || daysLeft <= 0) {
+      const deadlineStr = Utilities.formatDate(deadline, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      dueList.push(`• ${tenantName} (Room ${room}) - $${held.toFixed(2)} held, settle by ${deadlineStr}` +
+        (daysLeft < 0 ? ` (${Math.abs(daysLeft)} day(s) overdue)` : ''));
+    }
+  });
+
+  if (dueList.length === 0) return;
+
+  const emailTemplate = getEmailTemplate('depositDeadline', {
+    dueList: dueList.join('\n'),
+    count: dueList.length
+  });
+
+  MailApp.sendEmail(MANAGER_EMAIL, emailTemplate.subject, emailTemplate.body);
+}
+
+// End of Security Deposit Ledger
@@ -0,0 +1,117 @@
+// Settings.gs
+/**
+ * Configurable settings for the Parsonage Tenant Management System
+ * Settings live in a 'Settings' sheet so the manager can adjust policies
+ * without editing the script
+ */
+
+const SETTINGS_SHEET_NAME = 'Settings';
+
+/**
+ * Headers for the 'Settings' sheet
+ */
+const SETTINGS_HEADERS = [
+  'Setting',
+  'Value',
+  'Description'
+];
+
+/**
+ * Default settings. Any setting missing from the Settings sheet uses the
+ * value listed here, and Configure Settings adds the missing rows.
+ */
+const DEFAULT_SETTINGS = [
+  ['Late Fee Enabled', 'No', 'Assess late fees on the daily payment check (Yes/No)'],
+  ['Late Fee Grace Day', 5, 'Rent is late after this day of the month'],
+  ['Late Fee Type', 'Flat', 'Flat (dollar amount) or Percentage (of monthly rent)'],
+  ['Late Fee Amount', 25, 'Initial late fee, in dollars or percent depending on the type'],
+  ['Late Fee Daily Accrual', 5, 'Additional fee per day the rent remains unpaid (0 to disable)'],
+  ['Late Fee Maximum', 100, 'Maximum total late fees for one month of rent (0 for no cap)'],
+  ['Payment Plan Reminder Days', 3, 'Remind tenants on a payment plan this many days before each installment is due'],
+  ['Collections Friendly Reminder Day', 1, 'Days overdue before a tenant is sent a friendly reminder'],
+  ['Collections Firm Reminder Day', 10, 'Days overdue before a tenant is sent a firm reminder'],
+  ['Collections Formal Notice Day', 20, 'Days overdue before a tenant is sent a formal late rent notice'],
+  ['Collections Manager Call Day', 30, 'Days overdue before the manager is asked to call the tenant'],
+  ['Collections Final Notice Day', 45, 'Days overdue before a tenant is sent a final notice'],
+  ['Proration Basis', 'Daily', 'Daily (actual days in the month) or 30-Day (every month counts as 30 days)'],
+  ['Security Deposit Months', 1, 'Security deposit shown on new leases, in months of rent, when no deposit has been recorded yet'],
+  ['Lease Term Months', 12, 'Length of a new or renewed lease'],
+  ['Renewal Notice Days', 60, 'Remind the manager and tenant this many days before a lease ends'],
+  ['Annual Rent Escalation %', 3, 'Rent increase proposed in renewal offers (0 for none)'],
+  ['Rent Increase Notice Days', 30, 'Minimum days between a rent increase notice and the new rent taking effect'],
+  ['Late Rent Notice Days', 3, 'Minimum days a late rent notice gives the tenant to pay'],
+  ['Notice to Vacate Days', 30, 'Minimum days between a notice to vacate and the vacate date'],
+  ['Move-Out Notice Days', 30, 'Minimum notice tenants must give on the move-out request form'],
+  ['Inspection Duration (Minutes)', 60, 'Length of a move-out inspection calendar event'],
+  ['Inspection Window Days', 7, 'Look for a move-out inspection time this many days before the move-out date'],
+  ['Inspection Calendar ID', '', 'Calendar to book inspections in (blank for your default calendar)'],
+  ['Inspection Deduction per Condition Step', 25, 'Proposed deposit deduction for each step an item worsened between the move-in and move-out inspections'],
+  ['Deposit Return Days', 30, 'Days after move-out within which the security deposit must be settled'],
+  ['Deposit Reminder Days', 7, 'Remind the manager this many days before the deposit return deadline'],
+  ['Screening Income Ratio', 3, 'Target monthly income as a multiple of monthly rent'],
+  ['Screening Score Threshold', 70, 'Applications scoring at least this much (out of 100) pass screening'],
+  ['Waitlist Offers per Room', 2, 'Number of waitlist applicants offered a room at the same time'],
+  ['Waitlist Hold Days', 7, 'Days a room is held for a waitlist applicant to respond before it passes to the next'],
+  ['Reference Reminder Days', 3, 'Remind references who have not responded after this many days'],
+  ['Reference Max Reminders', 2, 'Maximum number of reminders sent to each reference']
+];
+
+// Settings read during the current execution
+let settingsCache = null;
+
+/**
+ * Returns the value of a setting, falling back to its default
+ * @param {string} name The setting name as shown in the Settings sheet.
+ */
+function getSetting(name) {
+  if (!settingsCache) {
+    settingsCache = {};
+    DEFAULT_SETTINGS.forEach(([setting, value]) => {
+      settingsCache[setting] = value;
+    });
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SETTINGS_SHEET_NAME);
+    if (sheet && sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(([setting, value]) => {
+        if (setting && value !== '') {
+          settingsCache[setting] = value;
+        }
+      });
+    }
+  }
+
+  return settingsCache[name];
+}
+
+/**
+ * Creates the Settings sheet if needed and adds any missing settings
+ * with their default values. Existing values are left untouched.
+ */
+function configureSettings() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, SETTINGS_SHEET_NAME, SETTINGS_HEADERS);
+    sheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+  }
+
+  const existing = sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(row => row[0])
+    : [];
+  const missing = DEFAULT_SETTINGS.filter(([setting]) => !existing.includes(setting));
+
+  if (missing.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, missing.length, SETTINGS_HEADERS.length).setValues(missing);
+  }
+
+  settingsCache = null;
+  ss.setActiveSheet(sheet);
+
+  SpreadsheetApp.getUi().alert('Settings',
+    `The Settings sheet is ready${missing.length > 0 ? ` (${missing.length} setting(s) added)` : ''}.\n` +
+    'Edit the Value column to change how the system behaves.',
+    SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+// End of Settings
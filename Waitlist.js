@@ -0,0 +1,362 @@
+// Waitlist.gs
+/**
+ * Room Waitlist for the Parsonage Tenant Management System
+ * Applicants whose preferred room is not available are kept on the
+ * 'Waitlist' sheet in application order. When a room's move-out is recorded,
+ * the top candidates for it are offered the room and it is held for them for
+ * a set number of days before passing to the next in line.
+ */
+
+const WAITLIST_SHEET_NAME = 'Waitlist';
+
+// Waitlist entry statuses
+const WAITLIST_STATUS = {
+  WAITING: 'Waiting',
+  OFFERED: 'Offered', // Room held for the applicant until Hold Expires
+  ACCEPTED: 'Accepted',
+  DECLINED: 'Declined',
+  EXPIRED: 'Expired', // Did not respond before the hold expired
+  REMOVED: 'Removed' // Application declined or withdrawn
+};
+
+// Preferred Room value for applicants who will take any room
+const WAITLIST_ANY_ROOM = 'Any';
+
+/**
+ * Headers for the 'Waitlist' sheet
+ */
+const WAITLIST_HEADERS = [
+  'Application Date',
+  'Applicant Name',
+  'Email',
+  'Preferred Room', // Room number, or Any
+  'Application Row', // Row in the Tenant Applications sheet
+  'Status', // Waiting, Offered, Accepted, Declined, Expired, Removed
+  'Offered Room',
+  'Available Date',
+  'Offer Date',
+  'Hold Expires'
+];
+
+/**
+ * Column index constants (1-based) for the Waitlist sheet
+ */
+const WAITLIST_COL_APPLICATION_DATE = 1;
+const WAITLIST_COL_NAME = 2;
+const WAITLIST_COL_EMAIL = 3;
+const WAITLIST_COL_PREFERRED_ROOM = 4;
+const WAITLIST_COL_APPLICATION_ROW = 5;
+const WAITLIST_COL_STATUS = 6;
+const WAITLIST_COL_OFFERED_ROOM = 7;
+const WAITLIST_COL_AVAILABLE_DATE = 8;
+const WAITLIST_COL_OFFER_DATE = 9;
+const WAITLIST_COL_HOLD_EXPIRES = 10;
+
+/**
+ * Returns the Waitlist sheet, creating it on first use
+ */
+function getWaitlistSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WAITLIST_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, WAITLIST_SHEET_NAME, WAITLIST_HEADERS);
+    sheet = ss.getSheetByName(WAITLIST_SHEET_NAME);
+    sheet.getRange(2, WAITLIST_COL_APPLICATION_DATE, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, WAITLIST_COL_AVAILABLE_DATE, sheet.getMaxRows() - 1, 3).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the waitlist entries, with their sheet row
+ */
+function getWaitlistEntries() {
+  const sheet = getWaitlistSheet();
+  if (sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, WAITLIST_HEADERS.length).getValues().map((row, i) => ({
+    row: i + 2,
+    applicationDate: toDate(row[WAITLIST_COL_APPLICATION_DATE - 1]),
+    name: row[WAITLIST_COL_NAME - 1],
+    email: row[WAITLIST_COL_EMAIL - 1],
+    preferredRoom: String(row[WAITLIST_COL_PREFERRED_ROOM - 1]),
+    applicationRow: Number(row[WAITLIST_COL_APPLICATION_ROW - 1]) || null,
+    status: row[WAITLIST_COL_STATUS - 1],
+    offeredRoom: String(row[WAITLIST_COL_OFFERED_ROOM - 1]),
+    availableDate: toDate(row[WAITLIST_COL_AVAILABLE_DATE - 1]),
+    holdExpires: toDate(row[WAITLIST_COL_HOLD_EXPIRES - 1])
+  }));
+}
+
+/**
+ * Returns the waiting candidates for a room in offer order: applicants who
+ * chose the room first, then those with no preference, each oldest first
+ */
+function getWaitlistCandidates(room) {
+  const waiting = getWaitlistEntries().filter(entry => entry.status === WAITLIST_STATUS.WAITING);
+  const byDate = (a, b) => (a.applicationDate || 0) - (b.applicationDate || 0);
+
+  return waiting.filter(entry => entry.preferredRoom === String(room)).sort(byDate)
+    .concat(waiting.filter(entry => entry.preferredRoom === WAITLIST_ANY_ROOM).sort(byDate));
+}
+
+/**
+ * Adds an application to the waitlist, keeping the sheet in application order
+ * @return {number} The applicant's place among those waiting for the same room
+ */
+function addToWaitlist(application) {
+  const existing = getWaitlistEntries().find(entry => entry.applicationRow === application.row &&
+    (entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED));
+  const choice = parseRoomChoice(application['Preferred Room']);
+  const preferredRoom = choice ? choice.room : WAITLIST_ANY_ROOM;
+
+  if (!existing) {
+    const sheet = getWaitlistSheet();
+    sheet.appendRow([
+      toDate(application['Timestamp']) || new Date(),
+      application['Full Name'],
+      application['Email Address'],
+      preferredRoom,
+      application.row,
+      WAITLIST_STATUS.WAITING,
+      '',
+      '',
+      '',
+      ''
+    ]);
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, WAITLIST_HEADERS.length).sort(WAITLIST_COL_APPLICATION_DATE);
+  }
+
+  const candidates = preferredRoom === WAITLIST_ANY_ROOM
+    ? getWaitlistEntries().filter(entry => entry.status === WAITLIST_STATUS.WAITING && entry.preferredRoom === WAITLIST_ANY_ROOM)
+    : getWaitlistCandidates(preferredRoom);
+  return candidates.findIndex(entry => entry.applicationRow === application.row) + 1;
+}
+
+/**
+ * Puts a newly submitted application on the waitlist if the preferred room
+ * (or, with no preference, every room) is taken, and tells the applicant
+ * @return {boolean} Whether the applicant was waitlisted
+ */
+function waitlistIfUnavailable(application) {
+  const choice = parseRoomChoice(application['Preferred Room']);
+  const vacant = getAvailableRooms();
+  const available = choice
+    ? vacant.some(room => String(room.number) === choice.room)
+    : vacant.length > 0;
+  if (available) return false;
+
+  const position = addToWaitlist(application);
+
+  if (application['Email Address']) {
+    const emailTemplate = getEmailTemplate('waitlistAdded', {
+      name: application['Full Name'] || 'Applicant',
+      availability: choice ? `Room ${choice.room} is currently taken` : 'All of our rooms are currently taken',
+      position: position
+    });
+    MailApp.sendEmail(application['Email Address'], emailTemplate.subject, emailTemplate.body);
+  }
+  return true;
+}
+
+/**
+ * Offers a room that is becoming available to the top waitlist candidates,
+ * holding it for each of them for the number of days in Settings. Only as
+ * many offers are made as are needed to bring the open offers for the room
+ * up to the Waitlist Offers per Room setting.
+ * @param {string} room The room number.
+ * @param {Date} availableDate The date the room becomes available.
+ * @return {number} Number of candidates notified
+ */
+function notifyWaitlistForRoom(room, availableDate) {
+  const today = new Date();
+  const available = availableDate || today;
+  const availableDay = new Date(available.getFullYear(), available.getMonth(), available.getDate());
+  const entries = getWaitlistEntries();
+
+  // Already accepted by a waitlisted applicant for this vacancy
+  if (entries.some(entry => entry.offeredRoom === String(room) && entry.status === WAITLIST_STATUS.ACCEPTED &&
+      entry.availableDate && entry.availableDate.getTime() === availableDay.getTime())) {
+    return 0;
+  }
+
+  const openOffers = entries.filter(entry => entry.offeredRoom === String(room) && entry.status === WAITLIST_STATUS.OFFERED).length;
+  const offerCount = Math.max((Number(getSetting('Waitlist Offers per Room')) || 1) - openOffers, 0);
+  const candidates = getWaitlistCandidates(room).slice(0, offerCount);
+  if (candidates.length === 0) return 0;
+
+  const sheet = getWaitlistSheet();
+  const tenantRow = findTenantRow(room);
+  const rent = tenantRow
+    ? Number(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME).getRange(tenantRow, COL_RENTAL_PRICE).getValue()) || 0
+    : 0;
+  const holdDays = Number(getSetting('Waitlist Hold Days')) || 7;
+  const holdExpires = new Date(today.getFullYear(), today.getMonth(), today.getDate() + holdDays);
+
+  candidates.forEach(candidate => {
+    sheet.getRange(candidate.row, WAITLIST_COL_STATUS, 1, 5).setValues([[
+      WAITLIST_STATUS.OFFERED,
+      room,
+      availableDay,
+      today,
+      holdExpires
+    ]]);
+
+    if (candidate.email) {
+      const emailTemplate = getEmailTemplate('waitlistOffer', {
+        name: candidate.name,
+        room: room,
+        rent: rent.toFixed(2),
+        availableDate: Utilities.formatDate(availableDay, Session.getScriptTimeZone(), 'MMMM d, yyyy'),
+        holdExpires: Utilities.formatDate(holdExpires, Session.getScriptTimeZone(), 'MMMM d, yyyy')
+      });
+      MailApp.sendEmail(candidate.email, emailTemplate.subject, emailTemplate.body);
+    }
+  });
+
+  return candidates.length;
+}
+
+/**
+ * Expires waitlist offers whose hold has passed without a response and
+ * offers those rooms to the next candidates. Runs daily.
+ */
+function processWaitlistHolds() {
+  const sheet = getWaitlistSheet();
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const reoffer = {};
+
+  getWaitlistEntries().forEach(entry => {
+    if (entry.status !== WAITLIST_STATUS.OFFERED || !entry.holdExpires || entry.holdExpires >= today) return;
+
+    sheet.getRange(entry.row, WAITLIST_COL_STATUS).setValue(WAITLIST_STATUS.EXPIRED);
+    reoffer[entry.offeredRoom] = toDate(sheet.getRange(entry.row, WAITLIST_COL_AVAILABLE_DATE).getValue());
+    console.log(`Waitlist hold for ${entry.name} on Room ${entry.offeredRoom} expired`);
+  });
+
+  Object.entries(reoffer).forEach(([room, availableDate]) => {
+    notifyWaitlistForRoom(room, availableDate);
+  });
+}
+
+/**
+ * Offers the selected room in the Tenants sheet to the waitlist, for rooms
+ * that become available without a move-out request
+ */
+function notifyWaitlistForSelectedRoom() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== TENANTS_SHEET_NAME) {
+    ui.alert('Please select a room in the Tenants sheet.');
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a room row.');
+    return;
+  }
+
+  const room = String(sheet.getRange(row, COL_ROOM_NUMBER).getValue());
+  const status = sheet.getRange(row, COL_ROOM_STATUS).getValue();
+  const moveOutDate = toDate(sheet.getRange(row, COL_MOVE_OUT_PLANNED).getValue());
+
+  if (status !== 'Vacant' && !moveOutDate) {
+    ui.alert(`Room ${room} is ${status || 'not available'} and has no planned move-out date.`);
+    return;
+  }
+
+  const notified = notifyWaitlistForRoom(room, status === 'Vacant' ? new Date() : moveOutDate);
+  ui.alert('Waitlist Notified',
+    notified > 0
+      ? `Room ${room} has been offered to ${notified} applicant(s) on the waitlist.`
+      : `No further waitlist applicants to offer Room ${room} to.`,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Records the response to a waitlist offer on the selected Waitlist row.
+ * An accepted room is assigned on the application, ready for review, and
+ * any other offers of it are returned to the waitlist; a declined offer
+ * passes to the next candidate.
+ */
+function recordWaitlistResponse() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== WAITLIST_SHEET_NAME) {
+    ui.alert(`Please select a row in the ${WAITLIST_SHEET_NAME} sheet.`);
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  const entry = getWaitlistEntries().find(waitlistEntry => waitlistEntry.row === row);
+  if (!entry || entry.status !== WAITLIST_STATUS.OFFERED) {
+    ui.alert('Please select a waitlist entry with an open offer.');
+    return;
+  }
+
+  const response = ui.alert('Record Waitlist Response',
+    `Did ${entry.name} accept Room ${entry.offeredRoom}?\n\nYes = accepted, No = declined.`,
+    ui.ButtonSet.YES_NO_CANCEL);
+  if (response === ui.Button.CANCEL || response === ui.Button.CLOSE) return;
+
+  const availableDate = toDate(sheet.getRange(row, WAITLIST_COL_AVAILABLE_DATE).getValue());
+
+  if (response === ui.Button.NO) {
+    sheet.getRange(row, WAITLIST_COL_STATUS).setValue(WAITLIST_STATUS.DECLINED);
+    const notified = notifyWaitlistForRoom(entry.offeredRoom, availableDate);
+    ui.alert('Offer Declined',
+      `Recorded. ${notified > 0 ? `Room ${entry.offeredRoom} has been offered to the next applicant.` : 'No one else is waiting for this room.'}`,
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  sheet.getRange(row, WAITLIST_COL_STATUS).setValue(WAITLIST_STATUS.ACCEPTED);
+
+  // The room is taken, so anyone else holding an offer for it goes back to waiting
+  getWaitlistEntries()
+    .filter(other => other.row !== row && other.status === WAITLIST_STATUS.OFFERED && other.offeredRoom === entry.offeredRoom)
+    .forEach(other => {
+      sheet.getRange(other.row, WAITLIST_COL_STATUS, 1, 5).setValues([[WAITLIST_STATUS.WAITING, '', '', '', '']]);
+    });
+
+  // Assign the room on the application so it can be approved from the review sidebar
+  const applicationSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(APPLICATION_SHEET_NAME);
+  if (applicationSheet && entry.applicationRow) {
+    const columns = ensureApplicationReviewColumns(applicationSheet);
+    applicationSheet.getRange(entry.applicationRow, columns['Assigned Room']).setValue(entry.offeredRoom);
+    if (availableDate) {
+      applicationSheet.getRange(entry.applicationRow, columns['Approved Move-In Date']).setValue(availableDate);
+    }
+    applicationSheet.getRange(entry.applicationRow, columns['Status']).setValue(APPLICATION_STATUS.UNDER_REVIEW);
+  }
+
+  ui.alert('Offer Accepted',
+    `${entry.name} has accepted Room ${entry.offeredRoom}. The room has been assigned on their application, ` +
+    'which is now Under Review; approve it from the review sidebar once the room is vacated.',
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Closes an application's waitlist entry when the application is decided:
+ * approved applicants are marked Accepted, declined or withdrawn ones Removed
+ */
+function closeWaitlistEntry(applicationRow, status, room) {
+  const sheet = getWaitlistSheet();
+  getWaitlistEntries()
+    .filter(entry => entry.applicationRow === applicationRow &&
+      (entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED))
+    .forEach(entry => {
+      sheet.getRange(entry.row, WAITLIST_COL_STATUS).setValue(status);
+      if (room) {
+        sheet.getRange(entry.row, WAITLIST_COL_OFFERED_ROOM).setValue(room);
+      }
+    });
+}
+
+// End of Room Waitlist
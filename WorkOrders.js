@@ -0,0 +1,452 @@
+// WorkOrders.gs
+/**
+ * Maintenance Work Orders for the Parsonage Tenant Management System
+ * Tenants report problems through the Maintenance Request form. Each request
+ * becomes a work order in the 'Work Orders' sheet and is tracked from New to
+ * Done. The manager is alerted to urgent requests, the tenant is emailed as
+ * the status changes, and the cost is posted to the Budget when it is closed.
+ */
+
+const WORK_ORDERS_SHEET_NAME = 'Work Orders';
+const MAINTENANCE_REQUESTS_SHEET_NAME = 'Maintenance Requests';
+
+// Budget category for work order costs
+const MAINTENANCE_CATEGORY = 'Maintenance';
+
+// Work order statuses
+const WORK_ORDER_STATUS = {
+  NEW: 'New',
+  ASSIGNED: 'Assigned',
+  WAITING_PARTS: 'Waiting Parts',
+  DONE: 'Done' // Closed, with its cost posted to the Budget
+};
+
+// Urgency choices on the Maintenance Request form
+const MAINTENANCE_URGENCY = {
+  URGENT: 'Urgent',
+  SOON: 'Soon',
+  ROUTINE: 'Routine'
+};
+
+// Category choices on the Maintenance Request form
+const MAINTENANCE_CATEGORIES = [
+  'Heating & Cooling',
+  'Plumbing',
+  'Electrical',
+  'Appliances',
+  'Furniture & Fixtures',
+  'Doors, Windows & Locks',
+  'Pests',
+  'Other'
+];
+
+/**
+ * Headers for the 'Work Orders' sheet
+ */
+const WORK_ORDERS_HEADERS = [
+  'Work Order ID',
+  'Date Reported',
+  'Room Number',
+  'Tenant Name',
+  'Tenant Email',
+  'Category',
+  'Urgency',
+  'Description',
+  'Photos',
+  'Permission to Enter',
+  'Status', // New, Assigned, Waiting Parts, Done
+  'Assigned To',
+  'Status Notes', // One dated line per update
+  'Cost',
+  'Date Closed'
+];
+
+/**
+ * Column index constants (1-based) for the Work Orders sheet
+ */
+const WORK_ORDER_COL_ID = 1;
+const WORK_ORDER_COL_DATE = 2;
+const WORK_ORDER_COL_ROOM = 3;
+const WORK_ORDER_COL_TENANT = 4;
+const WORK_ORDER_COL_EMAIL = 5;
+const WORK_ORDER_COL_CATEGORY = 6;
+const WORK_ORDER_COL_URGENCY = 7;
+const WORK_ORDER_COL_DESCRIPTION = 8;
+const WORK_ORDER_COL_PHOTOS = 9;
+const WORK_ORDER_COL_PERMISSION = 10;
+const WORK_ORDER_COL_STATUS = 11;
+const WORK_ORDER_COL_ASSIGNED_TO = 12;
+const WORK_ORDER_COL_NOTES = 13;
+const WORK_ORDER_COL_COST = 14;
+const WORK_ORDER_COL_CLOSED = 15;
+
+/**
+ * Returns the Work Orders sheet, creating it on first use
+ */
+function getWorkOrdersSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WORK_ORDERS_SHEET_NAME);
+
+  if (!sheet) {
+    setupSheet(ss, WORK_ORDERS_SHEET_NAME, WORK_ORDERS_HEADERS);
+    sheet = ss.getSheetByName(WORK_ORDERS_SHEET_NAME);
+    sheet.getRange(2, WORK_ORDER_COL_DATE, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, WORK_ORDER_COL_COST, sheet.getMaxRows() - 1, 1).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, WORK_ORDER_COL_CLOSED, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+  }
+
+  return sheet;
+}
+
+/**
+ * Returns the next work order ID (WO-0001, WO-0002, ...)
+ */
+function getNextWorkOrderId() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const next = Number(scriptProperties.getProperty('LAST_WORK_ORDER_NUMBER') || 0) + 1;
+    scriptProperties.setProperty('LAST_WORK_ORDER_NUMBER', String(next));
+    return `WO-${String(next).padStart(4, '0')}`;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sets the Maintenance Request Form's description and settings
+ */
+function configureMaintenanceRequestForm(form) {
+  form.setDescription('Report a problem with your room or the house. For emergencies that put people or property at risk (fire, gas, flooding), call emergency services first and then the house manager.');
+  form.setCollectEmail(true);
+  form.setRequireLogin(false);
+  form.setShowLinkToRespondAgain(true);
+}
+
+/**
+ * Questions on the Maintenance Request Form, in order. Forms created by a
+ * script can't include a file upload question, so Photos asks for links; it
+ * can be replaced in the form editor by a File upload question with the same
+ * title, whose answers are recorded the same way.
+ */
+function getMaintenanceRequestQuestions() {
+  return [
+    // Tenant name
+    { title: 'Your Full Name', add: form => form.addTextItem()
+      .setRequired(true) },
+
+    // Email
+    { title: 'Email Address', add: form => form.addTextItem()
+      .setHelpText('We will email you as the work progresses')
+      .setRequired(true)
+      .setValidation(
+        FormApp.createTextValidation()
+          .requireTextIsEmail()
+          .build()
+      ) },
+
+    // Room number
+    { title: 'Room Number', add: form => form.addTextItem()
+      .setHelpText('Your room number, or the room or area with the problem')
+      .setRequired(true) },
+
+    // Category
+    { title: 'Category', add: form => form.addMultipleChoiceItem()
+      .setChoices(MAINTENANCE_CATEGORIES.map(category => FormApp.createChoice(category)))
+      .setRequired(true) },
+
+    // Urgency
+    { title: 'Urgency', add: form => form.addMultipleChoiceItem()
+      .setHelpText('Urgent: no heat or hot water, a water leak, no power, a broken lock or anything unsafe. Soon: affects daily living. Routine: can wait until convenient.')
+      .setChoices(Object.values(MAINTENANCE_URGENCY).map(urgency => FormApp.createChoice(urgency)))
+      .setRequired(true) },
+
+    // Description
+    { title: 'Description', add: form => form.addParagraphTextItem()
+      .setHelpText('What is the problem, where is it, and when did it start?')
+      .setRequired(true) },
+
+    // Photos
+    { title: 'Photos', add: form => form.addParagraphTextItem()
+      .setHelpText('Links to photos of the problem (e.g., shared Google Drive or Google Photos links), or reply to our confirmation email with photos attached')
+      .setRequired(false) },
+
+    // Permission to enter
+    { title: 'Permission to Enter', add: form => form.addMultipleChoiceItem()
+      .setHelpText('May we enter your room to make the repair if you are not home?')
+      .setChoices([
+        FormApp.createChoice('Yes'),
+        FormApp.createChoice('No - please arrange a time with me first')
+      ])
+      .setRequired(true) }
+  ];
+}
+
+/**
+ * Handles a Maintenance Request form submission: opens a work order,
+ * confirms it to the tenant and alerts the manager if it is urgent
+ */
+function onMaintenanceRequestSubmit(e) {
+  if (!e || !e.namedValues) return;
+
+  const answer = title => e.namedValues[title] ? String(e.namedValues[title][0]).trim() : '';
+  const room = answer('Room Number').replace(/^room\s+/i, '');
+  const email = answer('Email Address');
+  let tenantName = answer('Your Full Name');
+  let note = '';
+
+  // Use the tenant on file for the room if the email matches
+  const tenantRow = findTenantRow(room);
+  if (tenantRow) {
+    const values = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME)
+      .getRange(tenantRow, 1, 1, TENANTS_HEADERS.length).getValues()[0];
+    if (String(values[COL_TENANT_EMAIL - 1]).trim().toLowerCase() === email.toLowerCase()) {
+      tenantName = values[COL_TENANT_NAME - 1] || tenantName;
+    } else {
+      note = `Submitted by ${email}, who is not the tenant on file for Room ${room}`;
+    }
+  } else {
+    note = `Room ${room} is not listed in ${TENANTS_SHEET_NAME}`;
+  }
+
+  const id = getNextWorkOrderId();
+  const date = new Date();
+  const workOrder = {
+    id: id,
+    room: room,
+    tenantName: tenantName,
+    category: answer('Category'),
+    urgency: answer('Urgency') || MAINTENANCE_URGENCY.ROUTINE,
+    description: answer('Description'),
+    photos: answer('Photos'),
+    permission: answer('Permission to Enter')
+  };
+
+  getWorkOrdersSheet().appendRow([
+    id,
+    date,
+    room,
+    tenantName,
+    email,
+    workOrder.category,
+    workOrder.urgency,
+    workOrder.description,
+    workOrder.photos,
+    workOrder.permission,
+    WORK_ORDER_STATUS.NEW,
+    '',
+    note ? `${Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd')}: ${note}` : '',
+    '',
+    ''
+  ]);
+
+  if (email) {
+    const emailTemplate = getEmailTemplate('workOrderReceived', workOrder);
+    try {
+      MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+    } catch (error) {
+      console.error(`Failed to send work order confirmation: ${error.message}`);
+    }
+  }
+
+  if (workOrder.urgency === MAINTENANCE_URGENCY.URGENT) {
+    const alertTemplate = getEmailTemplate('urgentWorkOrderAlert', Object.assign({ email: email, note: note }, workOrder));
+    try {
+      MailApp.sendEmail(MANAGER_EMAIL, alertTemplate.subject, alertTemplate.body);
+    } catch (error) {
+      console.error(`Failed to send urgent work order alert: ${error.message}`);
+    }
+  }
+
+  console.log(`Work order ${id} opened for Room ${room}`);
+}
+
+/**
+ * Opens a dialog to update the selected work order's status, assignee and
+ * notes, and to close it with its cost
+ */
+function updateSelectedWorkOrder() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  if (sheet.getName() !== WORK_ORDERS_SHEET_NAME) {
+    ui.alert(`Please select a row in the ${WORK_ORDERS_SHEET_NAME} sheet.`);
+    return;
+  }
+
+  const row = sheet.getActiveRange().getRow();
+  if (row <= 1) {
+    ui.alert('Please select a work order row.');
+    return;
+  }
+
+  const values = sheet.getRange(row, 1, 1, WORK_ORDERS_HEADERS.length).getValues()[0];
+  const id = values[WORK_ORDER_COL_ID - 1];
+  const status = values[WORK_ORDER_COL_STATUS - 1] || WORK_ORDER_STATUS.NEW;
+
+  if (!id) {
+    ui.alert('The selected row has no work order.');
+    return;
+  }
+  if (status === WORK_ORDER_STATUS.DONE) {
+    ui.alert('Work Order Closed', `Work order ${id} was closed on ${Utilities.formatDate(toDate(values[WORK_ORDER_COL_CLOSED - 1]) || new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const statusOptions = Object.values(WORK_ORDER_STATUS).map(option =>
+    `<option${option === status ? ' selected' : ''}>${option}</option>`
+  ).join('');
+  const notes = escapeHtml(values[WORK_ORDER_COL_NOTES - 1]).replace(/\n/g, '<br>');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif;">
+      <p><strong>${escapeHtml(id)}</strong> - Room ${escapeHtml(values[WORK_ORDER_COL_ROOM - 1])} (${escapeHtml(values[WORK_ORDER_COL_TENANT - 1] || 'unknown tenant')})<br>
+      ${escapeHtml(values[WORK_ORDER_COL_CATEGORY - 1])}, ${escapeHtml(values[WORK_ORDER_COL_URGENCY - 1])}<br>
+      Permission to enter: ${escapeHtml(values[WORK_ORDER_COL_PERMISSION - 1] || 'not given')}</p>
+      <p>${escapeHtml(values[WORK_ORDER_COL_DESCRIPTION - 1])}</p>
+      ${notes ? `<p style="font-size: 12px; color: #555;">${notes}</p>` : ''}
+      <form id="workOrderForm">
+        <p>Status<br><select name="status">${statusOptions}</select></p>
+        <p>Assigned To<br><input type="text" name="assignedTo" value="${escapeHtml(values[WORK_ORDER_COL_ASSIGNED_TO - 1])}" style="width: 100%;"></p>
+        <p>Note for the tenant<br><textarea name="note" rows="3" style="width: 100%;"></textarea></p>
+        <p>Cost (when Done)<br><input type="number" name="cost" min="0" step="0.01"></p>
+        <p><label><input type="checkbox" name="notifyTenant" checked> Email the tenant</label></p>
+        <input type="submit" value="Save">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      document.getElementById('workOrderForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            setTimeout(google.script.host.close, 3000);
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .saveWorkOrderUpdate({
+            row: ${row},
+            id: ${JSON.stringify(String(id))},
+            status: form.status.value,
+            assignedTo: form.assignedTo.value,
+            note: form.note.value,
+            cost: form.cost.value,
+            notifyTenant: form.notifyTenant.checked
+          });
+      });
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(420)
+      .setHeight(560);
+  ui.showModalDialog(htmlOutput, 'Update Work Order');
+}
+
+/**
+ * Saves an update to a work order. Closing it as Done records the cost and
+ * date closed and posts the cost to the Budget under Maintenance.
+ * @param {Object} update Fields: row, id, status, assignedTo, note, cost, notifyTenant
+ * @return {string} A confirmation message for the dialog
+ */
+function saveWorkOrderUpdate(update) {
+  const sheet = getWorkOrdersSheet();
+  const row = Number(update.row);
+  const values = sheet.getRange(row, 1, 1, WORK_ORDERS_HEADERS.length).getValues()[0];
+
+  if (values[WORK_ORDER_COL_ID - 1] !== update.id) {
+    throw new Error('The Work Orders sheet has changed. Please reopen the work order.');
+  }
+  if (values[WORK_ORDER_COL_STATUS - 1] === WORK_ORDER_STATUS.DONE) {
+    throw new Error(`Work order ${update.id} is already closed.`);
+  }
+  if (Object.values(WORK_ORDER_STATUS).indexOf(update.status) === -1) {
+    throw new Error(`Unknown status: ${update.status}`);
+  }
+
+  const closing = update.status === WORK_ORDER_STATUS.DONE;
+  const cost = update.cost === '' ? null : Number(update.cost);
+  if (closing && (cost === null || isNaN(cost) || cost < 0)) {
+    throw new Error('Please enter the cost of the work (0 if there was none) to close the work order.');
+  }
+
+  const previousStatus = values[WORK_ORDER_COL_STATUS - 1] || WORK_ORDER_STATUS.NEW;
+  const assignedTo = String(update.assignedTo || '').trim();
+  const note = String(update.note || '').trim();
+  const date = new Date();
+  const dateText = Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+  // Record the update as a dated line in Status Notes
+  const changes = [];
+  if (update.status !== previousStatus) changes.push(update.status);
+  if (assignedTo && assignedTo !== values[WORK_ORDER_COL_ASSIGNED_TO - 1]) changes.push(`assigned to ${assignedTo}`);
+  if (note) changes.push(note);
+  if (changes.length === 0) {
+    return 'Nothing to update.';
+  }
+  const notes = [values[WORK_ORDER_COL_NOTES - 1], `${dateText}: ${changes.join(' - ')}`].filter(Boolean).join('\n');
+
+  sheet.getRange(row, WORK_ORDER_COL_STATUS).setValue(update.status);
+  sheet.getRange(row, WORK_ORDER_COL_ASSIGNED_TO).setValue(assignedTo);
+  sheet.getRange(row, WORK_ORDER_COL_NOTES).setValue(notes);
+
+  const workOrder = {
+    id: update.id,
+    room: values[WORK_ORDER_COL_ROOM - 1],
+    tenantName: values[WORK_ORDER_COL_TENANT - 1],
+    category: values[WORK_ORDER_COL_CATEGORY - 1],
+    status: update.status,
+    note: note
+  };
+
+  let message = `Work order ${update.id} updated to ${update.status}.`;
+
+  if (closing) {
+    sheet.getRange(row, WORK_ORDER_COL_COST).setValue(cost);
+    sheet.getRange(row, WORK_ORDER_COL_CLOSED).setValue(date);
+    if (cost > 0) {
+      logWorkOrderCostToBudget(workOrder, cost);
+      message += ` $${cost.toFixed(2)} posted to the Budget under ${MAINTENANCE_CATEGORY}.`;
+    }
+  }
+
+  const email = values[WORK_ORDER_COL_EMAIL - 1];
+  if (update.notifyTenant && email) {
+    const emailTemplate = getEmailTemplate('workOrderStatusUpdate', workOrder);
+    try {
+      MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
+      message += ` ${workOrder.tenantName || email} has been emailed.`;
+    } catch (e) {
+      console.error(`Failed to send work order update: ${e.message}`);
+      message += ' The email to the tenant could not be sent.';
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Log a closed work order's cost to the budget sheet as a Maintenance expense
+ */
+function logWorkOrderCostToBudget(workOrder, cost) {
+  const budgetSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BUDGET_SHEET_NAME);
+  if (!budgetSheet) return;
+
+  budgetSheet.appendRow([
+    new Date(),
+    'Maintenance Expense',
+    `Work order ${workOrder.id}: ${workOrder.category} - Room ${workOrder.room}`,
+    -cost,
+    MAINTENANCE_CATEGORY
+  ]);
+}
+
+// End of Maintenance Work Orders
@@ -26,9 +26,16 @@ const TENANTS_HEADERS = [
   'Security Deposit Paid',
   'Room Status', // e.g., Occupied, Vacant, Pending
   'Last Payment Date',
-  'Payment Status - Current Month', // e.g., Paid, Due, Overdue
+  'Payment Status - Current Month', // e.g., Paid, Due, Overdue, On Plan
   'Move-Out Date (Planned)',
-  'Notes'
+  'Notes',
+  'Balance', // From the Rent Ledger; positive means money owed
+  'Months in Arrears',
+  'Lease Signed Date',
+  'Lease Start Date',
+  'Lease End Date',
+  'Move-Out Inspection', // Date and time of the booked inspection
+  'Renewal Reminder Sent' // Date the renewal reminder for the current lease term was sent
 ];
 
 /**
@@ -46,6 +53,13 @@ const COL_LAST_PAYMENT = 9;
 const COL_PAYMENT_STATUS = 10;
 const COL_MOVE_OUT_PLANNED = 11;
 const COL_NOTES = 12;
+const COL_BALANCE = 13;
+const COL_MONTHS_IN_ARREARS = 14;
+const COL_LEASE_SIGNED = 15;
+const COL_LEASE_START = 16;
+const COL_LEASE_END = 17;
+const COL_MOVE_OUT_INSPECTION = 18;
+const COL_RENEWAL_REMINDER = 19;
 
 /**
  * Headers for the 'Budget' sheet.
@@ -56,7 +70,7 @@ const BUDGET_HEADERS = [
   'Type', // e.g., Rent Income, Utility Expense, Maintenance
   'Description',
   'Amount', // Positive for income, negative for expense
-  'Category' // e.g., Rent, Electricity, Water, Repair
+  'Category' // e.g., Rent, Electricity, Water, Repair, Security Deposit
 ];
 
 /**
@@ -65,6 +79,21 @@ const BUDGET_HEADERS = [
  */
 const MANAGER_EMAIL = Session.getActiveUser().getEmail();
 
+/**
+ * House rules, included in the welcome email and the rental agreement.
+ */
+const HOUSE_RULES = [
+  'We maintain a quiet, respectful living environment',
+  'Common areas should be kept clean and tidy',
+  'Guest policies and quiet hours are enforced',
+  'We foster a community atmosphere with optional shared activities'
+];
+
+/**
+ * Name of the Drive folder holding each tenant's documents.
+ */
+const TENANT_FILES_FOLDER_NAME = 'Parsonage Tenant Files';
+
 /**
  * This function runs automatically when the spreadsheet is opened.
  * It creates a custom menu in the Google Sheet UI, making it easier
@@ -80,10 +109,49 @@ function onOpen() {
           .addItem('Send Rent Reminders', 'sendRentReminders')
           .addItem('Send Late Payment Alerts', 'sendLatePaymentAlerts')
           .addItem('Send Monthly Invoices', 'sendMonthlyInvoices')
-          .addItem('Mark Selected Payment Received', 'markPaymentReceived'))
+          .addItem('Mark Selected Payment Received', 'markPaymentReceived')
+          .addItem('Post Ledger Adjustment', 'postLedgerAdjustment')
+          .addItem('Waive Late Fees for Selected Tenant', 'waiveLateFees')
+          .addItem('Pause/Resume Collections for Selected Tenant', 'toggleCollectionsPause')
+          .addItem('Create Payment Plan for Selected Tenant', 'createPaymentPlan')
+          .addItem('Cancel Payment Plan for Selected Tenant', 'cancelPaymentPlan'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Leases')
+          .addItem('Generate Lease for Selected Tenant', 'generateLease')
+          .addItem('Mark Lease Signed', 'markLeaseSigned')
+          .addItem('Send Renewal Offer', 'sendRenewalOffer')
+          .addItem('Confirm Lease Renewal', 'confirmLeaseRenewal')
+          .addItem('Schedule Rent Change', 'scheduleRentChange')
+          .addItem('Generate Notice Letter', 'generateNoticeLetter')
+          .addItem('Edit Lease Template', 'editLeaseTemplate')
+          .addItem('Edit Notice Templates', 'editNoticeTemplates'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Applications')
+          .addItem('Review Selected Application', 'reviewSelectedApplication')
+          .addItem('Screen All Applications', 'screenAllApplications')
+          .addItem('Send Reference Checks for Selected Application', 'sendReferenceChecks')
+          .addItem('Offer Selected Room to Waitlist', 'notifyWaitlistForSelectedRoom')
+          .addItem('Record Response to Selected Waitlist Offer', 'recordWaitlistResponse'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Move-In')
+          .addItem('Onboarding Checklist for Selected Tenant', 'showOnboardingChecklist')
+          .addItem('Record Deposit for Selected Tenant', 'recordSecurityDeposit')
+          .addItem('Inspect Room for Selected Tenant', 'showInspectionChecklist'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Move-Out')
+          .addItem('Review Selected Move-Out Request', 'reviewMoveOutRequest')
+          .addItem('Schedule Move-Out Inspection', 'scheduleInspectionForSelectedTenant')
+          .addItem('Inspect Room for Selected Tenant', 'showInspectionChecklist')
+          .addItem('Complete Move-Out for Selected Tenant', 'completeMoveOutForSelectedTenant')
+          .addItem('Settle Deposit for Selected Tenant', 'settleSecurityDeposit'))
+      .addSeparator()
+      .addSubMenu(ui.createMenu('Maintenance')
+          .addItem('Update Selected Work Order', 'updateSelectedWorkOrder'))
       .addSeparator()
       .addSubMenu(ui.createMenu('Budget Analysis')
           .addItem('Generate Monthly Report', 'generateMonthlyReport')
+          .addItem('Accounts Receivable Aging', 'showAgingReport')
+          .addItem('Generate Rent Roll', 'generateRentRoll')
           .addItem('Create Income/Expense Chart', 'createBudgetChart')
           .addItem('Calculate Occupancy Rate', 'calculateOccupancyRate')
           .addItem('View Financial Summary', 'showFinancialSummary'))
@@ -92,6 +160,8 @@ function onOpen() {
           .addItem('Setup Triggers', 'setupTriggers')
           .addItem('Create Application Form', 'createApplicationForm')
           .addItem('Create Move-Out Form', 'createMoveOutForm')
+          .addItem('Sync Form Room Choices', 'syncFormRoomChoicesNow')
+          .addItem('Configure Settings', 'configureSettings')
           .addItem('Configure Email Templates', 'configureEmailTemplates'))
       .addSeparator()
       .addItem('Send Rent Reminders (Test)', 'sendRentRemindersTest')
@@ -185,6 +255,55 @@ function setupSheet(spreadsheet, sheetName, headers) {
     // Format amount column as currency
     sheet.getRange(2, 4, sheet.getMaxRows() - 1, 1).setNumberFormat('$#,##0.00');
   }
+
+  // Format specific columns if it's the Rent Ledger sheet
+  if (sheetName === RENT_LEDGER_SHEET_NAME) {
+    sheet.getRange(2, LEDGER_COL_DATE, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, LEDGER_COL_PERIOD, sheet.getMaxRows() - 1, 1).setNumberFormat('@');
+    sheet.getRange(2, LEDGER_COL_CHARGE, sheet.getMaxRows() - 1, 3).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, LEDGER_COL_RECORDED, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  }
+}
+
+/**
+ * Converts a sheet or form value to a Date, or null if it is not a valid date.
+ * Form responses store dates as text, so strings are parsed as well.
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute. Names and
+ * answers from the public forms must pass through this before being put
+ * into a dialog or sidebar.
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fills in any missing header cells on an existing sheet, so columns added
+ * after the sheet was initialized are labelled without clearing its data.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to check.
+ * @param {Array<string>} headers The full list of expected headers.
+ */
+function ensureSheetHeaders(sheet, headers) {
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  const current = headerRange.getValues()[0];
+  
+  if (current.every(value => value !== '')) return;
+  
+  headerRange.setValues([current.map((value, i) => value || headers[i])]);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#D9EAD3');
 }
 
 /**
@@ -260,15 +379,24 @@ function applyConditionalFormatting() {
       .setRanges([paymentRange])
       .build();
     
-    const rules = [occupiedRule, vacantRule, paidRule, dueRule, overdueRule];
+    // On Plan - Blue
+    const onPlanRule = SpreadsheetApp.newConditionalFormatRule()
+      .whenTextEqualTo(ON_PLAN_STATUS)
+      .setBackground('#CFE2F3')
+      .setRanges([paymentRange])
+      .build();
+    
+    const rules = [occupiedRule, vacantRule, paidRule, dueRule, overdueRule, onPlanRule];
     tenantsSheet.setConditionalFormatRules(rules);
   }
 }
 
 /**
  * Checks payment status for all tenants and updates the sheet.
- * Determines whether each tenant is Paid, Due, or Overdue based on
- * the 'Last Payment Date' column.
+ * Posts any outstanding monthly rent charges to the Rent Ledger, then
+ * determines whether each tenant is Paid, Due, or Overdue from their
+ * ledger balance and the number of months still unpaid. Overdue tenants
+ * keeping to a payment plan are shown as On Plan.
  */
 function checkAllPaymentStatus() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
@@ -277,41 +405,49 @@ function checkAllPaymentStatus() {
   const lastRow = sheet.getLastRow();
   if (lastRow < 2) return;
 
+  ensureSheetHeaders(sheet, TENANTS_HEADERS);
+  postMonthlyRentCharges();
+  assessLateFees();
+  updatePaymentPlans();
+
   const dataRange = sheet.getRange(2, 1, lastRow - 1, TENANTS_HEADERS.length);
   const data = dataRange.getValues();
-
-  const today = new Date();
-  const firstThisMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-  const firstLastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  const summaries = summarizeLedger(getLedgerEntries());
+  const plans = getActivePaymentPlans();
 
   data.forEach(row => {
     const roomStatus = row[COL_ROOM_STATUS - 1];
     if (roomStatus !== 'Occupied') {
       row[COL_PAYMENT_STATUS - 1] = '';
+      row[COL_BALANCE - 1] = '';
+      row[COL_MONTHS_IN_ARREARS - 1] = '';
       return;
     }
 
-    const lastPayment = row[COL_LAST_PAYMENT - 1];
-    let status = 'Overdue';
+    const key = getLedgerKey(row[COL_ROOM_NUMBER - 1], row[COL_TENANT_NAME - 1]);
+    const summary = summaries[key];
 
-    if (lastPayment instanceof Date) {
-      if (lastPayment >= firstThisMonth) {
-        status = 'Paid';
-      } else if (lastPayment >= firstLastMonth) {
-        status = 'Due';
-      }
-    }
-
-    row[COL_PAYMENT_STATUS - 1] = status;
+    row[COL_PAYMENT_STATUS - 1] = getPlanAdjustedStatus(getPaymentStatusFromSummary(summary), plans[key]);
+    row[COL_BALANCE - 1] = summary ? summary.balance : 0;
+    row[COL_MONTHS_IN_ARREARS - 1] = summary ? summary.monthsInArrears : 0;
   });
 
   dataRange.setValues(data);
-  
-  SpreadsheetApp.getUi().alert('Payment Status Updated', 'All payment statuses have been updated.', SpreadsheetApp.getUi().ButtonSet.OK);
+  runCollectionsLadder();
+
+  // The UI is not available when this runs from the daily trigger
+  try {
+    SpreadsheetApp.getUi().alert('Payment Status Updated', 'All payment statuses have been updated.', SpreadsheetApp.getUi().ButtonSet.OK);
+  } catch (e) {
+    console.log('Payment statuses updated.');
+  }
 }
 
 /**
- * Sends rent reminder emails to tenants with Due or Overdue status.
+ * Sends rent reminder emails to tenants with an outstanding ledger balance.
+ * Tenants on the collections ladder or a payment plan are skipped, since
+ * both send their own reminders; tenants whose ladder is paused still get
+ * reminders.
  */
 function sendRentReminders() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
@@ -323,23 +459,38 @@ function sendRentReminders() {
     return;
   }
 
+  postMonthlyRentCharges();
+
   const dataRange = sheet.getRange(2, 1, lastRow - 1, TENANTS_HEADERS.length);
   const data = dataRange.getValues();
+  const summaries = summarizeLedger(getLedgerEntries());
+  const collections = getCollectionsState();
+  const plans = getActivePaymentPlans();
   const monthYear = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM yyyy');
   let sent = 0;
 
   data.forEach(row => {
-    const status = row[COL_PAYMENT_STATUS - 1];
     const email = row[COL_TENANT_EMAIL - 1];
-    if ((status === 'Due' || status === 'Overdue') && email) {
-      const tenantName = row[COL_TENANT_NAME - 1];
-      const room = row[COL_ROOM_NUMBER - 1];
+    const tenantName = row[COL_TENANT_NAME - 1];
+    const room = row[COL_ROOM_NUMBER - 1];
+    const summary = summaries[getLedgerKey(room, tenantName)];
+    const status = getPaymentStatusFromSummary(summary);
+    const ladder = collections[getLedgerKey(room, tenantName)];
+
+    if (ladder && ladder.step && !ladder.paused) return;
+    if (getPlanAdjustedStatus(status, plans[getLedgerKey(room, tenantName)]) === ON_PLAN_STATUS) return;
+
+    if (row[COL_ROOM_STATUS - 1] === 'Occupied' && status !== 'Paid' && email) {
       const rent = row[COL_NEGOTIATED_PRICE - 1] || row[COL_RENTAL_PRICE - 1];
-      
+      const charges = getInvoiceLineItems(room, tenantName).map(item => formatLineItem(item)).join('\n');
+
       const emailTemplate = getEmailTemplate('rentReminder', {
         tenantName: tenantName,
         room: room,
         rent: rent,
+        charges: charges,
+        balance: summary.balance.toFixed(2),
+        monthsInArrears: summary.monthsInArrears,
         status: status,
         monthYear: monthYear
       });
@@ -357,7 +508,9 @@ function sendRentReminders() {
 }
 
 /**
- * Sends an alert to the house manager listing tenants that are Overdue.
+ * Sends an alert to the house manager listing tenants with at least one
+ * month of rent in arrears according to the Rent Ledger. Tenants keeping
+ * to a payment plan are left out.
  */
 function sendLatePaymentAlerts() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
@@ -366,17 +519,28 @@ function sendLatePaymentAlerts() {
   const lastRow = sheet.getLastRow();
   if (lastRow < 2) return;
 
+  postMonthlyRentCharges();
+
   const data = sheet.getRange(2, 1, lastRow - 1, TENANTS_HEADERS.length).getValues();
+  const summaries = summarizeLedger(getLedgerEntries());
+  const collections = getCollectionsState();
+  const plans = getActivePaymentPlans();
   const overdueList = [];
 
   data.forEach(row => {
-    if (row[COL_PAYMENT_STATUS - 1] === 'Overdue') {
-      const tenant = row[COL_TENANT_NAME - 1];
+    const tenant = row[COL_TENANT_NAME - 1];
+    const room = row[COL_ROOM_NUMBER - 1];
+    const summary = summaries[getLedgerKey(room, tenant)];
+
+    const status = getPlanAdjustedStatus(getPaymentStatusFromSummary(summary), plans[getLedgerKey(room, tenant)]);
+
+    if (row[COL_ROOM_STATUS - 1] === 'Occupied' && status === 'Overdue') {
       const email = row[COL_TENANT_EMAIL - 1];
-      const room = row[COL_ROOM_NUMBER - 1];
-      const lastPayment = row[COL_LAST_PAYMENT - 1];
+      const lastPayment = summary.lastPaymentDate || row[COL_LAST_PAYMENT - 1];
       const lastPaymentStr = lastPayment ? Utilities.formatDate(lastPayment, Session.getScriptTimeZone(), 'yyyy-MM-dd') : 'Never';
-      overdueList.push(`• ${tenant} (Room ${room}, ${email}) - Last payment: ${lastPaymentStr}`);
+      const ladderStep = getCollectionsStepLabel(collections, room, tenant) || 'Not started';
+      overdueList.push(`• ${tenant} (Room ${room}, ${email}) - Balance: $${summary.balance.toFixed(2)}, ` +
+        `${summary.monthsInArrears} month(s) in arrears, last payment: ${lastPaymentStr}, collections: ${ladderStep}`);
     }
   });
 
@@ -396,7 +560,8 @@ function sendLatePaymentAlerts() {
 
 /**
  * Generates PDF invoices for all occupied rooms and emails them to tenants.
- * Invoices are simple documents summarizing the amount due for the month.
+ * Invoices list this month's ledger charges and payments together with any
+ * balance brought forward, so the amount due is the tenant's ledger balance.
  */
 function sendMonthlyInvoices() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
@@ -405,6 +570,8 @@ function sendMonthlyInvoices() {
   const lastRow = sheet.getLastRow();
   if (lastRow < 2) return;
 
+  postMonthlyRentCharges();
+
   const data = sheet.getRange(2, 1, lastRow - 1, TENANTS_HEADERS.length).getValues();
   const monthYear = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM yyyy');
   let sent = 0;
@@ -415,12 +582,14 @@ function sendMonthlyInvoices() {
     if (status === 'Occupied' && email) {
       const tenant = row[COL_TENANT_NAME - 1];
       const room = row[COL_ROOM_NUMBER - 1];
-      const rent = row[COL_NEGOTIATED_PRICE - 1] || row[COL_RENTAL_PRICE - 1];
+      const lineItems = getInvoiceLineItems(room, tenant);
+      const amountDue = Math.max(lineItems.reduce((sum, item) => sum + item.amount, 0), 0);
 
       try {
-        const pdf = createInvoicePDF(tenant, room, rent, monthYear);
+        const pdf = createInvoicePDF(tenant, room, lineItems, monthYear);
         const emailTemplate = getEmailTemplate('monthlyInvoice', {
           tenantName: tenant,
+          amountDue: amountDue.toFixed(2),
           monthYear: monthYear
         });
         
@@ -439,8 +608,12 @@ function sendMonthlyInvoices() {
 
 /**
  * Creates a PDF invoice for a tenant
+ * @param {string} tenantName The tenant's name.
+ * @param {string} room The room number.
+ * @param {Array<Object>} lineItems Items with a description and amount (credits are negative).
+ * @param {string} monthYear The billing month, e.g. "July 2025".
  */
-function createInvoicePDF(tenantName, room, rent, monthYear) {
+function createInvoicePDF(tenantName, room, lineItems, monthYear) {
   const doc = DocumentApp.create(`Rent Invoice - ${tenantName} - ${monthYear}`);
   const body = doc.getBody();
   
@@ -464,8 +637,15 @@ function createInvoicePDF(tenantName, room, rent, monthYear) {
   body.appendParagraph(`Room Number: ${room}`);
   body.appendParagraph('');
   
+  // Add line items
+  lineItems.forEach(item => {
+    body.appendParagraph(formatLineItem(item));
+  });
+  body.appendParagraph('');
+
   // Add amount section
-  const amountSection = body.appendParagraph(`Amount Due: $${rent}`);
+  const amountDue = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const amountSection = body.appendParagraph(`Amount Due: $${Math.max(amountDue, 0).toFixed(2)}`);
   amountSection.setFontSize(14);
   amountSection.setBold(true);
   body.appendParagraph('');
@@ -473,7 +653,7 @@ function createInvoicePDF(tenantName, room, rent, monthYear) {
   // Add payment instructions
   body.appendParagraph('Payment Instructions:');
   body.appendParagraph('• Payment is due by the 5th of each month');
-  body.appendParagraph('• Late payments may incur additional fees');
+  body.appendParagraph(`• ${describeLateFeePolicy()}`);
   body.appendParagraph('• Please include your room number with payment');
   body.appendParagraph('');
   
@@ -490,8 +670,66 @@ function createInvoicePDF(tenantName, room, rent, monthYear) {
 }
 
 /**
- * Marks the currently selected tenant row as paid and logs the income
- * in the Budget sheet.
+ * Returns the Drive folder for a tenant's documents, creating it (and the
+ * parent tenant files folder) if needed
+ */
+function getTenantFolder(room, tenantName) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const rootId = scriptProperties.getProperty('TENANT_FILES_FOLDER_ID');
+  let root = null;
+  
+  if (rootId) {
+    try {
+      root = DriveApp.getFolderById(rootId);
+    } catch (e) {
+      console.log('Tenant files folder not found, creating a new one');
+    }
+  }
+  if (!root) {
+    root = DriveApp.createFolder(TENANT_FILES_FOLDER_NAME);
+    scriptProperties.setProperty('TENANT_FILES_FOLDER_ID', root.getId());
+  }
+  
+  const folderName = `Room ${room} - ${tenantName}`;
+  const folders = root.getFoldersByName(folderName);
+  return folders.hasNext() ? folders.next() : root.createFolder(folderName);
+}
+
+/**
+ * Fills a copy of a Docs template and saves it as a PDF in the given folder
+ * @param {GoogleAppsScript.Drive.File} template The template document.
+ * @param {string} fileName Name for the generated document.
+ * @param {Object} values Replacement text keyed by placeholder, e.g. {{Tenant Name}}.
+ * @param {GoogleAppsScript.Drive.Folder} folder Folder to save the PDF in.
+ * @return {GoogleAppsScript.Drive.File} The saved PDF file
+ */
+function createPDFFromTemplate(template, fileName, values, folder) {
+  const copy = template.makeCopy(fileName, folder);
+  const doc = DocumentApp.openById(copy.getId());
+  const body = doc.getBody();
+  
+  Object.entries(values).forEach(([placeholder, value]) => {
+    // replaceText takes a regular expression
+    body.replaceText(placeholder.replace(/[{}]/g, '\\$&'), String(value));
+  });
+  
+  doc.saveAndClose();
+  
+  const pdf = folder.createFile(doc.getAs('application/pdf'));
+  copy.setTrashed(true); // Clean up temporary doc
+  
+  return pdf;
+}
+
+/**
+ * Payment methods accepted by the treasurer.
+ */
+const PAYMENT_METHODS = ['Check', 'Bank Transfer', 'Cash', 'Online'];
+
+/**
+ * Opens the payment entry dialog for the currently selected tenant row.
+ * The treasurer enters the actual amount, date received, method and
+ * check/reference number; the payment is then recorded by processPaymentEntry.
  */
 function markPaymentReceived() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -509,23 +747,258 @@ function markPaymentReceived() {
 
   const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
   const room = sheet.getRange(row, COL_ROOM_NUMBER).getValue();
+  if (!tenantName) {
+    SpreadsheetApp.getUi().alert('The selected room has no tenant.');
+    return;
+  }
+
+  postMonthlyRentCharges();
   const rent = sheet.getRange(row, COL_NEGOTIATED_PRICE).getValue() || sheet.getRange(row, COL_RENTAL_PRICE).getValue();
+  const balance = getTenantBalance(room, tenantName);
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const suggestedAmount = balance > 0 ? balance : rent;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif;">
+      <p><strong>${escapeHtml(tenantName)}</strong> - Room ${escapeHtml(room)}<br>
+      Current balance: $${balance.toFixed(2)}</p>
+      <form id="paymentForm">
+        <input type="hidden" name="row" value="${row}">
+        <input type="hidden" name="tenantName" value="${escapeHtml(tenantName)}">
+        <p>Amount Received<br><input type="number" name="amount" step="0.01" min="0.01" value="${Number(suggestedAmount).toFixed(2)}" required></p>
+        <p>Date Received<br><input type="date" name="date" value="${today}" required></p>
+        <p>Payment Method<br><select name="method">
+          ${PAYMENT_METHODS.map(method => `<option>${method}</option>`).join('')}
+        </select></p>
+        <p>Check / Reference Number<br><input type="text" name="reference"></p>
+        <p><label><input type="checkbox" name="sendReceipt" checked> Email a PDF receipt for cash payments</label></p>
+        <input type="submit" value="Record Payment">
+      </form>
+      <p id="result"></p>
+    </div>
+    <script>
+      document.getElementById('paymentForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const form = event.target;
+        form.querySelector('input[type=submit]').disabled = true;
+        google.script.run
+          .withSuccessHandler(function(message) {
+            document.getElementById('result').textContent = message;
+            setTimeout(google.script.host.close, 2000);
+          })
+          .withFailureHandler(function(error) {
+            document.getElementById('result').textContent = 'Error: ' + error.message;
+            form.querySelector('input[type=submit]').disabled = false;
+          })
+          .processPaymentEntry({
+            row: form.row.value,
+            tenantName: form.tenantName.value,
+            amount: form.amount.value,
+            date: form.date.value,
+            method: form.method.value,
+            reference: form.reference.value,
+            sendReceipt: form.sendReceipt.checked
+          });
+      });
+    </script>
+  `;
+
+  const htmlOutput = HtmlService
+      .createHtmlOutput(html)
+      .setWidth(350)
+      .setHeight(450);
+  SpreadsheetApp.getUi()
+      .showModalDialog(htmlOutput, 'Record Payment');
+}
+
+/**
+ * Formats an invoice line item as "Description: $amount" (credits shown as -$amount)
+ */
+function formatLineItem(item) {
+  const amount = item.amount < 0 ? `-$${Math.abs(item.amount).toFixed(2)}` : `$${item.amount.toFixed(2)}`;
+  return `${item.description}: ${amount}`;
+}
+
+/**
+ * Records a payment submitted from the payment dialog. The payment is applied
+ * to the Rent Ledger, the actual amount is logged in the Budget sheet, and the
+ * tenant's status is refreshed so partial and over-payments are reflected.
+ * @param {Object} payment Fields: row, tenantName, amount, date (yyyy-MM-dd), method, reference, sendReceipt
+ * @return {string} A confirmation message for the dialog
+ */
+function processPaymentEntry(payment) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(TENANTS_SHEET_NAME);
+  const row = Number(payment.row);
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+
+  if (tenantName !== payment.tenantName) {
+    throw new Error('The selected tenant row has changed. Please try again.');
+  }
+
+  const amount = Math.round(parseFloat(payment.amount) * 100) / 100;
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error('Please enter a valid amount.');
+  }
+
+  const [year, month, day] = payment.date.split('-').map(Number);
+  const paymentDate = new Date(year, month - 1, day);
+  if (isNaN(paymentDate.getTime())) {
+    throw new Error('Please enter a valid date.');
+  }
 
-  sheet.getRange(row, COL_LAST_PAYMENT).setValue(new Date());
-  sheet.getRange(row, COL_PAYMENT_STATUS).setValue('Paid');
+  const method = payment.method;
+  const reference = (payment.reference || '').trim();
+  const room = sheet.getRange(row, COL_ROOM_NUMBER).getValue();
+  const summaryBefore = summarizeLedger(getLedgerEntries())[getLedgerKey(room, tenantName)];
+  const balanceBefore = summaryBefore ? summaryBefore.balance : 0;
+  const methodLabel = reference ? `${method} #${reference}` : method;
+
+  recordLedgerPayment(room, tenantName, amount, paymentDate, `Payment - ${methodLabel}`);
+
+  const lastPayment = sheet.getRange(row, COL_LAST_PAYMENT).getValue();
+  if (!(lastPayment instanceof Date) || paymentDate > lastPayment) {
+    sheet.getRange(row, COL_LAST_PAYMENT).setValue(paymentDate);
+  }
+  updatePaymentPlans();
+  const summary = refreshTenantPaymentStatus(sheet, row);
+  const balance = summary ? summary.balance : 0;
+
+  // The part of the payment that settled late fees is logged as late fee
+  // income, and the rest as rent income
+  const feesSettled = Math.round((getUnpaidLateFees(summaryBefore) - getUnpaidLateFees(summary)) * 100) / 100;
+  const rentIncome = Math.round((amount - feesSettled) * 100) / 100;
+
+  let note = '';
+  if (amount < balanceBefore) {
+    note = ' (partial payment)';
+  } else if (amount > balanceBefore) {
+    note = ` (includes $${(amount - Math.max(balanceBefore, 0)).toFixed(2)} credit)`;
+  }
+  if (feesSettled > 0) {
+    note += ` ($${feesSettled.toFixed(2)} applied to late fees)`;
+  }
 
   const budgetSheet = ss.getSheetByName(BUDGET_SHEET_NAME);
-  if (budgetSheet) {
+  if (budgetSheet && rentIncome > 0) {
     budgetSheet.appendRow([
-      new Date(), 
+      paymentDate, 
       'Rent Income', 
-      `Rent from ${tenantName} - Room ${room}`, 
-      rent, 
+      `Rent from ${tenantName} - Room ${room} - ${methodLabel}${note}`, 
+      rentIncome, 
       'Rent'
     ]);
   }
+  if (feesSettled > 0) {
+    logLateFeeToBudget(tenantName, room, feesSettled, paymentDate, methodLabel);
+  }
+
+  let message = `Payment of $${amount.toFixed(2)} from ${tenantName} recorded. New balance: $${balance.toFixed(2)}.`;
+  message += updateTenantOnboarding(room, tenantName);
+
+  if (method === 'Cash' && payment.sendReceipt) {
+    const email = sheet.getRange(row, COL_TENANT_EMAIL).getValue();
+    if (email) {
+      const receiptNumber = getNextReceiptNumber();
+      const pdf = createPaymentReceiptPDF(receiptNumber, tenantName, room, amount, paymentDate, methodLabel, balance);
+      const emailTemplate = getEmailTemplate('paymentReceipt', {
+        tenantName: tenantName,
+        receiptNumber: receiptNumber,
+        amount: amount.toFixed(2)
+      });
+      
+      MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body, {
+        attachments: [pdf]
+      });
+      message += ` Receipt ${receiptNumber} emailed to ${email}.`;
+    } else {
+      message += ' No receipt sent: tenant has no email address.';
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Recalculates the payment status, balance and months in arrears for a
+ * single Tenants row from the Rent Ledger.
+ * @return {Object} The tenant's ledger summary, if any
+ */
+function refreshTenantPaymentStatus(sheet, row) {
+  const tenantName = sheet.getRange(row, COL_TENANT_NAME).getValue();
+  const room = sheet.getRange(row, COL_ROOM_NUMBER).getValue();
+  const key = getLedgerKey(room, tenantName);
+  const summary = summarizeLedger(getLedgerEntries())[key];
+
+  sheet.getRange(row, COL_PAYMENT_STATUS).setValue(getPlanAdjustedStatus(getPaymentStatusFromSummary(summary), getActivePaymentPlans()[key]));
+  sheet.getRange(row, COL_BALANCE).setValue(summary ? summary.balance : 0);
+  sheet.getRange(row, COL_MONTHS_IN_ARREARS).setValue(summary ? summary.monthsInArrears : 0);
+
+  return summary;
+}
+
+/**
+ * Returns the next sequential receipt number (e.g. R-00042)
+ */
+function getNextReceiptNumber() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const next = Number(scriptProperties.getProperty('LAST_RECEIPT_NUMBER') || 0) + 1;
+    scriptProperties.setProperty('LAST_RECEIPT_NUMBER', String(next));
+    return `R-${String(next).padStart(5, '0')}`;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Creates a PDF receipt for a payment
+ */
+function createPaymentReceiptPDF(receiptNumber, tenantName, room, amount, paymentDate, methodLabel, balance) {
+  const doc = DocumentApp.create(`Payment Receipt ${receiptNumber} - ${tenantName}`);
+  const body = doc.getBody();
+  
+  // Clear default content
+  body.clear();
+  
+  // Add header
+  const header = body.appendParagraph('PARSONAGE RENTAL');
+  header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  
+  // Add receipt title
+  const title = body.appendParagraph(`Payment Receipt ${receiptNumber}`);
+  title.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  title.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  body.appendParagraph('');
   
-  SpreadsheetApp.getUi().alert('Payment Recorded', `Payment from ${tenantName} has been recorded.`, SpreadsheetApp.getUi().ButtonSet.OK);
+  // Add receipt details
+  body.appendParagraph(`Date Received: ${Utilities.formatDate(paymentDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')}`);
+  body.appendParagraph(`Received From: ${tenantName}`);
+  body.appendParagraph(`Room Number: ${room}`);
+  body.appendParagraph(`Payment Method: ${methodLabel}`);
+  body.appendParagraph('');
+  
+  // Add amount section
+  const amountSection = body.appendParagraph(`Amount Received: $${amount.toFixed(2)}`);
+  amountSection.setFontSize(14);
+  amountSection.setBold(true);
+  body.appendParagraph(`Remaining Balance: $${balance.toFixed(2)}`);
+  body.appendParagraph('');
+  
+  // Add footer
+  body.appendParagraph('Thank you for your payment!');
+  body.appendParagraph('Parsonage Management');
+  
+  doc.saveAndClose();
+  
+  const pdf = doc.getAs('application/pdf');
+  DriveApp.getFileById(doc.getId()).setTrashed(true); // Clean up temporary doc
+  
+  return pdf;
 }
 
 /**
@@ -548,6 +1021,8 @@ function generateMonthlyReport() {
   
   let totalIncome = 0;
   let totalExpenses = 0;
+  let depositsReceived = 0;
+  let depositsReleased = 0;
   const incomeByCategory = {};
   const expensesByCategory = {};
   
@@ -557,7 +1032,14 @@ function generateMonthlyReport() {
     const category = row[4];
     
     if (date >= firstOfMonth && date <= lastOfMonth) {
-      if (amount > 0) {
+      if (category === DEPOSIT_LIABILITY_CATEGORY) {
+        // Deposits are held on the tenant's behalf, not earned
+        if (amount > 0) {
+          depositsReceived += amount;
+        } else {
+          depositsReleased += Math.abs(amount);
+        }
+      } else if (amount > 0) {
         totalIncome += amount;
         incomeByCategory[category] = (incomeByCategory[category] || 0) + amount;
       } else {
@@ -585,11 +1067,16 @@ function generateMonthlyReport() {
     report += `  ${cat}: $${amt.toFixed(2)}\n`;
   });
   
+  report += `\nSecurity Deposits (not included above):\n`;
+  report += `  Received: $${depositsReceived.toFixed(2)}\n`;
+  report += `  Refunded or Retained: $${depositsReleased.toFixed(2)}\n`;
+  report += `  Total Deposits Held: $${getTotalDepositsHeld(data).toFixed(2)}\n`;
+  
   // Show report in a modal dialog
   const htmlOutput = HtmlService
       .createHtmlOutput(`<pre>${report}</pre>`)
       .setWidth(400)
-      .setHeight(300);
+      .setHeight(400);
   SpreadsheetApp.getUi()
       .showModalDialog(htmlOutput, 'Monthly Financial Report');
 }
@@ -697,7 +1184,7 @@ function showFinancialSummary() {
   let ytdExpenses = 0;
   
   budgetData.forEach(row => {
-    if (row[0] >= yearStart) {
+    if (row[0] >= yearStart && row[4] !== DEPOSIT_LIABILITY_CATEGORY) {
       if (row[3] > 0) {
         ytdIncome += row[3];
       } else {
@@ -712,17 +1199,21 @@ function showFinancialSummary() {
     <h4>Monthly Projections:</h4>
     <p>Potential Income (100% occupancy): $${potentialIncome.toFixed(2)}</p>
     <p>Expected Income (current occupancy): $${actualIncome.toFixed(2)}</p>
+    <p>Vacancy Loss (this month): $${getRentRoll(getPeriodKey(new Date())).totals.vacancyLoss.toFixed(2)}</p>
     <hr>
     <h4>Year-to-Date (YTD):</h4>
     <p>Total Income: $${ytdIncome.toFixed(2)}</p>
     <p>Total Expenses: $${ytdExpenses.toFixed(2)}</p>
     <p>Net Profit: $${(ytdIncome - ytdExpenses).toFixed(2)}</p>
+    <hr>
+    <h4>Liabilities:</h4>
+    <p>Deposits Held: $${getTotalDepositsHeld(budgetData).toFixed(2)}</p>
   `;
   
   const htmlOutput = HtmlService
       .createHtmlOutput(summary)
       .setWidth(400)
-      .setHeight(300);
+      .setHeight(400);
   SpreadsheetApp.getUi()
       .showModalDialog(htmlOutput, 'Financial Summary');
 }
@@ -756,6 +1247,61 @@ function setupTriggers() {
       .atHour(14)
       .create();
   
+  // Daily move-out completion at 7 AM, before the payment status check
+  ScriptApp.newTrigger('processScheduledMoveOuts')
+      .timeBased()
+      .everyDays(1)
+      .atHour(7)
+      .create();
+  
+  // Daily onboarding check at 8 AM, moving completed tenants in before the payment status check
+  ScriptApp.newTrigger('processOnboarding')
+      .timeBased()
+      .everyDays(1)
+      .atHour(8)
+      .create();
+  
+  // Daily security deposit deadline check at 8 AM
+  ScriptApp.newTrigger('checkDepositDeadlines')
+      .timeBased()
+      .everyDays(1)
+      .atHour(8)
+      .create();
+  
+  // Daily lease renewal check at 8 AM
+  ScriptApp.newTrigger('checkLeaseRenewals')
+      .timeBased()
+      .everyDays(1)
+      .atHour(8)
+      .create();
+  
+  // Daily waitlist hold expiry at 11 AM
+  ScriptApp.newTrigger('processWaitlistHolds')
+      .timeBased()
+      .everyDays(1)
+      .atHour(11)
+      .create();
+  
+  // Daily reference check reminders at 11 AM
+  ScriptApp.newTrigger('sendReferenceReminders')
+      .timeBased()
+      .everyDays(1)
+      .atHour(11)
+      .create();
+  
+  // Daily form room choice sync at 9 AM, after the day's move-outs and move-ins
+  ScriptApp.newTrigger('syncFormRoomChoices')
+      .timeBased()
+      .everyDays(1)
+      .atHour(9)
+      .create();
+  
+  // Form room choice sync when rooms or rates are edited
+  ScriptApp.newTrigger('onRoomSheetEdit')
+      .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+      .onEdit()
+      .create();
+  
   SpreadsheetApp.getUi().alert('Triggers Set Up', 'Automated triggers have been configured successfully.', SpreadsheetApp.getUi().ButtonSet.OK);
 }
 
@@ -840,8 +1386,11 @@ function getEmailTemplate(type, data) {
       subject: `Rent Reminder - ${data.monthYear}`,
       body: `Dear ${data.tenantName},
 
-This is a friendly reminder that your rent of $${data.rent} for room ${data.room} is ${data.status.toLowerCase()} for ${data.monthYear}.
+This is a friendly reminder that your rent for room ${data.room} is ${data.status.toLowerCase()} for ${data.monthYear}.
 
+Monthly rent: $${data.rent}
+${data.charges ? `\nCharges:\n${data.charges}\n\n` : ''}Outstanding balance: $${data.balance}
+${data.monthsInArrears > 0 ? `Months in arrears: ${data.monthsInArrears}\n` : ''}
 Please make your payment as soon as possible to avoid any late fees.
 
 Payment can be made via:
@@ -867,7 +1416,7 @@ ${data.overdueList}
 Please follow up with these tenants as soon as possible. Consider:
 • Personal follow-up calls
 • Written notices if significantly overdue
-• Review of payment plans if needed
+• A payment plan for the arrears (Create Payment Plan for Selected Tenant)
 
 This is an automated alert from the Parsonage Management System.
 
@@ -878,12 +1427,21 @@ Parsonage Management System`
       subject: `Rent Invoice - ${data.monthYear}`,
       body: `Dear ${data.tenantName},
 
-Please find attached your rent invoice for ${data.monthYear}.
+Please find attached your rent invoice for ${data.monthYear}. The amount due is $${data.amountDue}.
 
 Payment is due by the 5th of the month. Thank you for your prompt payment.
 
 If you have any questions about your invoice, please don't hesitate to contact us.
 
+Best regards,
+Parsonage Management`
+    },
+    paymentReceipt: {
+      subject: `Payment Receipt ${data.receiptNumber}`,
+      body: `Dear ${data.tenantName},
+
+Thank you for your cash payment of $${data.amount}. Please find attached receipt ${data.receiptNumber} for your records.
+
 Best regards,
 Parsonage Management`
     },
@@ -899,56 +1457,552 @@ What happens next:
 3. You will receive a response within 3-5 business days
 
 House Rules & Cultural Vision:
-• We maintain a quiet, respectful living environment
-• Common areas should be kept clean and tidy
-• Guest policies and quiet hours are enforced
-• We foster a community atmosphere with optional shared activities
+${HOUSE_RULES.map(rule => `• ${rule}`).join('\n')}
 
 If you have any questions, please feel free to contact us.
 
 Best regards,
 Parsonage Management`
     },
-    moveOutInstructions: {
-      subject: 'Move-Out Instructions - Parsonage',
-      body: `Hello ${data.name},
+    newApplicationAlert: {
+      subject: `New Application: ${data.name} - Screening ${data.result}`,
+      body: `Dear Manager,
 
-We have received your move-out request for ${data.moveOutDate}.
+A new tenant application has been received.
 
-Move-Out Checklist:
-1. Clean your room thoroughly (including windows, floors, and closets)
-2. Remove all personal belongings
-3. Return all keys and access cards
-4. Schedule a move-out inspection
-5. Provide forwarding address for security deposit return
+Applicant: ${data.name} (${data.email})
+Preferred Room: ${data.preferredRoom}
+Desired Move-In: ${data.moveInDate}
 
-Your security deposit will be returned within 30 days after move-out, minus any deductions for damages or cleaning.
+Screening Summary:
+Score: ${data.score}/100 (${data.result})
+Income-to-Rent Ratio: ${data.ratio} (rent $${data.rent})
 
-Please contact us to schedule your move-out inspection at least 3 days before your move-out date.
+Flags:
+${data.flags}
 
-Thank you for being a valued tenant.
+Select the application in the ${APPLICATION_SHEET_NAME} sheet and use Review Selected Application to review it.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    referenceRequest: {
+      subject: `Reference Request for ${data.applicantName} - Parsonage`,
+      body: `Dear ${data.referenceName},
+
+${data.applicantName} has applied to rent a room at our parsonage and listed you as a reference.
+
+We would be grateful if you could answer a few short questions about them. It takes about two minutes:
+${data.formUrl}
+
+Your answers are kept confidential and used only to review this application.
+
+Thank you for your help.
 
 Best regards,
 Parsonage Management`
-    }
-  };
-  
-  return templates[type] || { subject: 'Parsonage Management', body: 'No template found.' };
-}
+    },
+    referenceReminder: {
+      subject: `Reminder: Reference Request for ${data.applicantName} - Parsonage`,
+      body: `Dear ${data.referenceName},
 
-/**
- * Configure email templates (shows current templates)
- */
-function configureEmailTemplates() {
-  const html = `
-    <h3>Email Templates</h3>
-    <p>The system uses the following email templates:</p>
-    <ul>
-      <li><b>Rent Reminder:</b> Sent monthly to tenants with due/overdue rent</li>
+A few days ago we asked for a short reference for ${data.applicantName}, who has applied to rent a room at our parsonage. If you have a moment, we would appreciate your answers:
+${data.formUrl}
+
+If you have already responded, thank you, and please disregard this reminder.
+
+Best regards,
+Parsonage Management`
+    },
+    leaseRenewalReminder: {
+      subject: 'Your Lease Is Ending Soon - Parsonage',
+      body: `Dear ${data.tenantName},
+
+This is a friendly reminder that your lease ends on ${data.leaseEnd}.
+
+If you would like to stay with us, please let us know and we will send you a renewal offer. If you plan to move out, please submit the move-out request form at least 30 days before your move-out date.
+
+Best regards,
+Parsonage Management`
+    },
+    leaseExpiryAlert: {
+      subject: `Lease Renewals Due - ${data.count} Tenant(s)`,
+      body: `Dear Manager,
+
+The following leases end within ${data.noticeDays} days:
+
+${data.expiringList}
+
+The tenants have been sent a reminder. Use 'Send Renewal Offer' in the Parsonage Tools menu to offer a new term.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    renewalOffer: {
+      subject: 'Lease Renewal Offer - Parsonage',
+      body: `Dear ${data.tenantName},
+
+Your lease for Room ${data.room} ends on ${data.leaseEnd}. We have enjoyed having you with us and would like to offer you a renewal:
+
+New Lease Term: ${data.newStart} to ${data.newEnd}
+Current Monthly Rent: $${data.currentRent}
+New Monthly Rent: $${data.newRent}
+
+Please reply to this email to accept the offer or if you have any questions.
+
+Best regards,
+Parsonage Management`
+    },
+    paymentPlanConfirmation: {
+      subject: 'Your Payment Plan - Parsonage',
+      body: `Dear ${data.tenantName},
+
+As agreed, the outstanding balance of $${data.balance} for Room ${data.room} will be paid in the following installments:
+
+${data.schedule}
+
+These installments are in addition to your regular monthly rent, which remains due as usual. We will send you a reminder before each installment is due.
+
+Thank you for working with us to bring your account up to date.
+
+Best regards,
+Parsonage Management`
+    },
+    paymentPlanReminder: {
+      subject: `Payment Plan Installment Due ${data.dueDate} - Parsonage`,
+      body: `Dear ${data.tenantName},
+
+This is a reminder that installment ${data.number} of ${data.count} on your payment plan for Room ${data.room} is due on ${data.dueDate}.
+
+Amount due: $${data.amount}
+
+Please remember that your regular monthly rent is also due as usual. If you have already made this payment, please disregard this message.
+
+Best regards,
+Parsonage Management`
+    },
+    paymentPlanMissed: {
+      subject: `Missed Payment Plan Installment - ${data.count} Installment(s)`,
+      body: `Dear Manager,
+
+The following payment plan installments were not paid by their due date:
+
+${data.missedList}
+
+These tenants are shown as Overdue again until the installment is paid. Please follow up with them, or use 'Cancel Payment Plan for Selected Tenant' to resume the collections ladder.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    collectionFriendly: {
+      subject: 'Rent Past Due - Parsonage',
+      body: `Dear ${data.tenantName},
+
+Our records show that rent for Room ${data.room} is now ${data.daysOverdue} day(s) past due. This may simply be an oversight.
+
+${data.charges ? `Charges:\n${data.charges}\n\n` : ''}Outstanding balance: $${data.balance}
+
+Please make your payment at your earliest convenience. If you have already paid, please let us know so we can update our records.
+
+Best regards,
+Parsonage Management`
+    },
+    collectionFirm: {
+      subject: 'Second Notice: Rent Overdue - Parsonage',
+      body: `Dear ${data.tenantName},
+
+Despite our earlier reminder, rent for Room ${data.room} remains unpaid and is now ${data.daysOverdue} days overdue.
+
+${data.charges ? `Charges:\n${data.charges}\n\n` : ''}Outstanding balance: $${data.balance}
+
+Please pay the full balance promptly. Late fees continue to apply under your rental agreement. If you are having difficulty paying, contact us now so we can discuss your options.
+
+Best regards,
+Parsonage Management`
+    },
+    collectionCallTask: {
+      subject: `Collections Call: ${data.tenantName} (Room ${data.room})`,
+      body: `Dear Manager,
+
+${data.tenantName} (Room ${data.room}, ${data.email}) has rent ${data.daysOverdue} days overdue and has already received reminders and a formal notice.
+
+Outstanding balance: $${data.balance}
+Months in arrears: ${data.monthsInArrears}
+
+Please call the tenant to discuss the balance. If an arrangement is agreed, use 'Pause/Resume Collections for Selected Tenant' to hold the ladder.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    collectionFinal: {
+      subject: 'Final Notice: Rent Overdue - Parsonage',
+      body: `Dear ${data.tenantName},
+
+This is our final notice regarding unpaid rent for Room ${data.room}, which is now ${data.daysOverdue} days overdue.
+
+${data.charges ? `Charges:\n${data.charges}\n\n` : ''}Outstanding balance: $${data.balance}
+
+If the balance is not paid or a payment arrangement agreed with us promptly, we may have to end your tenancy. Please contact us immediately.
+
+Parsonage Management`
+    },
+    noticeLetter: {
+      subject: `${data.noticeType} Notice - Parsonage`,
+      body: `Dear ${data.tenantName},
+
+Please find attached a formal ${data.noticeType.toLowerCase()} notice, effective ${data.effectiveDate}. Please read it carefully and keep it for your records.
+
+If you have any questions about this notice, please contact us.
+
+Best regards,
+Parsonage Management`
+    },
+    leaseAgreement: {
+      subject: 'Your Rental Agreement - Parsonage',
+      body: `Dear ${data.tenantName},
+
+Please find attached your rental agreement for Room ${data.room}.
+
+Please review the agreement, sign and date it, and return a signed copy to us (a scan or photo by reply email is fine). If you have any questions about the terms, please don't hesitate to contact us.
+
+Best regards,
+Parsonage Management`
+    },
+    applicationInterview: {
+      subject: 'Next Steps for Your Application - Parsonage',
+      body: `Dear ${data.name},
+
+Thank you for your application to rent at our parsonage. We would like to meet you and show you the house before making a decision.
+
+We will be in touch shortly to arrange a time. If you have any questions in the meantime, please feel free to contact us.
+
+Best regards,
+Parsonage Management`
+    },
+    applicationApproved: {
+      subject: 'Application Approved - Parsonage',
+      body: `Dear ${data.name},
+
+We are pleased to let you know that your application to rent at our parsonage has been approved.
+
+Room: ${data.room}
+Monthly Rent: $${data.rent}
+Move-In Date: ${data.moveInDate}
+
+We will contact you shortly with your rental agreement and move-in details, including the security deposit.
+
+Welcome to the parsonage community!
+
+Best regards,
+Parsonage Management`
+    },
+    applicationDeclined: {
+      subject: 'Your Application - Parsonage',
+      body: `Dear ${data.name},
+
+Thank you for your interest in renting at our parsonage and for the time you took to apply.
+
+After careful review, we are unable to offer you a room at this time. We wish you all the best in your housing search.
+
+Best regards,
+Parsonage Management`
+    },
+    waitlistAdded: {
+      subject: 'You Are on Our Waitlist - Parsonage',
+      body: `Dear ${data.name},
+
+Thank you for applying to the parsonage. ${data.availability}, so we have added you to our waitlist.
+
+Your place on the waitlist: ${data.position}
+
+When a room becomes available we will email the applicants at the top of the list. We hold the room for a few days for you to reply, after which it is offered to the next person waiting.
+
+Best regards,
+Parsonage Management`
+    },
+    waitlistOffer: {
+      subject: `Room ${data.room} Is Becoming Available - Parsonage`,
+      body: `Dear ${data.name},
+
+Good news: Room ${data.room} will be available from ${data.availableDate} at $${data.rent}/month, and you are at the top of our waitlist for it.
+
+We are holding the room for you until ${data.holdExpires}. Please reply to this email by then to let us know whether you would like it. If we don't hear from you, the room will be offered to the next person on the waitlist.
+
+Best regards,
+Parsonage Management`
+    },
+    welcomePacket: {
+      subject: `Welcome to the Parsonage - Room ${data.room}`,
+      body: `Dear ${data.name},
+
+Welcome to the parsonage! We are looking forward to having you in Room ${data.room}.
+
+Move-In Date: ${data.moveInDate}
+Monthly Rent: $${data.rent}
+
+Before you move in, please:
+1. Sign and return your rental agreement (sent separately)
+2. Pay your security deposit of $${data.deposit}
+3. Pay your first month's rent of $${data.firstMonth}
+4. Reply to this email with an emergency contact (name, relationship and phone number)
+5. Read the house rules below and reply to confirm you agree to them
+
+House Rules & Cultural Vision:
+${HOUSE_RULES.map(rule => `• ${rule}`).join('\n')}
+
+On move-in day we will walk through your room with you for the move-in inspection and hand over your keys. Your room will be ready once the items above are complete.
+
+If you have any questions, please feel free to contact us.
+
+Best regards,
+Parsonage Management`
+    },
+    moveInCompleted: {
+      subject: `Move-In Completed: ${data.tenantName} (Room ${data.room})`,
+      body: `Dear Manager,
+
+${data.tenantName} has completed onboarding. Room ${data.room} is now Occupied and rent billing has started from ${data.moveInDate}.
+
+This is an automated notification from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    onboardingIncomplete: {
+      subject: `Onboarding Incomplete: ${data.tenantName} (Room ${data.room})`,
+      body: `Dear Manager,
+
+${data.tenantName} is due to move into Room ${data.room} today, but these onboarding tasks are still outstanding:
+
+${data.outstanding}
+
+The room will stay Pending, and rent will not be billed, until they are complete. Use 'Onboarding Checklist for Selected Tenant' to record them.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    workOrderReceived: {
+      subject: `Maintenance Request Received - ${data.id}`,
+      body: `Dear ${data.tenantName},
+
+Thank you for letting us know about the problem in Room ${data.room}. Your request has been logged as work order ${data.id}:
+
+Category: ${data.category}
+Urgency: ${data.urgency}
+Description: ${data.description}
+
+We will email you as the work progresses. If you have photos of the problem, please reply to this email with them attached.
+
+For emergencies that put people or property at risk, please call emergency services and the house manager right away.
+
+Best regards,
+Parsonage Management`
+    },
+    urgentWorkOrderAlert: {
+      subject: `URGENT Maintenance Request: Room ${data.room} - ${data.category}`,
+      body: `Dear Manager,
+
+An urgent maintenance request has been submitted:
+
+Work Order: ${data.id}
+Room: ${data.room}
+Reported By: ${data.tenantName} (${data.email})
+Category: ${data.category}
+Permission to Enter: ${data.permission || 'Not given'}
+
+${data.description}
+${data.photos ? `\nPhotos: ${data.photos}\n` : ''}${data.note ? `\nNote: ${data.note}\n` : ''}
+Use 'Update Selected Work Order' in the ${WORK_ORDERS_SHEET_NAME} sheet to record progress.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    workOrderStatusUpdate: {
+      subject: `Maintenance Update: ${data.id} - ${data.status}`,
+      body: `Dear ${data.tenantName || 'Tenant'},
+
+${data.status === WORK_ORDER_STATUS.DONE ?
+  `The ${String(data.category).toLowerCase()} work in Room ${data.room} (work order ${data.id}) is complete. Please let us know if the problem comes back.` :
+  `Your maintenance request for Room ${data.room} (work order ${data.id}) is now: ${data.status}.`}
+${data.note ? `\n${data.note}\n` : ''}
+Best regards,
+Parsonage Management`
+    },
+    moveOutInstructions: {
+      subject: 'Move-Out Instructions - Parsonage',
+      body: `Hello ${data.name},
+
+We have received your move-out request for ${data.moveOutDate}.
+
+Move-Out Checklist:
+1. Clean your room thoroughly (including windows, floors, and closets)
+2. Remove all personal belongings
+3. Return all keys and access cards
+4. Attend your move-out inspection
+5. Provide forwarding address for security deposit return
+
+Your security deposit will be returned within 30 days after move-out, minus any deductions for damages or cleaning.
+
+We will send you a calendar invitation for your move-out inspection based on the availability you gave. If none of your times are free, we will contact you to arrange one.
+
+Thank you for being a valued tenant.
+
+Best regards,
+Parsonage Management`
+    },
+    inspectionConfirmation: {
+      subject: `Move-Out Inspection Scheduled - Room ${data.room}`,
+      body: `Hello ${data.name},
+
+Your move-out inspection for Room ${data.room} is scheduled for:
+
+${data.inspectionDate} at ${data.inspectionTime} (about ${data.duration} minutes)
+
+A calendar invitation has been sent to this email address. Please have your room cleaned and your belongings removed before the inspection. If this time no longer works, reply to this email and we will find another.
+
+Best regards,
+Parsonage Management`
+    },
+    inspectionUnscheduled: {
+      subject: `Move-Out Inspection Needs Scheduling - Room ${data.room}`,
+      body: `Dear Manager,
+
+No free time could be found for the move-out inspection of Room ${data.room} (${data.name}).
+
+Move-Out Date: ${data.moveOutDate}
+Tenant Availability: ${data.availability}
+
+Please contact the tenant to arrange a time, then select their row in the Tenants sheet and use 'Schedule Move-Out Inspection' to book it.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    moveOutRequestReview: {
+      subject: 'Your Move-Out Request - Parsonage',
+      body: `Hello ${data.name},
+
+We have received your move-out request for Room ${data.room}, but we could not process it automatically:
+
+${data.issues}
+
+Your request has been passed to the house manager, who will contact you to confirm the details. No changes have been made to your tenancy yet.
+
+Best regards,
+Parsonage Management`
+    },
+    moveOutReviewAlert: {
+      subject: `Move-Out Request Needs Review - Room ${data.room}`,
+      body: `Dear Manager,
+
+A move-out request from ${data.name} (${data.email}) for Room ${data.room} could not be matched to the Tenants sheet:
+
+${data.issues}
+
+The submitter has been told the request is under review. Select the request in the Move-Out Requests sheet and use 'Review Selected Move-Out Request' to approve or reject it.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    moveOutCompleted: {
+      subject: `Move-Out Completed: ${data.tenantName} (Room ${data.room})`,
+      body: `Dear Manager,
+
+${data.tenantName} moved out of Room ${data.room} on ${data.moveOutDate}. Their record has been moved to Tenant History and the room is now Vacant.
+
+Final balance: $${data.finalBalance}
+Deposit held: $${data.depositHeld}
+
+${Number(data.depositHeld) > 0 ? "Select the tenant in Tenant History and use 'Settle Deposit for Selected Tenant' to send the settlement statement.\n\n" : ''}This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    },
+    depositSettlement: {
+      subject: 'Security Deposit Settlement - Parsonage',
+      body: `Dear ${data.tenantName},
+
+Please find attached the itemized settlement statement for your security deposit.
+
+Amount retained for deductions: $${data.retained}
+Amount refunded: $${data.refund}
+${Number(data.excess) > 0 ? `Deductions exceeding your deposit: $${data.excess} (added to your account balance)\n` : ''}${data.forwardingAddress ? `\nYour refund will be sent to:\n${data.forwardingAddress}\n` : ''}
+If you have any questions about this statement, please don't hesitate to contact us.
+
+Best regards,
+Parsonage Management`
+    },
+    depositDeadline: {
+      subject: `Security Deposit Deadline - ${data.count} Tenant(s)`,
+      body: `Dear Manager,
+
+The following security deposits must be settled soon:
+
+${data.dueList}
+
+Use 'Settle Deposit for Selected Tenant' in the Parsonage Tools menu to itemize deductions and send the settlement statement.
+
+This is an automated alert from the Parsonage Management System.
+
+Best regards,
+Parsonage Management System`
+    }
+  };
+  
+  return templates[type] || { subject: 'Parsonage Management', body: 'No template found.' };
+}
+
+/**
+ * Configure email templates (shows current templates)
+ */
+function configureEmailTemplates() {
+  const html = `
+    <h3>Email Templates</h3>
+    <p>The system uses the following email templates:</p>
+    <ul>
+      <li><b>Rent Reminder:</b> Sent monthly to tenants with due/overdue rent</li>
       <li><b>Overdue Alert:</b> Sent to manager about overdue tenants</li>
+      <li><b>Payment Plan Confirmation/Reminder:</b> Sent to tenants with their installment schedule and before each installment is due</li>
+      <li><b>Missed Installment:</b> Sent to manager when a payment plan installment is missed</li>
+      <li><b>Collections Friendly/Firm/Final Notice:</b> Sent to overdue tenants as they move up the collections ladder</li>
+      <li><b>Collections Call:</b> Asks the manager to call a tenant on the collections ladder</li>
       <li><b>Monthly Invoice:</b> Accompanies PDF invoices</li>
+      <li><b>Payment Receipt:</b> Accompanies PDF receipts for cash payments</li>
       <li><b>Application Received:</b> Auto-response for new applications</li>
+      <li><b>New Application Alert:</b> Sent to manager with the screening summary</li>
+      <li><b>Reference Request/Reminder:</b> Sent to applicant references with a link to the reference form</li>
+      <li><b>Application Interview/Approved/Declined:</b> Decision emails sent from the application review sidebar</li>
+      <li><b>Waitlist Added/Offer:</b> Sent to applicants placed on the waitlist and when a room is offered to them</li>
+      <li><b>Welcome Packet:</b> Sent to new tenants with their move-in tasks and house rules</li>
+      <li><b>Move-In Completed/Onboarding Incomplete:</b> Sent to manager when a room becomes Occupied, or on the move-in date if tasks remain</li>
+      <li><b>Maintenance Request Received/Update:</b> Sent to tenants when a work order is opened and as its status changes</li>
+      <li><b>Urgent Maintenance Alert:</b> Sent to manager when an urgent maintenance request is submitted</li>
       <li><b>Move-Out Instructions:</b> Sent when move-out form submitted</li>
+      <li><b>Lease Renewal Reminder/Expiry Alert:</b> Sent to tenants and manager before a lease ends</li>
+      <li><b>Renewal Offer:</b> Sent to a tenant with the proposed rent for a new lease term</li>
+      <li><b>Notice Letter:</b> Accompanies rent-increase, late-rent and notice-to-vacate letters</li>
+      <li><b>Lease Agreement:</b> Accompanies the rental agreement PDF sent for signature</li>
+      <li><b>Inspection Confirmation:</b> Sent to tenant when a move-out inspection is booked</li>
+      <li><b>Inspection Unscheduled:</b> Sent to manager when no inspection time fits the tenant's availability</li>
+      <li><b>Move-Out Request Review/Alert:</b> Sent to the submitter and manager when a move-out request does not match our records</li>
+      <li><b>Move-Out Completed:</b> Sent to manager with the final balance and deposit held when a tenant is archived</li>
+      <li><b>Deposit Settlement:</b> Accompanies PDF deposit settlement statements</li>
+      <li><b>Deposit Deadline:</b> Sent to manager when a deposit return deadline approaches</li>
     </ul>
     <p>To modify templates, edit the getEmailTemplate() function in the script.</p>
   `;
@@ -970,6 +2024,9 @@ function sendRentRemindersTest() {
     tenantName: 'Test Tenant',
     room: '101',
     rent: '800',
+    charges: 'Rent for this month (prorated 15/30 days): $400.00',
+    balance: '400.00',
+    monthsInArrears: 0,
     status: 'Due',
     monthYear: Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM yyyy')
   };
@@ -987,13 +2044,40 @@ function sendRentRemindersTest() {
 
 /**
  * Triggered when the tenant application form is submitted.
- * Sends a welcome email with basic information.
+ * Marks the application New, screens it for the manager, emails the
+ * applicant's references, waitlists the applicant if their preferred room
+ * is taken, and sends a welcome email with basic information.
  */
 function onTenantApplicationSubmit(e) {
   if (!e || !e.namedValues) return;
   
-  const email = e.namedValues['Email'] ? e.namedValues['Email'][0] : '';
-  const name = e.namedValues['Name'] ? e.namedValues['Name'][0] : 'Applicant';
+  const email = e.namedValues['Email Address'] ? e.namedValues['Email Address'][0] : '';
+  const name = e.namedValues['Full Name'] ? e.namedValues['Full Name'][0] : 'Applicant';
+  
+  // Start the application in the review pipeline and alert the manager
+  if (e.range) {
+    const sheet = e.range.getSheet();
+    const row = e.range.getRow();
+    try {
+      markApplicationNew(sheet, row);
+      const screening = updateApplicationScreening(sheet, row);
+      sendNewApplicationAlert(getApplication(sheet, row), screening);
+    } catch (error) {
+      console.error(`Failed to screen application: ${error.message}`);
+    }
+    
+    try {
+      requestReferenceChecks(sheet, row);
+    } catch (error) {
+      console.error(`Failed to send reference checks: ${error.message}`);
+    }
+    
+    try {
+      waitlistIfUnavailable(getApplication(sheet, row));
+    } catch (error) {
+      console.error(`Failed to add application to the waitlist: ${error.message}`);
+    }
+  }
   
   if (email) {
     const emailTemplate = getEmailTemplate('applicationReceived', { name: name });
@@ -1007,36 +2091,37 @@ function onTenantApplicationSubmit(e) {
 }
 
 /**
- * Triggered when the move-out form is submitted. Sends move-out instructions.
+ * Triggered when the move-out form is submitted. Requests that match the
+ * tenant on file and give enough notice update the room and send move-out
+ * instructions; anything else is queued for the manager's review.
  */
 function onMoveOutRequestSubmit(e) {
-  if (!e || !e.namedValues) return;
+  if (!e || !e.range) return;
   
-  const email = e.namedValues['Tenant Email'] ? e.namedValues['Tenant Email'][0] : '';
-  const name = e.namedValues['Tenant Name'] ? e.namedValues['Tenant Name'][0] : 'Tenant';
-  const moveOutDate = e.namedValues['Planned Move-Out Date'] ? e.namedValues['Planned Move-Out Date'][0] : '';
-  const room = e.namedValues['Room Number'] ? e.namedValues['Room Number'][0] : '';
+  const sheet = e.range.getSheet();
+  const request = getMoveOutRequest(sheet, e.range.getRow());
+  const validation = validateMoveOutRequest(request);
   
-  if (email) {
-    const emailTemplate = getEmailTemplate('moveOutInstructions', {
-      name: name,
-      moveOutDate: moveOutDate
-    });
-    
-    try {
-      MailApp.sendEmail(email, emailTemplate.subject, emailTemplate.body);
-      console.log(`Move-out instructions sent to ${email}`);
-      
-      // Update the tenant record in the main sheet
-      updateTenantMoveOut(room, moveOutDate);
-    } catch (error) {
-      console.error(`Failed to send move-out instructions: ${error.message}`);
+  try {
+    if (validation.issues.length > 0) {
+      queueMoveOutRequestForReview(sheet, request, validation.issues);
+      console.log(`Move-out request for Room ${request['Room Number']} queued for review`);
+      return;
     }
+    
+    applyMoveOutRequest(request, validation.tenantRow);
+    const columns = ensureMoveOutReviewColumns(sheet);
+    sheet.getRange(request.row, columns['Review Status']).setValue(MOVEOUT_REVIEW_STATUS.ACCEPTED);
+    sheet.getRange(request.row, columns['Review Date']).setValue(new Date());
+    console.log(`Move-out instructions sent for Room ${request['Room Number']}`);
+  } catch (error) {
+    console.error(`Failed to process move-out request: ${error.message}`);
   }
 }
 
 /**
- * Updates tenant record with move-out date
+ * Updates tenant record with move-out date. The move-out is completed on
+ * that date by processScheduledMoveOuts.
  */
 function updateTenantMoveOut(roomNumber, moveOutDate) {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TENANTS_SHEET_NAME);
@@ -1046,11 +2131,57 @@ function updateTenantMoveOut(roomNumber, moveOutDate) {
   
   for (let i = 0; i < data.length; i++) {
     if (data[i][COL_ROOM_NUMBER - 1] == roomNumber) {
+      // Add to any existing notes rather than replacing them
+      const notes = data[i][COL_NOTES - 1];
+      const note = `Move-out requested on ${new Date().toLocaleDateString()}`;
       sheet.getRange(i + 2, COL_MOVE_OUT_PLANNED).setValue(moveOutDate);
-      sheet.getRange(i + 2, COL_NOTES).setValue(`Move-out requested on ${new Date().toLocaleDateString()}`);
+      sheet.getRange(i + 2, COL_NOTES).setValue(notes ? `${notes}\n${note}` : note);
       break;
     }
   }
 }
 
+/**
+ * Returns a tenant's latest move-out request, keyed by question title, or
+ * null if they have none. The request must be for their room and give their
+ * name or email address, so a later tenant of the room or someone else's
+ * request isn't picked up. Rejected requests and those still awaiting the
+ * manager's review are ignored.
+ * @param {string} roomNumber The tenant's room.
+ * @param {string} tenantName The tenant's name.
+ * @param {string} tenantEmail The tenant's email address, if known.
+ */
+function findMoveOutRequest(roomNumber, tenantName, tenantEmail) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(MOVEOUT_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const roomIndex = headers.indexOf('Room Number');
+  if (roomIndex === -1) return null;
+
+  const reviewIndex = headers.indexOf('Review Status');
+  const nameIndex = headers.indexOf('Your Full Name');
+  const emailIndex = headers.indexOf('Email Address');
+  const normalize = value => String(value || '').trim().toLowerCase();
+
+  for (let i = data.length - 1; i >= 1; i--) {
+    const status = reviewIndex !== -1 ? data[i][reviewIndex] : '';
+    if (status === MOVEOUT_REVIEW_STATUS.REJECTED || status === MOVEOUT_REVIEW_STATUS.NEEDS_REVIEW) continue;
+    if (String(data[i][roomIndex]).trim().replace(/^room\s*/i, '') !== String(roomNumber)) continue;
+
+    const nameMatches = nameIndex !== -1 && normalize(tenantName) !== '' && normalize(data[i][nameIndex]) === normalize(tenantName);
+    const emailMatches = emailIndex !== -1 && normalize(tenantEmail) !== '' && normalize(data[i][emailIndex]) === normalize(tenantEmail);
+    if (!nameMatches && !emailMatches) continue;
+
+    const request = {};
+    headers.forEach((header, j) => {
+      request[header] = data[i][j];
+    });
+    return request;
+  }
+
+  return null;
+}
+
 // End of Parsonage Tenant Management System
@@ -6,27 +6,83 @@
  */
 
 /**
- * Creates both required forms (Application and Move-Out)
+ * Forms managed by this script. Each form's ID and published URL are kept in
+ * script properties, and its responses go to the named sheet. Forms with a
+ * room question have their choices kept up to date by syncRoomQuestion.
+ */
+function getFormDefinitions() {
+  return {
+    application: {
+      name: 'Application Form',
+      title: 'Parsonage Tenant Application',
+      idProperty: 'APPLICATION_FORM_ID',
+      urlProperty: 'APPLICATION_FORM_URL',
+      responseSheetName: APPLICATION_SHEET_NAME,
+      configure: configureTenantApplicationForm,
+      questions: getTenantApplicationQuestions,
+      roomQuestion: { title: 'Preferred Room', anchorTitle: 'Desired Move-in Date', required: true, getChoices: getTenantRoomChoices }
+    },
+    moveOut: {
+      name: 'Move-Out Form',
+      title: 'Parsonage Move-Out Request',
+      idProperty: 'MOVEOUT_FORM_ID',
+      urlProperty: 'MOVEOUT_FORM_URL',
+      responseSheetName: MOVEOUT_SHEET_NAME,
+      configure: configureMoveOutRequestForm,
+      questions: getMoveOutRequestQuestions
+    },
+    maintenance: {
+      name: 'Maintenance Request Form',
+      title: 'Parsonage Maintenance Request',
+      idProperty: 'MAINTENANCE_FORM_ID',
+      urlProperty: 'MAINTENANCE_FORM_URL',
+      responseSheetName: MAINTENANCE_REQUESTS_SHEET_NAME,
+      configure: configureMaintenanceRequestForm,
+      questions: getMaintenanceRequestQuestions
+    },
+    reference: {
+      name: 'Reference Check Form',
+      title: 'Parsonage Tenant Reference Check',
+      idProperty: 'REFERENCE_FORM_ID',
+      urlProperty: 'REFERENCE_FORM_URL',
+      responseSheetName: REFERENCE_RESPONSES_SHEET_NAME,
+      configure: configureReferenceCheckForm,
+      questions: getReferenceCheckQuestions
+    },
+    guestBooking: {
+      name: 'Guest Booking Form',
+      title: 'Parsonage Guest Room Booking Request',
+      idProperty: 'GUEST_BOOKING_FORM_ID',
+      urlProperty: 'GUEST_BOOKING_FORM_URL',
+      responseSheetName: GUEST_BOOKING_REQUESTS_SHEET_NAME,
+      configure: configureGuestBookingForm,
+      questions: getGuestBookingQuestions,
+      roomQuestion: { title: 'Room Preference', anchorTitle: 'Number of Guests', required: false, getChoices: getGuestRoomChoices }
+    }
+  };
+}
+
+/**
+ * Creates the tenant forms (Application, Move-Out and Maintenance Request)
  * Run this function from the menu: Parsonage Tools > Setup & Configuration > Auto-Create All Forms
+ * Forms that already exist are reused, so this is safe to run again.
  */
 function autoCreateAllForms() {
   const ui = SpreadsheetApp.getUi();
   
   try {
-    // Create Application Form
-    const appForm = createTenantApplicationForm();
+    const definitions = getFormDefinitions();
     
-    // Create Move-Out Form
-    const moveOutForm = createMoveOutRequestForm();
+    // Create or reuse the Application, Move-Out and Maintenance Request forms, and the reference form sent to applicant references
+    const results = [definitions.application, definitions.moveOut, definitions.maintenance, definitions.reference].map(definition => setupForm(definition, false));
     
-    // Set up triggers for both forms
-    setupFormSubmitTriggers(appForm, moveOutForm);
+    // Set up the submit trigger for the forms
+    setupFormSubmitTriggers();
     
     // Success message with form URLs
-    const message = `Forms created successfully!\n\n` +
-      `Application Form:\n${appForm.getEditUrl()}\n\n` +
-      `Move-Out Form:\n${moveOutForm.getEditUrl()}\n\n` +
-      `Share these forms with prospective and current tenants.`;
+    const message = `Forms are set up!\n\n` +
+      results.map(result => `${result.status}\n${result.form.getEditUrl()}`).join('\n\n') +
+      `\n\nShare these forms with prospective and current tenants.`;
     
     ui.alert('Forms Created', message, ui.ButtonSet.OK);
     
@@ -37,442 +93,528 @@ function autoCreateAllForms() {
 }
 
 /**
- * Creates the Tenant Application Form with all required fields
+ * Adds any questions missing from the existing forms to bring them up to the
+ * current definitions. Existing questions are left as they are, so responses
+ * already collected keep their columns. Forms not yet created are skipped.
  */
-function createTenantApplicationForm() {
-  const form = FormApp.create('Parsonage Tenant Application');
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  
-  // Set form description
-  form.setDescription('Thank you for your interest in our parsonage. Please complete all required fields. We will review your application and contact you within 3-5 business days.');
-  
-  // Form settings
-  form.setCollectEmail(true);
-  form.setRequireLogin(false);
-  form.setShowLinkToRespondAgain(true);
-  
-  // Add form header image/title section
-  form.addSectionHeaderItem()
-    .setTitle('Personal Information')
-    .setHelpText('Please provide your basic contact information');
-  
-  // Name field
-  form.addTextItem()
-    .setTitle('Full Name')
-    .setHelpText('Enter your first and last name')
-    .setRequired(true);
-  
-  // Email field
-  form.addTextItem()
-    .setTitle('Email Address')
-    .setHelpText('We will use this to contact you about your application')
-    .setRequired(true)
-    .setValidation(
-      FormApp.createTextValidation()
-        .requireTextIsEmail()
-        .build()
-    );
-  
-  // Phone field
-  form.addTextItem()
-    .setTitle('Phone Number')
-    .setHelpText('Include area code (e.g., 555-123-4567)')
-    .setRequired(true)
-    .setValidation(
-      FormApp.createTextValidation()
-        .requireTextMatchesPattern('[0-9\-\(\) \+]+')
-        .setHelpText('Please enter a valid phone number')
-        .build()
-    );
-  
-  // Current address
-  form.addParagraphTextItem()
-    .setTitle('Current Address')
-    .setHelpText('Street address, City, State, ZIP')
-    .setRequired(true);
-  
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('Rental Information')
-    .setHelpText('Tell us about your rental needs');
-  
-  // Move-in date
-  form.addDateItem()
-    .setTitle('Desired Move-in Date')
-    .setHelpText('When would you like to move in?')
-    .setRequired(true);
-  
-  // Room preference - you'll need to update these room numbers
-  const roomChoice = form.addMultipleChoiceItem()
-    .setTitle('Preferred Room')
-    .setHelpText('Select your preferred room (subject to availability)')
-    .setRequired(true);
+function updateFormDefinitions() {
+  const ui = SpreadsheetApp.getUi();
   
-  // Get rooms from the Tenants sheet if possible
   try {
-    const tenantsSheet = ss.getSheetByName(TENANTS_SHEET_NAME);
-    if (tenantsSheet && tenantsSheet.getLastRow() > 1) {
-      const rooms = tenantsSheet.getRange(2, 1, tenantsSheet.getLastRow() - 1, 3).getValues();
-      const availableRooms = [];
-      
-      rooms.forEach(room => {
-        if (room[0]) { // If room number exists
-          const roomNum = room[0];
-          const price = room[1] || room[2]; // Use rental price or negotiated price
-          const status = tenantsSheet.getRange(rooms.indexOf(room) + 2, 8).getValue();
-          
-          if (status === 'Vacant' || !status) {
-            availableRooms.push(
-              roomChoice.createChoice(`Room ${roomNum} - $${price}/month`)
-            );
-          }
-        }
-      });
-      
-      if (availableRooms.length > 0) {
-        roomChoice.setChoices(availableRooms);
-      } else {
-        roomChoice.setChoices([
-          roomChoice.createChoice('Room 101 - $800/month'),
-          roomChoice.createChoice('Room 102 - $800/month'),
-          roomChoice.createChoice('Room 103 - $900/month'),
-          roomChoice.createChoice('Room 104 - $900/month'),
-          roomChoice.createChoice('No preference')
-        ]);
-      }
+    const results = Object.values(getFormDefinitions())
+      .filter(definition => getLinkedForm(definition.idProperty, definition.responseSheetName))
+      .map(definition => setupForm(definition, true));
+    
+    if (results.length === 0) {
+      ui.alert('No forms have been created yet. Use Auto-Create All Forms first.');
+      return;
     }
+    
+    ui.alert('Form Definitions Updated', results.map(result => result.status).join('\n'), ui.ButtonSet.OK);
+    
   } catch (e) {
-    // Default rooms if sheet not available
-    roomChoice.setChoices([
-      roomChoice.createChoice('Room 101 - $800/month'),
-      roomChoice.createChoice('Room 102 - $800/month'),
-      roomChoice.createChoice('Room 103 - $900/month'),
-      roomChoice.createChoice('Room 104 - $900/month'),
-      roomChoice.createChoice('No preference')
-    ]);
+    ui.alert('Error', `Failed to update forms: ${e.message}`, ui.ButtonSet.OK);
+    console.error('Form update error:', e);
+  }
+}
+
+/**
+ * Sets up a form from its definition. An existing form is reused as it is,
+ * or with updateDefinition has any missing questions added; otherwise a new
+ * form is created. The form is then linked to its response sheet and its ID
+ * and URL stored.
+ * @param {Object} definition The form's entry from getFormDefinitions().
+ * @param {boolean} updateDefinition Whether to add missing questions to an existing form.
+ * @return {Object} The form and a status line for it
+ */
+function setupForm(definition, updateDefinition) {
+  let form = getLinkedForm(definition.idProperty, definition.responseSheetName);
+  let status;
+  
+  if (!form) {
+    form = FormApp.create(definition.title);
+    definition.configure(form);
+    ensureFormQuestions(form, definition.questions());
+    status = 'created';
+  } else if (updateDefinition) {
+    definition.configure(form);
+    const added = ensureFormQuestions(form, definition.questions());
+    status = added.length > 0 ? `added ${added.map(title => `'${title}'`).join(', ')}` : 'already up to date';
+  } else {
+    status = 'already exists, reused';
   }
   
-  // Length of stay
-  form.addMultipleChoiceItem()
-    .setTitle('Expected Length of Stay')
-    .setChoices([
-      FormApp.createChoice('6 months'),
-      FormApp.createChoice('1 year'),
-      FormApp.createChoice('2+ years'),
-      FormApp.createChoice('Unsure')
-    ])
-    .setRequired(true);
-  
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('Employment & Financial Information')
-    .setHelpText('This information helps us ensure you can comfortably afford the rental');
-  
-  // Employment status
-  form.addMultipleChoiceItem()
-    .setTitle('Current Employment Status')
-    .setChoices([
-      FormApp.createChoice('Employed Full-Time'),
-      FormApp.createChoice('Employed Part-Time'),
-      FormApp.createChoice('Self-Employed'),
-      FormApp.createChoice('Student'),
-      FormApp.createChoice('Retired'),
-      FormApp.createChoice('Other')
-    ])
-    .setRequired(true);
-  
-  // Employer/School
-  form.addTextItem()
-    .setTitle('Employer/School Name')
-    .setHelpText('Name of your current employer or educational institution')
-    .setRequired(true);
-  
-  // Monthly income
-  form.addTextItem()
-    .setTitle('Monthly Income (Gross)')
-    .setHelpText('Your income before taxes')
-    .setRequired(true);
-  
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('References')
-    .setHelpText('Please provide two references (not family members)');
-  
-  // Reference 1
-  form.addParagraphTextItem()
-    .setTitle('Reference 1')
-    .setHelpText('Name, Phone Number, Relationship (e.g., Current Landlord, Employer)')
-    .setRequired(true);
-  
-  // Reference 2
-  form.addParagraphTextItem()
-    .setTitle('Reference 2')
-    .setHelpText('Name, Phone Number, Relationship')
-    .setRequired(true);
-  
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('Additional Information');
+  // List the rooms currently available, or hide the question if there are none
+  if (definition.roomQuestion) {
+    syncRoomQuestion(form, definition.roomQuestion);
+  }
   
-  // Emergency contact
-  form.addParagraphTextItem()
-    .setTitle('Emergency Contact')
-    .setHelpText('Name, Phone Number, Relationship')
-    .setRequired(true);
+  linkFormResponseSheet(form, definition.responseSheetName);
   
-  // Vehicle information
-  form.addTextItem()
-    .setTitle('Vehicle Information')
-    .setHelpText('Make, Model, Year, License Plate (if you have a vehicle)');
+  const scriptProperties = PropertiesService.getScriptProperties();
+  scriptProperties.setProperty(definition.idProperty, form.getId());
+  scriptProperties.setProperty(definition.urlProperty, form.getPublishedUrl());
   
-  // About yourself
-  form.addParagraphTextItem()
-    .setTitle('Tell Us About Yourself')
-    .setHelpText('Share a bit about yourself, your interests, and why you\'d like to live in our parsonage')
-    .setRequired(false);
+  return { form: form, status: `${definition.name}: ${status}` };
+}
+
+/**
+ * Opens a form created by this script. The form ID is stored when the form is
+ * set up; forms created before that are found from the sheet their
+ * responses go to, and their ID is stored for next time.
+ * @param {string} idProperty The script property holding the form ID.
+ * @param {string} responseSheetName The sheet the form's responses go to.
+ * @return {GoogleAppsScript.Forms.Form|null} The form, or null if not found
+ */
+function getLinkedForm(idProperty, responseSheetName) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const formId = scriptProperties.getProperty(idProperty);
   
-  // Special needs
-  form.addParagraphTextItem()
-    .setTitle('Special Needs or Requests')
-    .setHelpText('Any accommodations or special requests we should know about?')
-    .setRequired(false);
+  if (formId) {
+    try {
+      return FormApp.openById(formId);
+    } catch (e) {
+      console.log(`Form ${formId} not found, looking it up from the ${responseSheetName} sheet`);
+    }
+  }
   
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('Documents')
-    .setHelpText('Please upload required documents');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(responseSheetName);
+  const formUrl = sheet ? sheet.getFormUrl() : null;
+  if (!formUrl) return null;
   
-  // File upload for proof of income
-  // Note: File upload requires Google Workspace account
   try {
-    form.addTextItem()
-      .setTitle('Proof of Income')
-      .setHelpText('Please describe your proof of income (e.g., "Recent pay stubs uploaded", "Bank statements available upon request"). You may need to email documents separately.')
-      .setRequired(true);
+    const form = FormApp.openByUrl(formUrl);
+    scriptProperties.setProperty(idProperty, form.getId());
+    return form;
   } catch (e) {
-    // If file upload fails, use text field
-    console.log('File upload not available, using text field instead');
+    console.log(`Form linked to the ${responseSheetName} sheet not found`);
+    return null;
   }
+}
+
+/**
+ * Adds the questions a form is missing, matched by title. Each new question
+ * is placed after the question before it in the definition; questions already
+ * on the form are never changed or moved.
+ * @param {GoogleAppsScript.Forms.Form} form The form to update.
+ * @param {Object[]} questions The form's questions, in order, each with a
+ *     title and an add function that appends the question to a form.
+ * @return {string[]} The titles of the questions added
+ */
+function ensureFormQuestions(form, questions) {
+  const added = [];
+  let previousIndex = -1;
   
-  // Agreement checkbox
-  form.addCheckboxItem()
-    .setTitle('Application Agreement')
-    .setChoices([
-      FormApp.createChoice('I certify that all information provided is accurate and complete'),
-      FormApp.createChoice('I understand that false information may result in denial of my application'),
-      FormApp.createChoice('I agree to a background and credit check if my application is considered')
-    ])
-    .setRequired(true)
-    .setValidation(
-      FormApp.createCheckboxValidation()
-        .requireSelectAtLeast(3)
-        .build()
-    );
-  
-  // Link to spreadsheet
-  form.setDestination(FormApp.DestinationType.SPREADSHEET, ss.getId());
+  questions.forEach(question => {
+    const items = form.getItems();
+    const existing = items.find(item => item.getTitle() === question.title);
+    
+    if (existing) {
+      // A room question hidden by syncRoomQuestion sits at the end of the form; don't place new questions after it
+      const hiddenSection = items.find(item => item.getTitle() === NO_ROOMS_SECTION_TITLE && item.getType() === FormApp.ItemType.PAGE_BREAK);
+      if (!hiddenSection || existing.getIndex() < hiddenSection.getIndex()) {
+        previousIndex = existing.getIndex();
+      }
+      return;
+    }
+    
+    const item = question.add(form).setTitle(question.title);
+    form.moveItem(item.getIndex(), previousIndex + 1);
+    previousIndex++;
+    added.push(question.title);
+  });
   
-  // Get the new sheet and rename it
-  Utilities.sleep(2000); // Wait for sheet creation
-  const sheets = ss.getSheets();
-  const newSheet = sheets[sheets.length - 1]; // Get the last sheet (newly created)
-  newSheet.setName(APPLICATION_SHEET_NAME);
+  return added;
+}
+
+/**
+ * Returns the sheet a form's responses go to, found by its form URL
+ */
+function findFormResponseSheet(form) {
+  const formId = form.getId();
   
-  return form;
+  return SpreadsheetApp.getActiveSpreadsheet().getSheets().find(sheet => {
+    const formUrl = sheet.getFormUrl();
+    if (!formUrl) return false;
+    if (formUrl.indexOf(formId) !== -1) return true;
+    
+    try {
+      return FormApp.openByUrl(formUrl).getId() === formId;
+    } catch (e) {
+      return false;
+    }
+  }) || null;
 }
 
 /**
- * Creates the Move-Out Request Form
+ * Links a form's responses to this spreadsheet if it isn't already, and names
+ * its response sheet. A different sheet already using that name (such as the
+ * response sheet of a deleted form) is renamed out of the way.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The response sheet
  */
-function createMoveOutRequestForm() {
-  const form = FormApp.create('Parsonage Move-Out Request');
+function linkFormResponseSheet(form, sheetName) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = findFormResponseSheet(form);
   
+  if (!sheet) {
+    form.setDestination(FormApp.DestinationType.SPREADSHEET, ss.getId());
+    
+    // The response sheet appears shortly after the form is linked
+    for (let attempt = 0; !sheet && attempt < 10; attempt++) {
+      Utilities.sleep(1000);
+      SpreadsheetApp.flush();
+      sheet = findFormResponseSheet(form);
+    }
+    if (!sheet) {
+      throw new Error(`The response sheet for '${form.getTitle()}' was not found. Rename it to '${sheetName}' once it appears.`);
+    }
+  }
+  
+  if (sheet.getName() !== sheetName) {
+    const existing = ss.getSheetByName(sheetName);
+    if (existing) {
+      existing.setName(`${sheetName} (Unlinked ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')})`);
+    }
+    sheet.setName(sheetName);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Sets the Tenant Application Form's description and settings
+ */
+function configureTenantApplicationForm(form) {
   // Set form description
-  form.setDescription('Please submit this form at least 30 days before your intended move-out date. We will contact you to schedule a move-out inspection.');
+  form.setDescription('Thank you for your interest in our parsonage. Please complete all required fields. We will review your application and contact you within 3-5 business days.');
   
   // Form settings
   form.setCollectEmail(true);
   form.setRequireLogin(false);
+  form.setShowLinkToRespondAgain(true);
+}
+
+/**
+ * Questions on the Tenant Application Form, in order
+ */
+function getTenantApplicationQuestions() {
+  return [
+    // Add form header image/title section
+    { title: 'Personal Information', add: form => form.addSectionHeaderItem()
+      .setHelpText('Please provide your basic contact information') },
+    
+    // Name field
+    { title: 'Full Name', add: form => form.addTextItem()
+      .setHelpText('Enter your first and last name')
+      .setRequired(true) },
+    
+    // Email field
+    { title: 'Email Address', add: form => form.addTextItem()
+      .setHelpText('We will use this to contact you about your application')
+      .setRequired(true)
+      .setValidation(
+        FormApp.createTextValidation()
+          .requireTextIsEmail()
+          .build()
+      ) },
+    
+    // Phone field
+    { title: 'Phone Number', add: form => form.addTextItem()
+      .setHelpText('Include area code (e.g., 555-123-4567)')
+      .setRequired(true)
+      .setValidation(
+        FormApp.createTextValidation()
+          .requireTextMatchesPattern('[0-9\-\(\) \+]+')
+          .setHelpText('Please enter a valid phone number')
+          .build()
+      ) },
+    
+    // Current address
+    { title: 'Current Address', add: form => form.addParagraphTextItem()
+      .setHelpText('Street address, City, State, ZIP')
+      .setRequired(true) },
+    
+    // Section break
+    { title: 'Rental Information', add: form => form.addSectionHeaderItem()
+      .setHelpText('Tell us about your rental needs') },
+    
+    // Move-in date
+    { title: 'Desired Move-in Date', add: form => form.addDateItem()
+      .setHelpText('When would you like to move in?')
+      .setRequired(true) },
+    
+    // Room preference - choices are filled in from the Tenants sheet by syncRoomQuestion
+    { title: 'Preferred Room', add: form => form.addMultipleChoiceItem()
+      .setHelpText('Select your preferred room (subject to availability)')
+      .setRequired(true) },
+    
+    // Length of stay
+    { title: 'Expected Length of Stay', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('6 months'),
+        FormApp.createChoice('1 year'),
+        FormApp.createChoice('2+ years'),
+        FormApp.createChoice('Unsure')
+      ])
+      .setRequired(true) },
+    
+    // Section break
+    { title: 'Employment & Financial Information', add: form => form.addSectionHeaderItem()
+      .setHelpText('This information helps us ensure you can comfortably afford the rental') },
+    
+    // Employment status
+    { title: 'Current Employment Status', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('Employed Full-Time'),
+        FormApp.createChoice('Employed Part-Time'),
+        FormApp.createChoice('Self-Employed'),
+        FormApp.createChoice('Student'),
+        FormApp.createChoice('Retired'),
+        FormApp.createChoice('Other')
+      ])
+      .setRequired(true) },
+    
+    // Employer/School
+    { title: 'Employer/School Name', add: form => form.addTextItem()
+      .setHelpText('Name of your current employer or educational institution')
+      .setRequired(true) },
+    
+    // Monthly income
+    { title: 'Monthly Income (Gross)', add: form => form.addTextItem()
+      .setHelpText('Your income before taxes')
+      .setRequired(true) },
+    
+    // Section break
+    { title: 'References', add: form => form.addSectionHeaderItem()
+      .setHelpText('Please provide two references (not family members)') },
+    
+    // Reference 1
+    { title: 'Reference 1', add: form => form.addParagraphTextItem()
+      .setHelpText('Name, Email, Phone Number, Relationship (e.g., Current Landlord, Employer). We will email your references a short questionnaire.')
+      .setRequired(true) },
+    
+    // Reference 2
+    { title: 'Reference 2', add: form => form.addParagraphTextItem()
+      .setHelpText('Name, Email, Phone Number, Relationship')
+      .setRequired(true) },
+    
+    // Section break
+    { title: 'Additional Information', add: form => form.addSectionHeaderItem() },
+    
+    // Emergency contact
+    { title: 'Emergency Contact', add: form => form.addParagraphTextItem()
+      .setHelpText('Name, Phone Number, Relationship')
+      .setRequired(true) },
+    
+    // Vehicle information
+    { title: 'Vehicle Information', add: form => form.addTextItem()
+      .setHelpText('Make, Model, Year, License Plate (if you have a vehicle)') },
+    
+    // About yourself
+    { title: 'Tell Us About Yourself', add: form => form.addParagraphTextItem()
+      .setHelpText('Share a bit about yourself, your interests, and why you\'d like to live in our parsonage')
+      .setRequired(false) },
+    
+    // Special needs
+    { title: 'Special Needs or Requests', add: form => form.addParagraphTextItem()
+      .setHelpText('Any accommodations or special requests we should know about?')
+      .setRequired(false) },
+    
+    // Section break
+    { title: 'Documents', add: form => form.addSectionHeaderItem()
+      .setHelpText('Please upload required documents') },
+    
+    // Proof of income - file upload requires a Google Workspace account, so a text field is used
+    { title: 'Proof of Income', add: form => form.addTextItem()
+      .setHelpText('Please describe your proof of income (e.g., "Recent pay stubs uploaded", "Bank statements available upon request"). You may need to email documents separately.')
+      .setRequired(true) },
+    
+    // Agreement checkbox
+    { title: 'Application Agreement', add: form => form.addCheckboxItem()
+      .setChoices([
+        FormApp.createChoice('I certify that all information provided is accurate and complete'),
+        FormApp.createChoice('I understand that false information may result in denial of my application'),
+        FormApp.createChoice('I agree to a background and credit check if my application is considered')
+      ])
+      .setRequired(true)
+      .setValidation(
+        FormApp.createCheckboxValidation()
+          .requireSelectAtLeast(3)
+          .build()
+      ) }
+  ];
+}
+
+/**
+ * Sets the Move-Out Request Form's description and settings
+ */
+function configureMoveOutRequestForm(form) {
+  const noticeDays = Number(getSetting('Move-Out Notice Days')) || 30;
   
-  // Header
-  form.addSectionHeaderItem()
-    .setTitle('Move-Out Request Form')
-    .setHelpText('Please complete all required fields');
-  
-  // Tenant name
-  form.addTextItem()
-    .setTitle('Your Full Name')
-    .setHelpText('As it appears on your rental agreement')
-    .setRequired(true);
-  
-  // Email
-  form.addTextItem()
-    .setTitle('Email Address')
-    .setRequired(true)
-    .setValidation(
-      FormApp.createTextValidation()
-        .requireTextIsEmail()
-        .build()
-    );
-  
-  // Phone
-  form.addTextItem()
-    .setTitle('Phone Number')
-    .setHelpText('Best number to reach you')
-    .setRequired(true);
-  
-  // Room number
-  const roomItem = form.addTextItem()
-    .setTitle('Room Number')
-    .setHelpText('Your current room number')
-    .setRequired(true);
-  
-  // Move-out date
-  form.addDateItem()
-    .setTitle('Planned Move-Out Date')
-    .setHelpText('Must be at least 30 days from today')
-    .setRequired(true);
-  
-  // Forwarding address
-  form.addParagraphTextItem()
-    .setTitle('Forwarding Address')
-    .setHelpText('Where should we send your security deposit and any correspondence?')
-    .setRequired(true);
-  
-  // Reason for moving
-  form.addMultipleChoiceItem()
-    .setTitle('Primary Reason for Moving')
-    .setChoices([
-      FormApp.createChoice('Job relocation'),
-      FormApp.createChoice('Found permanent housing'),
-      FormApp.createChoice('Financial reasons'),
-      FormApp.createChoice('Family reasons'),
-      FormApp.createChoice('Dissatisfied with accommodation'),
-      FormApp.createChoice('Other')
-    ])
-    .setRequired(true);
-  
-  // Additional details
-  form.addParagraphTextItem()
-    .setTitle('Additional Details')
-    .setHelpText('Please elaborate on your reason for moving (optional)')
-    .setRequired(false);
-  
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('Move-Out Logistics');
-  
-  // Inspection availability
-  form.addCheckboxItem()
-    .setTitle('Availability for Move-Out Inspection')
-    .setHelpText('Check all times you\'re generally available')
-    .setChoices([
-      FormApp.createChoice('Weekday mornings (9 AM - 12 PM)'),
-      FormApp.createChoice('Weekday afternoons (12 PM - 5 PM)'),
-      FormApp.createChoice('Weekday evenings (5 PM - 7 PM)'),
-      FormApp.createChoice('Saturday mornings'),
-      FormApp.createChoice('Saturday afternoons'),
-      FormApp.createChoice('Sunday afternoons')
-    ])
-    .setRequired(true);
-  
-  // Key return
-  form.addMultipleChoiceItem()
-    .setTitle('Key Return Method')
-    .setHelpText('How do you plan to return your keys?')
-    .setChoices([
-      FormApp.createChoice('In person during inspection'),
-      FormApp.createChoice('Drop in office mailbox'),
-      FormApp.createChoice('Hand to management'),
-      FormApp.createChoice('Other arrangement needed')
-    ])
-    .setRequired(true);
-  
-  // Section break
-  form.addSectionHeaderItem()
-    .setTitle('Feedback (Optional)')
-    .setHelpText('Your feedback helps us improve');
-  
-  // Rating
-  form.addScaleItem()
-    .setTitle('Overall Satisfaction')
-    .setHelpText('How would you rate your experience living here?')
-    .setBounds(1, 5)
-    .setLabels('Very Unsatisfied', 'Very Satisfied');
-  
-  // What went well
-  form.addParagraphTextItem()
-    .setTitle('What aspects of living here did you appreciate?')
-    .setRequired(false);
-  
-  // What could improve
-  form.addParagraphTextItem()
-    .setTitle('What could we improve for future tenants?')
-    .setRequired(false);
-  
-  // Would recommend
-  form.addMultipleChoiceItem()
-    .setTitle('Would you recommend our parsonage to others?')
-    .setChoices([
-      FormApp.createChoice('Yes'),
-      FormApp.createChoice('No'),
-      FormApp.createChoice('Maybe')
-    ]);
-  
-  // Acknowledgments
-  form.addCheckboxItem()
-    .setTitle('Move-Out Acknowledgments')
-    .setChoices([
-      FormApp.createChoice('I understand I must leave my room in clean, rentable condition'),
-      FormApp.createChoice('I understand deductions may be made from my security deposit for damages or excessive cleaning'),
-      FormApp.createChoice('I will remove all personal belongings by the move-out date'),
-      FormApp.createChoice('I understand rent is due through my move-out date')
-    ])
-    .setRequired(true)
-    .setValidation(
-      FormApp.createCheckboxValidation()
-        .requireSelectAtLeast(4)
-        .build()
-    );
-  
-  // Additional comments
-  form.addParagraphTextItem()
-    .setTitle('Any other comments or special circumstances?')
-    .setRequired(false);
-  
-  // Link to spreadsheet
-  form.setDestination(FormApp.DestinationType.SPREADSHEET, ss.getId());
+  // Set form description
+  form.setDescription(`Please submit this form at least ${noticeDays} days before your intended move-out date. We will contact you to schedule a move-out inspection.`);
   
-  // Get the new sheet and rename it
-  Utilities.sleep(2000); // Wait for sheet creation
-  const sheets = ss.getSheets();
-  const newSheet = sheets[sheets.length - 1]; // Get the last sheet (newly created)
-  newSheet.setName(MOVEOUT_SHEET_NAME);
+  // Form settings
+  form.setCollectEmail(true);
+  form.setRequireLogin(false);
+}
+
+/**
+ * Questions on the Move-Out Request Form, in order
+ */
+function getMoveOutRequestQuestions() {
+  const noticeDays = Number(getSetting('Move-Out Notice Days')) || 30;
   
-  return form;
+  return [
+    // Header
+    { title: 'Move-Out Request Form', add: form => form.addSectionHeaderItem()
+      .setHelpText('Please complete all required fields') },
+    
+    // Tenant name
+    { title: 'Your Full Name', add: form => form.addTextItem()
+      .setHelpText('As it appears on your rental agreement')
+      .setRequired(true) },
+    
+    // Email
+    { title: 'Email Address', add: form => form.addTextItem()
+      .setRequired(true)
+      .setValidation(
+        FormApp.createTextValidation()
+          .requireTextIsEmail()
+          .build()
+      ) },
+    
+    // Phone
+    { title: 'Phone Number', add: form => form.addTextItem()
+      .setHelpText('Best number to reach you')
+      .setRequired(true) },
+    
+    // Room number
+    { title: 'Room Number', add: form => form.addTextItem()
+      .setHelpText('Your current room number')
+      .setRequired(true) },
+    
+    // Move-out date
+    { title: 'Planned Move-Out Date', add: form => form.addDateItem()
+      .setHelpText(`Must be at least ${noticeDays} days from today`)
+      .setRequired(true) },
+    
+    // Forwarding address
+    { title: 'Forwarding Address', add: form => form.addParagraphTextItem()
+      .setHelpText('Where should we send your security deposit and any correspondence?')
+      .setRequired(true) },
+    
+    // Reason for moving
+    { title: 'Primary Reason for Moving', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('Job relocation'),
+        FormApp.createChoice('Found permanent housing'),
+        FormApp.createChoice('Financial reasons'),
+        FormApp.createChoice('Family reasons'),
+        FormApp.createChoice('Dissatisfied with accommodation'),
+        FormApp.createChoice('Other')
+      ])
+      .setRequired(true) },
+    
+    // Additional details
+    { title: 'Additional Details', add: form => form.addParagraphTextItem()
+      .setHelpText('Please elaborate on your reason for moving (optional)')
+      .setRequired(false) },
+    
+    // Section break
+    { title: 'Move-Out Logistics', add: form => form.addSectionHeaderItem() },
+    
+    // Inspection availability
+    { title: 'Availability for Move-Out Inspection', add: form => form.addCheckboxItem()
+      .setHelpText('Check all times you\'re generally available')
+      .setChoices([
+        FormApp.createChoice('Weekday mornings (9 AM - 12 PM)'),
+        FormApp.createChoice('Weekday afternoons (12 PM - 5 PM)'),
+        FormApp.createChoice('Weekday evenings (5 PM - 7 PM)'),
+        FormApp.createChoice('Saturday mornings'),
+        FormApp.createChoice('Saturday afternoons'),
+        FormApp.createChoice('Sunday afternoons')
+      ])
+      .setRequired(true) },
+    
+    // Key return
+    { title: 'Key Return Method', add: form => form.addMultipleChoiceItem()
+      .setHelpText('How do you plan to return your keys?')
+      .setChoices([
+        FormApp.createChoice('In person during inspection'),
+        FormApp.createChoice('Drop in office mailbox'),
+        FormApp.createChoice('Hand to management'),
+        FormApp.createChoice('Other arrangement needed')
+      ])
+      .setRequired(true) },
+    
+    // Section break
+    { title: 'Feedback (Optional)', add: form => form.addSectionHeaderItem()
+      .setHelpText('Your feedback helps us improve') },
+    
+    // Rating
+    { title: 'Overall Satisfaction', add: form => form.addScaleItem()
+      .setHelpText('How would you rate your experience living here?')
+      .setBounds(1, 5)
+      .setLabels('Very Unsatisfied', 'Very Satisfied') },
+    
+    // What went well
+    { title: 'What aspects of living here did you appreciate?', add: form => form.addParagraphTextItem()
+      .setRequired(false) },
+    
+    // What could improve
+    { title: 'What could we improve for future tenants?', add: form => form.addParagraphTextItem()
+      .setRequired(false) },
+    
+    // Would recommend
+    { title: 'Would you recommend our parsonage to others?', add: form => form.addMultipleChoiceItem()
+      .setChoices([
+        FormApp.createChoice('Yes'),
+        FormApp.createChoice('No'),
+        FormApp.createChoice('Maybe')
+      ]) },
+    
+    // Acknowledgments
+    { title: 'Move-Out Acknowledgments', add: form => form.addCheckboxItem()
+      .setChoices([
+        FormApp.createChoice('I understand I must leave my room in clean, rentable condition'),
+        FormApp.createChoice('I understand deductions may be made from my security deposit for damages or excessive cleaning'),
+        FormApp.createChoice('I will remove all personal belongings by the move-out date'),
+        FormApp.createChoice('I understand rent is due through my move-out date')
+      ])
+      .setRequired(true)
+      .setValidation(
+        FormApp.createCheckboxValidation()
+          .requireSelectAtLeast(4)
+          .build()
+      ) },
+    
+    // Additional comments
+    { title: 'Any other comments or special circumstances?', add: form => form.addParagraphTextItem()
+      .setRequired(false) }
+  ];
 }
 
 /**
- * Sets up form submit triggers for both forms
+ * Sets up the form submit trigger for the forms. Existing form submit
+ * triggers are replaced, so running setup again doesn't duplicate them.
  */
-function setupFormSubmitTriggers(appForm, moveOutForm) {
+function setupFormSubmitTriggers() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   
-  // Create trigger for application form
-  ScriptApp.newTrigger('onTenantApplicationSubmit')
+  // Remove existing form submit triggers
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getEventType() === ScriptApp.EventType.ON_FORM_SUBMIT) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  
+  // The forms all link to the same spreadsheet, so the router checks which form was submitted
+  ScriptApp.newTrigger('onFormSubmitRouter')
     .forSpreadsheet(ss)
     .onFormSubmit()
     .create();
   
-  // Note: Since both forms link to the same spreadsheet, we need to modify
-  // the submit handlers to check which form was submitted
-  
-  // Store form URLs in script properties for reference
-  const scriptProperties = PropertiesService.getScriptProperties();
-  scriptProperties.setProperty('APPLICATION_FORM_URL', appForm.getPublishedUrl());
-  scriptProperties.setProperty('MOVEOUT_FORM_URL', moveOutForm.getPublishedUrl());
-  
   console.log('Form triggers set up successfully');
 }
 
@@ -488,6 +630,10 @@ function onFormSubmitRouter(e) {
     onTenantApplicationSubmit(e);
   } else if (sheetName === MOVEOUT_SHEET_NAME || sheetName.includes('Move-Out')) {
     onMoveOutRequestSubmit(e);
+  } else if (sheetName === MAINTENANCE_REQUESTS_SHEET_NAME) {
+    onMaintenanceRequestSubmit(e);
+  } else if (sheetName === REFERENCE_RESPONSES_SHEET_NAME) {
+    onReferenceResponseSubmit(e);
   }
 }
 
@@ -515,6 +661,7 @@ function updateMenuWithFormCreation() {
       .addSubMenu(ui.createMenu('Setup & Configuration')
           .addItem('Setup Triggers', 'setupTriggers')
           .addItem('Auto-Create All Forms', 'autoCreateAllForms')
+          .addItem('Update Form Definitions', 'updateFormDefinitions')
           .addItem('View Form URLs', 'showFormURLs')
           .addItem('Configure Email Templates', 'configureEmailTemplates'))
       .addSeparator()
@@ -527,22 +674,19 @@ function updateMenuWithFormCreation() {
  */
 function showFormURLs() {
   const scriptProperties = PropertiesService.getScriptProperties();
-  const appFormUrl = scriptProperties.getProperty('APPLICATION_FORM_URL');
-  const moveOutFormUrl = scriptProperties.getProperty('MOVEOUT_FORM_URL');
-  
-  let message = 'Form URLs:\n\n';
-  
-  if (appFormUrl) {
-    message += `Application Form:\n${appFormUrl}\n\n`;
-  } else {
-    message += 'Application Form: Not yet created\n\n';
-  }
   
-  if (moveOutFormUrl) {
-    message += `Move-Out Form:\n${moveOutFormUrl}`;
-  } else {
-    message += 'Move-Out Form: Not yet created';
-  }
+  const message = 'Form URLs:\n\n' + Object.values(getFormDefinitions()).map(definition => {
+    let formUrl = scriptProperties.getProperty(definition.urlProperty);
+    
+    // Forms created before their URL was stored are found from their response sheet
+    const form = formUrl ? null : getLinkedForm(definition.idProperty, definition.responseSheetName);
+    if (form) {
+      formUrl = form.getPublishedUrl();
+      scriptProperties.setProperty(definition.urlProperty, formUrl);
+    }
+    
+    return formUrl ? `${definition.name}:\n${formUrl}` : `${definition.name}: Not yet created`;
+  }).join('\n\n');
   
   SpreadsheetApp.getUi().alert('Form URLs', message, SpreadsheetApp.getUi().ButtonSet.OK);
 }